@@ -0,0 +1,391 @@
+// =============================================================================
+// alerts.js — User-defined threshold alerts on dashboard metrics
+// Exposes window.Alerts via IIFE — no build step required.
+//
+// Pages publish their computed metrics after loading data:
+//   Alerts.publish('credit', [{ key: 'percentile', label: 'HY OAS percentile', value: 78 }], { asOf })
+// Every enabled rule on a published metric is evaluated then. A rule fires
+// when its condition becomes true (it re-arms once the condition is false
+// again); 'changes' rules fire whenever the value differs from the last one
+// seen. Fired alerts go to the inbox in the 🔔 drawer and, with permission,
+// to a browser notification. Rules, the last seen metric values and the inbox
+// are kept in localStorage. Load right after settings.js on every page.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const RULES_KEY   = 'alerts.rules';
+  const METRICS_KEY = 'alerts.metrics';
+  const INBOX_KEY   = 'alerts.inbox';
+  const INBOX_LIMIT = 100;
+
+  const PAGES = {
+    divergence: 'index.html',
+    macro:      'macro.html',
+    credit:     'credit.html',
+    gov:        'gov_data.html',
+  };
+
+  const OPERATORS = {
+    '>':       { label: 'is above',         numeric: true,  test: (v, t) => v > t },
+    '>=':      { label: 'is at or above',   numeric: true,  test: (v, t) => v >= t },
+    '<':       { label: 'is below',         numeric: true,  test: (v, t) => v < t },
+    '<=':      { label: 'is at or below',   numeric: true,  test: (v, t) => v <= t },
+    '=':       { label: 'equals',           numeric: false, test: (v, t) => String(v) === String(t) },
+    '!=':      { label: 'does not equal',   numeric: false, test: (v, t) => String(v) !== String(t) },
+    'changes': { label: 'changes',          numeric: false },
+  };
+
+  // One-click rules for the common cases; `*` matches every metric with
+  // that prefix (each divergence pair's signal)
+  const PRESETS = [
+    { metric: 'credit.percentile', label: 'HY OAS percentile',         op: '>',       value: 75,  text: 'HY OAS percentile above 75' },
+    { metric: 'gov.sahm',          label: 'Sahm rule',                 op: '>=',      value: 0.5, text: 'Sahm rule triggered (≥ 0.5)' },
+    { metric: 'gov.recessionProb', label: 'NY Fed recession prob. (%)', op: '>',       value: 30,  text: 'NY Fed recession probability above 30%' },
+    { metric: 'macro.regime',      label: 'Macro regime',              op: 'changes', value: '',  text: 'Macro regime label flips' },
+    { metric: 'divergence.pair.*', label: 'Divergence pair signal',    op: 'changes', value: '',  text: 'Any divergence pair signal changes' },
+  ];
+
+  function load(key, fallback) {
+    try {
+      const v = JSON.parse(localStorage.getItem(key));
+      return v === null ? fallback : v;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function save(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  const rules   = () => load(RULES_KEY, []);
+  const metrics = () => load(METRICS_KEY, {});
+  const inbox   = () => load(INBOX_KEY, []);
+
+  function newId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  function formatValue(v) {
+    if (typeof v !== 'number') return String(v);
+    return Number.isInteger(v) ? String(v) : String(parseFloat(v.toFixed(2)));
+  }
+
+  function matches(rule, id) {
+    return rule.metric.endsWith('.*') ? id.startsWith(rule.metric.slice(0, -1)) : rule.metric === id;
+  }
+
+  function metricLabel(id, catalog = metrics()) {
+    if (catalog[id]) return catalog[id].label;
+    const preset = PRESETS.find(p => p.metric === id);
+    return preset ? preset.label : id;
+  }
+
+  function describeRule(rule, catalog) {
+    const op = OPERATORS[rule.op];
+    const target = rule.op === 'changes' ? '' : ` ${formatValue(rule.value)}`;
+    return `${metricLabel(rule.metric, catalog)} ${op.label}${target}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rules
+  // ---------------------------------------------------------------------------
+  // addRule({ metric, op, value }) → the stored rule
+  function addRule({ metric, op, value }) {
+    if (!OPERATORS[op]) throw new Error(`Unknown operator ${op}`);
+    const target = OPERATORS[op].numeric ? Number(value) : value;
+    if (OPERATORS[op].numeric && !Number.isFinite(target)) throw new Error('Threshold must be a number');
+    const rule = { id: newId(), metric, op, value: target, enabled: true, active: {} };
+    save(RULES_KEY, [...rules(), rule]);
+    return rule;
+  }
+
+  function updateRule(id, changes) {
+    save(RULES_KEY, rules().map(r => (r.id === id ? { ...r, ...changes } : r)));
+  }
+
+  function removeRule(id) {
+    save(RULES_KEY, rules().filter(r => r.id !== id));
+  }
+
+  // ---------------------------------------------------------------------------
+  // publish(source, [{ key, label, value }], { asOf }) — record a page's
+  // metrics and evaluate every enabled rule on them. Returns the alerts fired
+  // (also added to the inbox).
+  // ---------------------------------------------------------------------------
+  function publish(source, list, opts = {}) {
+    const catalog = metrics();
+    const allRules = rules();
+    const fired = [];
+
+    for (const m of list) {
+      if (m.value === null || m.value === undefined || Number.isNaN(m.value)) continue;
+      const id = `${source}.${m.key}`;
+      const prev = catalog[id];
+
+      for (const rule of allRules) {
+        if (!rule.enabled || !matches(rule, id)) continue;
+        rule.active = rule.active || {};
+        let hit;
+        if (rule.op === 'changes') {
+          hit = !!prev && String(prev.value) !== String(m.value);
+        } else {
+          const now = OPERATORS[rule.op].test(m.value, rule.value);
+          hit = now && !rule.active[id];
+          rule.active[id] = now;
+        }
+        if (!hit) continue;
+
+        const text = rule.op === 'changes'
+          ? `${m.label} changed from ${formatValue(prev.value)} to ${formatValue(m.value)}`
+          : `${m.label} is ${formatValue(m.value)} (${OPERATORS[rule.op].label} ${formatValue(rule.value)})`;
+        fired.push({
+          id:      newId(),
+          ruleId:  rule.id,
+          metric:  id,
+          text,
+          href:    PAGES[source] || null,
+          asOf:    opts.asOf || null,
+          firedAt: new Date().toISOString(),
+          read:    false,
+        });
+      }
+
+      catalog[id] = {
+        source,
+        label:  m.label,
+        value:  m.value,
+        asOf:   opts.asOf || null,
+        seenAt: new Date().toISOString(),
+      };
+    }
+
+    save(METRICS_KEY, catalog);
+    save(RULES_KEY, allRules);
+    if (fired.length) {
+      save(INBOX_KEY, [...fired.reverse(), ...inbox()].slice(0, INBOX_LIMIT));
+      fired.forEach(notify);
+    }
+    updateNavButton();
+    if (drawer && !drawer.hidden) renderDrawer();
+    return fired;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Browser notifications — through the service worker when one controls the
+  // page (required on Android), else the page-level Notification API
+  // ---------------------------------------------------------------------------
+  function notify(alert) {
+    if (!('Notification' in global) || Notification.permission !== 'granted') return;
+    const title = 'Risk dashboard alert';
+    const options = { body: alert.text, icon: 'icon.svg', tag: alert.id };
+    const sw = navigator.serviceWorker;
+    const pageNotification = () => {
+      try {
+        new Notification(title, options);
+      } catch (err) {
+        console.warn('Alerts: could not show notification:', err.message);
+      }
+    };
+    if (sw && sw.controller) {
+      sw.ready.then(reg => reg.showNotification(title, options)).catch(pageNotification);
+    } else {
+      pageNotification();
+    }
+  }
+
+  async function requestPermission() {
+    if (!('Notification' in global)) return 'unsupported';
+    return Notification.requestPermission();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inbox
+  // ---------------------------------------------------------------------------
+  function unreadCount() {
+    return inbox().filter(a => !a.read).length;
+  }
+
+  function markAllRead() {
+    save(INBOX_KEY, inbox().map(a => ({ ...a, read: true })));
+    updateNavButton();
+  }
+
+  function clearInbox() {
+    save(INBOX_KEY, []);
+    updateNavButton();
+  }
+
+  function updateNavButton() {
+    const btn = document.querySelector('.nav-alerts');
+    if (!btn) return;
+    const n = unreadCount();
+    btn.innerHTML = `🔔 Alerts${n ? ` <span class="alerts-count">${n}</span>` : ''}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Drawer — inbox, rules and the add-rule form. Reuses the settings drawer
+  // layout (.settings-backdrop / .settings-drawer).
+  // ---------------------------------------------------------------------------
+  let drawer = null;
+
+  function permissionHTML() {
+    if (!('Notification' in global)) {
+      return '<div class="muted">This browser does not support notifications — alerts appear in the inbox only.</div>';
+    }
+    if (Notification.permission === 'granted') return '<div class="muted">Browser notifications are on.</div>';
+    if (Notification.permission === 'denied') {
+      return '<div class="muted">Notifications are blocked for this site in your browser settings — alerts appear in the inbox only.</div>';
+    }
+    return '<button type="button" class="control-btn" data-action="permission">Enable browser notifications</button>';
+  }
+
+  function metricOptions(catalog) {
+    const ids = Object.keys(catalog).sort();
+    const wildcards = [...new Set(PRESETS.map(p => p.metric).filter(m => m.endsWith('.*')))];
+    return [
+      ...ids.map(id => `<option value="${id}">${catalog[id].label} (now ${formatValue(catalog[id].value)})</option>`),
+      ...wildcards.map(id => `<option value="${id}">${metricLabel(id, catalog)} — every pair</option>`),
+    ].join('');
+  }
+
+  function renderDrawer() {
+    const catalog = metrics();
+    const alerts = inbox();
+    const list = rules();
+    const body = drawer.querySelector('.settings-body');
+
+    body.innerHTML = `
+      <div class="settings-section">${permissionHTML()}</div>
+
+      <div class="settings-section">
+        <div class="settings-section-title">Inbox</div>
+        ${alerts.length === 0
+          ? '<div class="muted" style="font-size:12px">No alerts yet.</div>'
+          : alerts.slice(0, 50).map(a => `
+            <div class="alert-item${a.read ? '' : ' unread'}">
+              <div>${a.href ? `<a href="${a.href}">${a.text}</a>` : a.text}</div>
+              <div class="muted" style="font-size:11px">${new Date(a.firedAt).toLocaleString()}${a.asOf ? ` · data as of ${a.asOf}` : ''}</div>
+            </div>`).join('')}
+        ${alerts.length ? `
+          <div style="display:flex;gap:8px;margin-top:8px">
+            <button type="button" class="control-btn" data-action="read">Mark all read</button>
+            <button type="button" class="control-btn" data-action="clear">Clear</button>
+          </div>` : ''}
+      </div>
+
+      <div class="settings-section">
+        <div class="settings-section-title">Rules</div>
+        ${list.length === 0
+          ? '<div class="muted" style="font-size:12px">No rules yet — add one below.</div>'
+          : list.map(r => `
+            <label class="settings-row">
+              <span><input type="checkbox" data-toggle="${r.id}"${r.enabled ? ' checked' : ''}> ${describeRule(r, catalog)}</span>
+              <button type="button" class="control-btn" data-remove="${r.id}" aria-label="Delete rule">✕</button>
+            </label>`).join('')}
+      </div>
+
+      <div class="settings-section">
+        <div class="settings-section-title">Add rule</div>
+        ${Object.keys(catalog).length === 0
+          ? '<div class="muted" style="font-size:12px;margin-bottom:8px">Metrics appear here once a dashboard has loaded.</div>'
+          : `
+          <div class="alert-form">
+            <select class="control-select" data-field="metric">${metricOptions(catalog)}</select>
+            <select class="control-select" data-field="op">
+              ${Object.entries(OPERATORS).map(([k, o]) => `<option value="${k}">${o.label}</option>`).join('')}
+            </select>
+            <input type="text" class="control-select" data-field="value" placeholder="Value" style="width:90px">
+            <button type="button" class="control-btn" data-action="add">Add</button>
+          </div>
+          <div class="muted alert-form-error" style="font-size:12px"></div>`}
+        <div class="muted" style="font-size:11px;margin:10px 0 6px">Suggested</div>
+        ${PRESETS.map((p, i) => `
+          <button type="button" class="control-btn alert-preset" data-preset="${i}"
+                  ${list.some(r => r.metric === p.metric && r.op === p.op && String(r.value) === String(p.value)) ? 'disabled' : ''}>
+            + ${p.text}
+          </button>`).join('')}
+      </div>
+    `;
+  }
+
+  function buildDrawer() {
+    drawer = document.createElement('div');
+    drawer.className = 'settings-backdrop';
+    drawer.hidden = true;
+    drawer.innerHTML = `
+      <aside class="settings-drawer" role="dialog" aria-label="Alerts">
+        <div class="settings-header">
+          <h2 style="margin:0;font-size:16px">Alerts</h2>
+          <button type="button" class="control-btn" data-action="close" aria-label="Close">✕</button>
+        </div>
+        <div class="muted" style="font-size:12px;margin-bottom:12px">
+          Rules are checked whenever a dashboard loads its data in this browser.
+        </div>
+        <div class="settings-body"></div>
+      </aside>
+    `;
+
+    drawer.addEventListener('click', async (e) => {
+      const t = e.target;
+      const action = t.dataset && t.dataset.action;
+      if (t === drawer || action === 'close') { close(); return; }
+
+      if (action === 'permission') await requestPermission();
+      else if (action === 'read') markAllRead();
+      else if (action === 'clear') clearInbox();
+      else if (action === 'add') {
+        const field = name => drawer.querySelector(`[data-field="${name}"]`).value.trim();
+        try {
+          addRule({ metric: field('metric'), op: field('op'), value: field('value') });
+        } catch (err) {
+          drawer.querySelector('.alert-form-error').textContent = err.message;
+          return;
+        }
+      } else if (t.dataset.remove) removeRule(t.dataset.remove);
+      else if (t.dataset.preset) addRule(PRESETS[Number(t.dataset.preset)]);
+      else return;
+      renderDrawer();
+    });
+
+    drawer.addEventListener('change', (e) => {
+      if (e.target.dataset.toggle) updateRule(e.target.dataset.toggle, { enabled: e.target.checked });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && drawer && !drawer.hidden) close();
+    });
+
+    document.body.appendChild(drawer);
+  }
+
+  function open() {
+    if (!drawer) buildDrawer();
+    renderDrawer();
+    drawer.hidden = false;
+  }
+
+  // Closing the drawer counts as having seen the inbox
+  function close() {
+    if (!drawer || drawer.hidden) return;
+    drawer.hidden = true;
+    markAllRead();
+  }
+
+  // Another tab fired or read alerts
+  global.addEventListener('storage', (e) => {
+    if (e.key === INBOX_KEY) updateNavButton();
+  });
+
+  updateNavButton();
+
+  global.Alerts = {
+    OPERATORS, PRESETS,
+    publish, addRule, updateRule, removeRule, rules,
+    metrics, inbox, unreadCount, markAllRead, clearInbox,
+    requestPermission, open, close,
+  };
+
+}(window));
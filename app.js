@@ -2,26 +2,101 @@
 // CONFIG
 // =============================================================================
 
-let LOOKBACK_DAYS = 20;
-let PIVOT_MODE = "recent";
-let SWING_WINDOW_DAYS = null;
-
-// Global data cache
+// Analysis settings; loadConfig() / applySettings() fill them in from
+// DivergenceEngine.defaultView() (page defaults < config.json < ⚙ settings)
+let LOOKBACK_DAYS;
+let PIVOT_MODE;
+let SWING_WINDOW_DAYS;
+
+// Bars the pair analysis runs on. Lookback and swing count bars of this
+// timeframe; intraday is always computed client-side (caches are daily only).
+let TIMEFRAME = 'daily';
+const TIMEFRAME_SUFFIX = { daily: '', '1h': '_hourly', '4h': '_4h' };
+
+// Global data cache: [time, close] points per symbol (and `${sym}_hourly`)
 let dataCache = {};
+// Full OHLCV bars per symbol, same keys and timestamps as dataCache
+let barCache = {};
 
 // Configuration loaded from config.json
 let CONFIG = null;
 let PAIRS = [];
 let SYMBOLS = [];
 
+// Default pairs from config.json; PAIRS may be a user-edited list from localStorage
+let DEFAULT_PAIRS = [];
+// Every symbol a pair can use: config.json symbols + macro_config.json assets
+let PAIR_SYMBOL_CHOICES = [];
+
+const PAIRS_STORAGE_KEY = 'divergence.pairs';
+
+// Per-pair price chart type: { [pairId]: 'area' | 'candles' | 'bars' }
+const CHART_TYPES = [
+  { value: 'area',    label: 'Area'    },
+  { value: 'candles', label: 'Candles' },
+  { value: 'bars',    label: 'OHLC'    },
+];
+const CHART_TYPE_STORAGE_KEY = 'divergence.chartTypes';
+let PAIR_CHART_TYPES = {};
+
+// Moving averages / bands drawn on every pair price chart (indicators.js)
+const DEFAULT_OVERLAYS = '50sma';
+let OVERLAYS = Indicators.parseOverlays(DEFAULT_OVERLAYS).overlays;
+
 // =============================================================================
 // UTILITIES
 // =============================================================================
 
+// Symbol names link to the symbol detail page
+function symbolLink(sym) {
+  return `<a href="symbol.html?symbol=${encodeURIComponent(sym)}" class="symbol-link">${sym}</a>`;
+}
+
 function fmt(x) {
   return Number.isFinite(x) ? x.toFixed(2) : "N/A";
 }
 
+function isIntraday() {
+  return TIMEFRAME !== 'daily';
+}
+
+// The MA score's moving average, named for the bars it runs on
+function maScoreLabel(timeframe = TIMEFRAME) {
+  return timeframe === 'daily' ? '50 MA' : `50-bar MA (${timeframe.toUpperCase()})`;
+}
+
+// Bars every loaded symbol has at a timeframe (Infinity before any load);
+// the hourly CSVs hold ~140 1H / ~40 4H bars
+function loadedBars(timeframe = TIMEFRAME) {
+  const lengths = Object.values(timeframeData(timeframe)).map(pts => pts.length).filter(n => n > 0);
+  return lengths.length ? Math.min(...lengths) : Infinity;
+}
+
+// dataCache / barCache key for a symbol at the current timeframe
+function tfKey(sym) {
+  return `${sym}${TIMEFRAME_SUFFIX[TIMEFRAME]}`;
+}
+
+// { sym: points } at a timeframe (default: the current one) for every loaded symbol
+function timeframeData(timeframe = TIMEFRAME) {
+  if (timeframe === 'daily') return dataCache;
+  const syms = new Set(SYMBOLS);
+  for (const p of PAIRS) {
+    syms.add(p.symbol1.toLowerCase());
+    syms.add(p.symbol2.toLowerCase());
+  }
+  const data = {};
+  for (const s of syms) data[s] = dataCache[`${s}${TIMEFRAME_SUFFIX[timeframe]}`] || [];
+  return data;
+}
+
+function fmtVolume(v) {
+  if (v >= 1e9) return `${(v / 1e9).toFixed(2)}B`;
+  if (v >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(1)}K`;
+  return String(Math.round(v));
+}
+
 // =============================================================================
 // CONFIG LOADING
 // =============================================================================
@@ -31,16 +106,30 @@ async function loadConfig() {
   if (!r.ok) throw new Error(`Failed to load config.json: ${r.status}`);
   const config = await r.json();
 
-  if (config.defaults) {
-    LOOKBACK_DAYS = config.defaults.lookback_days || LOOKBACK_DAYS;
-    PIVOT_MODE = config.defaults.pivot_mode || PIVOT_MODE;
-    SWING_WINDOW_DAYS = config.defaults.swing_window_days;
-  }
+  setView(DivergenceEngine.defaultView(config.defaults));
 
   CONFIG = config;
-  PAIRS = config.pairs || [];
+  DEFAULT_PAIRS = config.pairs || [];
+  PAIRS = loadSavedPairs() || DEFAULT_PAIRS;
   SYMBOLS = config.symbols.map(s => s.symbol.toLowerCase());
 
+  PAIR_SYMBOL_CHOICES = config.symbols.map(s => ({ symbol: s.symbol, name: s.name }));
+  try {
+    const r = await fetch('./macro_config.json', { cache: "no-store" });
+    if (r.ok) {
+      const macro = await r.json();
+      for (const cat of macro.macro_categories || []) {
+        for (const a of cat.assets || []) {
+          if (!PAIR_SYMBOL_CHOICES.some(c => c.symbol === a.symbol)) {
+            PAIR_SYMBOL_CHOICES.push({ symbol: a.symbol, name: a.name });
+          }
+        }
+      }
+    }
+  } catch (err) {
+    console.warn('Could not load macro_config.json:', err.message);
+  }
+
   console.log(`Loaded config: ${SYMBOLS.length} symbols, ${PAIRS.length} pairs`);
 }
 
@@ -48,144 +137,221 @@ async function loadConfig() {
 // DATA LOADING
 // =============================================================================
 
-async function loadCsvPoints(path) {
-  const r = await fetch(path, { cache: "no-store" });
-  if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
-  const text = await r.text();
-  const lines = text.trim().split(/\r?\n/);
-  const header = lines.shift();
-  const points = [];
-  for (const line of lines) {
-    const parts = line.split(",");
-    if (parts.length < 5) continue;
-
-    const hasTime = parts.length >= 7 && parts[1].includes(":");
-
-    let date, close;
-    if (hasTime) {
-      [date, , , , , close] = parts;
-    } else {
-      [date, , , , close] = parts;
+// Loads daily + hourly CSVs for a symbol into dataCache if not already there,
+// plus 4H bars resampled from hourly. dataCache holds [time, close] points;
+// barCache the full OHLCV bars.
+async function ensureSymbolData(sym) {
+  if (dataCache[sym]) return;
+  try {
+    barCache[sym] = await DataLayer.loadSymbolBars(sym, 'daily');
+    dataCache[sym] = DataLayer.closes(barCache[sym]);
+    barCache[`${sym}_hourly`] = await DataLayer.loadSymbolBars(sym, 'hourly');
+    dataCache[`${sym}_hourly`] = DataLayer.closes(barCache[`${sym}_hourly`]);
+    barCache[`${sym}_4h`] = DataLayer.resample(barCache[`${sym}_hourly`], 4 * 3600);
+    dataCache[`${sym}_4h`] = DataLayer.closes(barCache[`${sym}_4h`]);
+  } catch (err) {
+    console.warn(`Could not load ${sym}:`, err.message);
+    dataCache[sym] = dataCache[sym] || [];
+    barCache[sym] = barCache[sym] || [];
+    for (const suffix of ['_hourly', '_4h']) {
+      dataCache[`${sym}${suffix}`] = [];
+      barCache[`${sym}${suffix}`] = [];
     }
-
-    if (!date || !close || date === "Date" || close === "Close") continue;
-    const t = Math.floor(new Date(date + "T00:00:00Z").getTime() / 1000);
-    const c = Number(close);
-    if (!Number.isFinite(t) || !Number.isFinite(c)) continue;
-    points.push([t, c]);
   }
-  points.sort((a, b) => a[0] - b[0]);
-  console.log(`Loaded ${points.length} points from ${path}`);
-  return points;
 }
 
-async function loadHourlyData(path) {
-  const r = await fetch(path, { cache: "no-store" });
-  if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
-  const text = await r.text();
-  const lines = text.trim().split(/\r?\n/);
-  const header = lines.shift();
-  const points = [];
+// Load all CSVs — used for chart rendering and the client-side engine.
+// Custom pairs may use macro_config.json symbols outside config.json.
+async function loadAllSymbols() {
+  for (const sym of SYMBOLS) {
+    await ensureSymbolData(sym);
+  }
+  for (const p of PAIRS) {
+    await ensureSymbolData(p.symbol1.toLowerCase());
+    await ensureSymbolData(p.symbol2.toLowerCase());
+  }
+}
 
-  for (const line of lines) {
-    const [date, time, open, high, low, close, volume] = line.split(",");
-    if (!date || !time || !close || date === "Date") continue;
+// =============================================================================
+// MA CALCULATION
+// =============================================================================
 
-    const timestamp = Math.floor(new Date(date + "T" + time + "Z").getTime() / 1000);
-    const c = Number(close);
+// Simple MA on [[t, v], ...] — the same one the divergence engine uses
+const { calculateMA } = DivergenceEngine;
 
-    if (!Number.isFinite(timestamp) || !Number.isFinite(c)) continue;
+// =============================================================================
+// CHART RENDERING
+// =============================================================================
 
-    points.push([timestamp, c]);
+const {
+  LineSeries, AreaSeries, CandlestickSeries, BarSeries, HistogramSeries,
+  CrosshairMode, createSeriesMarkers,
+} = window.LightweightCharts;
+
+// Same hues as the pivot labelling in test.js, as theme.js color names
+const PIVOT_LABEL_COLORS = { HH: 'series-10', LH: 'caution', LL: 'down', HL: 'up' };
+const pivotColor = label => Theme.color(PIVOT_LABEL_COLORS[label]);
+
+// Cache pivots → series markers. Structure modes carry HH/LH/HL/LL labels;
+// highest-to-current pivots are unlabeled (swing high + current bar).
+function pivotMarkers(pivots) {
+  if (!pivots || pivots.length === 0) return [];
+
+  if (pivots.every(p => !p.label)) {
+    if (pivots.length < 2) return [];
+    const [high, current] = pivots;
+    const label = current.price > high.price ? 'HH' : 'LH';
+    return [
+      { time: high.time,    position: 'aboveBar', color: pivotColor('HH'), shape: 'circle', text: 'High' },
+      { time: current.time, position: 'aboveBar', color: pivotColor(label), shape: 'circle', text: label },
+    ];
   }
 
-  points.sort((a, b) => a[0] - b[0]);
-  return points;
+  return pivots
+    .map(p => {
+      const isHigh = p.label === 'HH' || p.label === 'LH';
+      return {
+        time: p.time,
+        position: isHigh ? 'aboveBar' : 'belowBar',
+        color: pivotColor(p.label),
+        shape: 'circle',
+        text: p.label,
+      };
+    })
+    .sort((a, b) => a.time - b.time);
 }
 
-// =============================================================================
-// MA CALCULATION
-// =============================================================================
+// The two pivots that define the trend: the swing high → current bar in
+// highest-to-current mode; otherwise the last two lows of an uptrend or the
+// last two highs of a downtrend. Sideways trends get no line.
+function trendLinePoints(pivots, trendStr) {
+  if (!pivots || pivots.length < 2 || !trendStr) return null;
 
-function calculateMA(points, period) {
-  const maPoints = [];
+  if (pivots.every(p => !p.label)) return [pivots[0], pivots[1]];
 
-  for (let i = period - 1; i < points.length; i++) {
-    let sum = 0;
-    for (let j = 0; j < period; j++) {
-      sum += points[i - j][1];
-    }
-    const ma = sum / period;
-    maPoints.push([points[i][0], ma]);
-  }
+  const dir = classifyTrend(trendStr);
+  if (dir === 'sideways') return null;
 
-  return maPoints;
+  const wanted = dir === 'up' ? ['HL', 'LL'] : ['HH', 'LH'];
+  const side = pivots.filter(p => wanted.includes(p.label));
+  if (side.length < 2) return null;
+  return side.slice(-2);
 }
 
-// =============================================================================
-// CHART RENDERING
-// =============================================================================
+// Live pair charts by container id, removed before each re-render
+const pairCharts = {};
+
+const PRICE_PANE_HEIGHT  = 150;
+const VOLUME_PANE_HEIGHT = 50;
 
-const { createChart, LineSeries, AreaSeries, CrosshairMode } = window.LightweightCharts;
+// Price series for the chosen chart type. Candles / OHLC need bars; without
+// them (or for 'area') the close line is drawn in the pair color.
+function addPriceSeries(chart, type, points, bars, color) {
+  if (type === 'candles' && bars.length) {
+    const s = chart.addSeries(CandlestickSeries, {
+      ...Theme.candles(),
+      lastValueVisible: false,
+      priceLineVisible: false,
+    });
+    s.setData(bars.map(({ time, open, high, low, close }) => ({ time, open, high, low, close })));
+    return s;
+  }
+  if (type === 'bars' && bars.length) {
+    const s = chart.addSeries(BarSeries, {
+      upColor: Theme.color('up'),
+      downColor: Theme.color('down'),
+      openVisible: true,
+      lastValueVisible: false,
+      priceLineVisible: false,
+    });
+    s.setData(bars.map(({ time, open, high, low, close }) => ({ time, open, high, low, close })));
+    return s;
+  }
+  const s = chart.addSeries(AreaSeries, {
+    lineColor: color,
+    topColor: ChartUtils.hexToRgba(color, 0.35),
+    bottomColor: ChartUtils.hexToRgba(color, 0),
+    lineWidth: 2,
+    lastValueVisible: false,
+    priceLineVisible: false,
+  });
+  s.setData(points.map(([time, value]) => ({ time, value })));
+  return s;
+}
 
-function renderChartTV(containerId, points, color = "#4a9eff", label = "", swingHighs = null, ma50Points = null) {
+// view: { type: 'area' | 'candles' | 'bars', bars: OHLCV bars matching points,
+//         intraday: show clock times on the time axis }.
+// A volume pane is added whenever the bars carry volume (FX rows are all 0).
+// overlayLines: Indicators.overlayLines() output, drawn over the price.
+function renderChartTV(containerId, points, color = "#4a9eff", label = "", pivots = null, overlayLines = [], trend = null, view = {}) {
   const container = document.getElementById(containerId);
   if (!container) {
     console.warn(`Container not found: ${containerId}`);
     return;
   }
 
+  if (pairCharts[containerId]) {
+    pairCharts[containerId].remove();
+    delete pairCharts[containerId];
+  }
+
   if (!points || points.length === 0) {
     console.warn(`No data for ${containerId}`);
-    container.innerHTML = '<div style="padding:10px;color:#666;font-size:12px">No data</div>';
+    container.innerHTML = '<div style="padding:10px;color:var(--dim);font-size:12px">No data</div>';
     return;
   }
 
   try {
     container.innerHTML = '';
 
-    const chart = createChart(container, {
-    layout: {
-      background: { type: 'solid', color: '#17181b' },
-      textColor: '#e9e9ea',
-    },
-    grid: {
-      vertLines: { color: '#333' },
-      horzLines: { color: '#333' },
-    },
-    crosshair: {
-      mode: CrosshairMode.Hidden,
-    },
-    handleScroll: false,
-    handleScale: false,
-    width: container.clientWidth,
-    height: 150,
-  });
+    const bars = view.bars || [];
+    const hasVolume = bars.some(b => b.volume > 0);
 
-  const lineSeries = chart.addSeries(AreaSeries, {
-    lineColor: color,
-    topColor: ChartUtils.hexToRgba(color, 0.35),
-    bottomColor: ChartUtils.hexToRgba(color, 0),
-    lineWidth: 2,
-    lastValueVisible: false,
-    priceLineVisible: false,
-  });
+    const chart = ChartUtils.createDashboardChart(container, PRICE_PANE_HEIGHT + (hasVolume ? VOLUME_PANE_HEIGHT : 0), {
+      crosshair: { mode: CrosshairMode.Hidden },
+      timeScale: { timeVisible: !!view.intraday },
+    });
+    pairCharts[containerId] = chart;
 
-  const tvData = points.map(([time, value]) => ({ time, value }));
-  lineSeries.setData(tvData);
+  const priceSeries = addPriceSeries(chart, view.type || 'area', points, bars, color);
+  const tracked = [{ series: priceSeries, label: label || 'Close', color }];
 
-  if (ma50Points && ma50Points.length > 0) {
-    const ma50Series = chart.addSeries(LineSeries, {
-      color: '#ffffff',
-      lineWidth: 1,
-      lineStyle: 4,
+  tracked.push(...ChartUtils.addOverlaySeries(chart, overlayLines));
+
+  if (hasVolume) {
+    const volumeSeries = chart.addSeries(HistogramSeries, {
+      priceFormat: { type: 'volume' },
       priceLineVisible: false,
       lastValueVisible: false,
-    });
-    ma50Series.setData(ma50Points.map(([time, value]) => ({ time, value })));
+    }, 1);
+    volumeSeries.setData(bars.map(b => ({
+      time: b.time,
+      value: b.volume,
+      color: ChartUtils.hexToRgba(Theme.color(b.close >= b.open ? 'up' : 'down'), 0.5),
+    })));
+    const panes = chart.panes();
+    if (panes[1]) panes[1].setHeight(VOLUME_PANE_HEIGHT);
+    tracked.push({ series: volumeSeries, label: 'Vol', color: Theme.color('muted'), format: fmtVolume });
+  }
+
+  const markers = pivotMarkers(pivots);
+  if (markers.length > 0) createSeriesMarkers(priceSeries, markers);
+
+  const linePts = trendLinePoints(pivots, trend);
+  if (linePts) {
+    const up = linePts[1].price >= linePts[0].price;
+    priceSeries.attachPrimitive(new TrendLine(chart, priceSeries, linePts[0], linePts[1], {
+      lineColor: pivotColor(up ? 'HL' : 'LL'),
+      width: 2,
+      showLabels: false,
+    }));
   }
 
   chart.timeScale().fitContent();
+  ChartUtils.makeInspectable(chart, container, {
+    refit: () => chart.timeScale().fitContent(),
+    series: tracked,
+  });
   return chart;
   } catch (err) {
     console.error(`Error rendering chart ${containerId}:`, err);
@@ -194,42 +360,128 @@ function renderChartTV(containerId, points, color = "#4a9eff", label = "", swing
 }
 
 // =============================================================================
-// TREND SCORING
+// RELATIVE STRENGTH CHART
+// Both symbols rebased to 100 at the start of the lookback, with a
+// symbol1/symbol2 ratio pane underneath carrying its own MA and pivots.
 // =============================================================================
 
-function classifyTrend(trendStr) {
-  if (trendStr.includes('↗')) return 'up';
-  if (trendStr.includes('↘')) return 'down';
-  return 'sideways';
-}
+const RATIO_MA_PERIOD = 20;
 
-function trendArrow(trendStr) {
-  if (trendStr.includes('↗')) return '↗';
-  if (trendStr.includes('↘')) return '↘';
-  return '→';
-}
+const overlayCharts = {};
 
-function scorePair(t1, t2) {
-  const a = classifyTrend(t1), b = classifyTrend(t2);
-  if (a === 'up'       && b === 'up')       return  2;
-  if (a === 'up'       && b === 'sideways') return  1;
-  if (a === 'sideways' && b === 'up')       return  1;
-  if (a === 'down'     && b === 'sideways') return -1;
-  if (a === 'sideways' && b === 'down')     return -1;
-  if (a === 'down'     && b === 'down')     return -2;
-  return 0;
+// Ratio on dates both symbols traded: [[t, v1 / v2], ...]
+function ratioPoints(pts1, pts2) {
+  const byTime = new Map(pts2);
+  const out = [];
+  for (const [t, v1] of pts1) {
+    const v2 = byTime.get(t);
+    if (v2) out.push([t, v1 / v2]);
+  }
+  return out;
 }
 
-function trendSignalLabel(score, maxTotal) {
-  const r = score / maxTotal;
-  const c = ChartUtils.colors;
-  if (r >= 0.67)  return { label: '🟢 STRONG RISK ON',  color: c.signalStrongOn };
-  if (r >= 0.25)  return { label: '🟡 RISK ON',         color: c.signalOn };
-  if (r >= -0.17) return { label: '⚪ NEUTRAL',          color: c.signalNeutral };
-  if (r >= -0.58) return { label: '🟠 RISK OFF',         color: c.signalOff };
-  return           { label: '🔴 STRONG RISK OFF',        color: c.signalStrongOff };
+function renderOverlayChart(containerId, pair, pts1, pts2, pivotMode, swing) {
+  const container = document.getElementById(containerId);
+  if (!container) return null;
+
+  if (overlayCharts[containerId]) {
+    overlayCharts[containerId].remove();
+    delete overlayCharts[containerId];
+  }
+  container.innerHTML = '';
+
+  const ratio = ratioPoints(pts1, pts2);
+  const recentRatio = ChartUtils.last(ratio, LOOKBACK_DAYS);
+  if (recentRatio.length < 2) {
+    container.innerHTML = '<div style="padding:10px;color:var(--dim);font-size:12px">No overlapping data</div>';
+    return null;
+  }
+
+  const start = recentRatio[0][0];
+  const rebase = pts => {
+    const inWindow = pts.filter(p => p[0] >= start);
+    const base = inWindow[0][1];
+    return inWindow.map(([time, v]) => ({ time, value: v / base * 100 }));
+  };
+
+  const chart = ChartUtils.createDashboardChart(container, 280, {
+    timeScale: { timeVisible: isIntraday() },
+  });
+  overlayCharts[containerId] = chart;
+
+  const tracked = [];
+  for (const [pts, color, label] of [[pts1, pair.color1, pair.symbol1], [pts2, pair.color2, pair.symbol2]]) {
+    const s = chart.addSeries(LineSeries, {
+      color,
+      lineWidth: 2,
+      priceLineVisible: false,
+      lastValueVisible: true,
+    });
+    s.setData(rebase(pts));
+    tracked.push({ series: s, label, color });
+  }
+
+  const ratioSeries = chart.addSeries(LineSeries, {
+    color: Theme.color('text'),
+    lineWidth: 1,
+    priceLineVisible: false,
+    lastValueVisible: true,
+    priceFormat: { type: 'price', precision: 4, minMove: 0.0001 },
+  }, 1);
+  ratioSeries.setData(recentRatio.map(([time, value]) => ({ time, value })));
+  tracked.push({ series: ratioSeries, label: 'Ratio', color: Theme.color('text'), format: v => v.toFixed(4) });
+
+  const ratioMa = calculateMA(ratio, RATIO_MA_PERIOD).filter(p => p[0] >= start);
+  if (ratioMa.length > 0) {
+    const maSeries = chart.addSeries(LineSeries, {
+      color: Theme.color('warn'),
+      lineWidth: 1,
+      lineStyle: 4,
+      priceLineVisible: false,
+      lastValueVisible: false,
+    }, 1);
+    maSeries.setData(ratioMa.map(([time, value]) => ({ time, value })));
+    tracked.push({ series: maSeries, label: `MA${RATIO_MA_PERIOD}`, color: Theme.color('warn'), format: v => v.toFixed(4) });
+  }
+
+  // Same pivot detection as the price charts, run on the ratio
+  const { trend, pivots } = DivergenceEngine.analyzeSeries(ratio, LOOKBACK_DAYS, pivotMode, swing);
+  const markers = pivotMarkers(pivots);
+  if (markers.length > 0) createSeriesMarkers(ratioSeries, markers);
+  const linePts = trendLinePoints(pivots, trend);
+  if (linePts) {
+    const up = linePts[1].price >= linePts[0].price;
+    ratioSeries.attachPrimitive(new TrendLine(chart, ratioSeries, linePts[0], linePts[1], {
+      lineColor: pivotColor(up ? 'HL' : 'LL'),
+      width: 2,
+      showLabels: false,
+    }));
+  }
+
+  const panes = chart.panes();
+  if (panes[1]) panes[1].setHeight(100);
+
+  chart.timeScale().fitContent();
+  ChartUtils.makeInspectable(chart, container, {
+    refit: () => chart.timeScale().fitContent(),
+    series: tracked,
+  });
+  ChartUtils.addChartLegend(containerId, [
+    { label: pair.symbol1, color: pair.color1, value: fmt(rebase(pts1).at(-1).value) },
+    { label: pair.symbol2, color: pair.color2, value: fmt(rebase(pts2).at(-1).value) },
+    { label: `MA${RATIO_MA_PERIOD}`, color: Theme.color('warn'), value: ratioMa.length ? ratioMa.at(-1)[1].toFixed(4) : 'N/A' },
+  ]);
+
+  return { chart, trend };
 }
 
+// =============================================================================
+// TREND SCORING
+// =============================================================================
+
+// Shared with the summary page — see risk-scores.js
+const { classifyTrend, trendArrow, scorePair, trendSignalLabel } = RiskScores;
+
 // =============================================================================
 // PAIR GENERATION
 // =============================================================================
@@ -241,8 +493,8 @@ function generatePairHTML(pair) {
 
   return `
     <!-- ${symbol1} ↔ ${symbol2} -->
-    <div class="pair-column">
-      <h2>${symbol1} ↔ ${symbol2}</h2>
+    <div class="pair-column" id="pair-column-${id}">
+      <h2>${symbolLink(symbol1)} ↔ ${symbolLink(symbol2)}</h2>
       <div class="trends">
         <div class="trend-item">
           <span class="muted">${symbol1} Trend</span>
@@ -255,13 +507,26 @@ function generatePairHTML(pair) {
       </div>
       <div class="divergence-signal" id="${id}-signal"></div>
 
+      <div class="pair-view-row">
+        <span class="muted">Chart</span>
+        <select class="control-select pair-chart-type" data-pair="${id}">
+          ${CHART_TYPES.map(t => `<option value="${t.value}"${t.value === pairChartType(id) ? ' selected' : ''}>${t.label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="chart-container">
+        <div class="chart-title">${symbolLink(symbol1)} Price${Freshness.badge(Freshness.checkBars(s1, barCache[s1]))}</div>
+        <div id="chart-${id}-${s1}" style="width:100%;min-height:150px"></div>
+      </div>
       <div class="chart-container">
-        <div class="chart-title">${symbol1} Price</div>
-        <div id="chart-${id}-${s1}" style="width:100%;height:150px"></div>
+        <div class="chart-title">${symbolLink(symbol2)} Price${Freshness.badge(Freshness.checkBars(s2, barCache[s2]))}</div>
+        <div id="chart-${id}-${s2}" style="width:100%;min-height:150px"></div>
       </div>
       <div class="chart-container">
-        <div class="chart-title">${symbol2} Price</div>
-        <div id="chart-${id}-${s2}" style="width:100%;height:150px"></div>
+        <div class="chart-title">
+          Relative Strength · rebased to 100 · ${symbol1}/${symbol2} ratio
+          <code id="${id}-ratio-trend" style="float:right"></code>
+        </div>
+        <div id="chart-${id}-overlay" style="width:100%;height:280px"></div>
       </div>
     </div>
   `;
@@ -274,23 +539,247 @@ function renderPairColumns() {
   container.innerHTML = PAIRS.map(pair => generatePairHTML(pair)).join('');
 }
 
+// =============================================================================
+// PAIR CHART TYPE
+// =============================================================================
+
+function loadChartTypes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CHART_TYPE_STORAGE_KEY));
+    PAIR_CHART_TYPES = saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    PAIR_CHART_TYPES = {};
+  }
+}
+
+function pairChartType(pairId) {
+  const t = PAIR_CHART_TYPES[pairId];
+  return CHART_TYPES.some(c => c.value === t) ? t : 'area';
+}
+
+// Delegated: pair columns are rebuilt whenever the pair list changes
+function wireChartTypeToggles() {
+  const container = document.querySelector('.pairs-container');
+  if (!container) return;
+  container.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('pair-chart-type')) return;
+    const pairId = e.target.dataset.pair;
+    PAIR_CHART_TYPES[pairId] = e.target.value;
+    localStorage.setItem(CHART_TYPE_STORAGE_KEY, JSON.stringify(PAIR_CHART_TYPES));
+
+    const pair = PAIRS.find(p => p.id === pairId);
+    const pairData = lastDivergenceCache && lastDivergenceCache.pairs.find(p => p.id === pairId);
+    if (pair && pairData) renderPairPriceCharts(pair, pairData);
+  });
+}
+
+// =============================================================================
+// PAIRS EDITOR
+// =============================================================================
+
+const PAIR_COLOR_PALETTE = ['#4a9eff', '#ff6b6b', '#10b981', '#8b5cf6', '#f59e0b', '#ec4899', '#14b8a6', '#eab308'];
+
+function loadSavedPairs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PAIRS_STORAGE_KEY));
+    if (!Array.isArray(saved)) return null;
+    const valid = saved.filter(p => p && p.id && p.symbol1 && p.symbol2);
+    return valid.length > 0 ? valid : null;
+  } catch {
+    return null;
+  }
+}
+
+function savePairs() {
+  localStorage.setItem(PAIRS_STORAGE_KEY, JSON.stringify(PAIRS));
+}
+
+function resetPairs() {
+  localStorage.removeItem(PAIRS_STORAGE_KEY);
+  PAIRS = DEFAULT_PAIRS.map(p => ({ ...p }));
+}
+
+// Pair ids follow config.json's `${sym1}-${sym2}` convention, so a custom pair
+// with the same symbols reuses the precomputed cache entry.
+function pairId(symbol1, symbol2) {
+  return `${symbol1}-${symbol2}`.toLowerCase();
+}
+
+// True when PAIRS holds the same pairs as config.json. Order and colors don't
+// change the combined score, so only the set of pairs is compared.
+function pairsAreDefault() {
+  const ids = pairs => pairs.map(p => pairId(p.symbol1, p.symbol2)).sort().join('|');
+  return ids(PAIRS) === ids(DEFAULT_PAIRS);
+}
+
+function renderPairsEditor() {
+  const list = document.getElementById('pairs-editor-list');
+  if (!list) return;
+
+  list.innerHTML = PAIRS.map((p, i) => `
+    <div class="pairs-editor-row" data-index="${i}">
+      <span class="pairs-editor-name">${p.symbol1} ↔ ${p.symbol2}</span>
+      <input type="color" data-field="color1" value="${ChartUtils.expandHex(p.color1 || '#4a9eff')}" title="${p.symbol1} color">
+      <input type="color" data-field="color2" value="${ChartUtils.expandHex(p.color2 || '#ff6b6b')}" title="${p.symbol2} color">
+      <button class="pairs-editor-btn" data-action="up" ${i === 0 ? 'disabled' : ''} title="Move up">↑</button>
+      <button class="pairs-editor-btn" data-action="down" ${i === PAIRS.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+      <button class="pairs-editor-btn" data-action="remove" ${PAIRS.length === 1 ? 'disabled' : ''} title="Remove">✕</button>
+    </div>
+  `).join('');
+
+  const options = PAIR_SYMBOL_CHOICES
+    .map(c => `<option value="${c.symbol}">${c.symbol} — ${c.name}</option>`)
+    .join('');
+  for (const id of ['pairSymbol1Select', 'pairSymbol2Select']) {
+    const sel = document.getElementById(id);
+    if (sel && sel.options.length !== PAIR_SYMBOL_CHOICES.length) {
+      const prev = sel.value;
+      sel.innerHTML = options;
+      if (prev) sel.value = prev;
+      else if (id === 'pairSymbol2Select') sel.selectedIndex = Math.min(1, sel.options.length - 1);
+    }
+  }
+
+  const c1 = document.getElementById('pairColor1Input');
+  const c2 = document.getElementById('pairColor2Input');
+  if (c1) c1.value = PAIR_COLOR_PALETTE[(PAIRS.length * 2) % PAIR_COLOR_PALETTE.length];
+  if (c2) c2.value = PAIR_COLOR_PALETTE[(PAIRS.length * 2 + 1) % PAIR_COLOR_PALETTE.length];
+}
+
+// Persist, rebuild the columns, load any newly needed CSVs, re-render
+// Called fire-and-forget from the editor's handlers, so it reports its own
+// failures instead of rejecting
+async function onPairsChanged() {
+  savePairs();
+  renderPairsEditor();
+  renderPairColumns();
+  try {
+    for (const p of PAIRS) {
+      await ensureSymbolData(p.symbol1.toLowerCase());
+      await ensureSymbolData(p.symbol2.toLowerCase());
+    }
+    await loadAndRender();
+  } catch (err) {
+    document.getElementById('pairs-editor-status').textContent = `Could not update pairs: ${err.message}`;
+    console.error(err);
+  }
+}
+
+function wirePairsEditor() {
+  const list = document.getElementById('pairs-editor-list');
+  if (!list) return;
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const i = parseInt(btn.closest('.pairs-editor-row').dataset.index, 10);
+    const action = btn.dataset.action;
+
+    if (action === 'up' && i > 0) {
+      [PAIRS[i - 1], PAIRS[i]] = [PAIRS[i], PAIRS[i - 1]];
+    } else if (action === 'down' && i < PAIRS.length - 1) {
+      [PAIRS[i + 1], PAIRS[i]] = [PAIRS[i], PAIRS[i + 1]];
+    } else if (action === 'remove' && PAIRS.length > 1) {
+      PAIRS.splice(i, 1);
+    } else {
+      return;
+    }
+    PAIRS = [...PAIRS];
+    onPairsChanged();
+  });
+
+  list.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    if (!field) return;
+    const i = parseInt(e.target.closest('.pairs-editor-row').dataset.index, 10);
+    PAIRS = PAIRS.map((p, j) => j === i ? { ...p, [field]: e.target.value } : p);
+    onPairsChanged();
+  });
+
+  document.getElementById('pairAddBtn').addEventListener('click', () => {
+    const symbol1 = document.getElementById('pairSymbol1Select').value;
+    const symbol2 = document.getElementById('pairSymbol2Select').value;
+    const status  = document.getElementById('pairs-editor-status');
+    const id = pairId(symbol1, symbol2);
+
+    if (!symbol1 || !symbol2 || symbol1 === symbol2) {
+      status.textContent = 'Pick two different symbols.';
+      return;
+    }
+    if (PAIRS.some(p => p.id === id)) {
+      status.textContent = `${symbol1} ↔ ${symbol2} is already on the dashboard.`;
+      return;
+    }
+
+    status.textContent = '';
+    PAIRS = [...PAIRS, {
+      id,
+      symbol1,
+      symbol2,
+      name: `${symbol1} vs ${symbol2}`,
+      color1: document.getElementById('pairColor1Input').value,
+      color2: document.getElementById('pairColor2Input').value,
+    }];
+    onPairsChanged();
+  });
+
+  document.getElementById('pairResetBtn').addEventListener('click', () => {
+    resetPairs();
+    document.getElementById('pairs-editor-status').textContent = '';
+    onPairsChanged();
+  });
+}
+
 // =============================================================================
 // CACHE RENDERING
 // =============================================================================
 
+// Kept so a pair's chart type can be switched without reloading the cache
+let lastDivergenceCache = null;
+
+// Both price charts for one pair. Charts use CSV data from dataCache /
+// barCache; pivots come from the divergence cache. Returns false without data.
+function renderPairPriceCharts(pair, pairData) {
+  const view = { type: pairChartType(pair.id), intraday: isIntraday() };
+  let rendered = true;
+
+  for (const [sym, color, pivots, trend] of [
+    [pair.symbol1, pair.color1, pairData.pivots1, pairData.trend1],
+    [pair.symbol2, pair.color2, pairData.pivots2, pairData.trend2],
+  ]) {
+    const s = sym.toLowerCase();
+    const pts = dataCache[tfKey(s)];
+    if (!pts || pts.length === 0) { rendered = false; continue; }
+
+    const recent   = ChartUtils.last(pts, LOOKBACK_DAYS);
+    // Overlays run over the full history so their first visible values are warm
+    const history  = barCache[tfKey(s)] || pts.map(([time, close]) => ({ time, close }));
+    const overlays = Indicators.overlayLines(OVERLAYS, history, history.length - recent.length);
+    const bars     = ChartUtils.last(barCache[tfKey(s)] || [], LOOKBACK_DAYS);
+
+    renderChartTV(`chart-${pair.id}-${s}`, recent, color, sym, pivots, overlays, trend, { ...view, bars });
+  }
+  return rendered;
+}
+
+// Returns the combined signal ({ label, score }) for the signal journal
 function applyDivergenceCache(cache) {
+  lastDivergenceCache = cache;
+
   // MA-based risk score (from cache)
   const riskScore      = cache.risk_score;
   const scoreElement   = document.getElementById("risk-score");
   const detailsElement = document.getElementById("risk-details");
 
   if (scoreElement) {
-    scoreElement.textContent = `${riskScore.signal} (${riskScore.score > 0 ? '+' : ''}${riskScore.score})`;
+    scoreElement.textContent = riskScore.insufficient
+      ? riskScore.signal
+      : `${riskScore.signal} (${riskScore.score > 0 ? '+' : ''}${riskScore.score})`;
   }
   if (detailsElement) {
     detailsElement.innerHTML = riskScore.details.map(d => {
       const above = d.includes('\u2713');
-      return `<span style="padding:3px 8px;border-radius:4px;background:${above ? 'rgba(74,222,128,0.15)' : 'rgba(248,113,113,0.15)'};color:${above ? '#4ade80' : '#f87171'}">${d}</span>`;
+      return `<span style="padding:3px 8px;border-radius:4px;background:color-mix(in srgb, var(--${above ? 'up' : 'down-soft'}) 15%, transparent);color:var(--${above ? 'up' : 'down-soft'})">${d}</span>`;
     }).join('');
   }
 
@@ -298,20 +787,20 @@ function applyDivergenceCache(cache) {
   const trendScoreElement   = document.getElementById("trend-risk-score");
   const trendDetailsElement = document.getElementById("trend-risk-details");
 
-  let total = 0;
+  const scores = RiskScores.divergenceScores(cache);
+  const total  = scores.trendTotal;
   const pairChips = [];
-  for (const pairData of cache.pairs) {
-    const s = scorePair(pairData.trend1, pairData.trend2);
-    total += s;
+  cache.pairs.forEach((pairData, i) => {
+    const s = scores.pairScores[i].score;
     const sign = s > 0 ? '+' : '';
-    const chipColor = s > 0 ? 'rgba(16,185,129,0.15)' : s < 0 ? 'rgba(239,68,68,0.15)' : 'rgba(167,167,173,0.15)';
-    const textColor = s > 0 ? '#10b981' : s < 0 ? '#ef4444' : '#a7a7ad';
+    const tone = s > 0 ? 'up' : s < 0 ? 'down' : 'muted';
+    const chipColor = `color-mix(in srgb, var(--${tone}) 15%, transparent)`;
+    const textColor = `var(--${tone})`;
     const pair = PAIRS.find(p => p.id === pairData.id);
     const pairLabel = pair ? `${pair.symbol1}↔${pair.symbol2}` : pairData.id;
     pairChips.push(`<span style="padding:3px 8px;border-radius:4px;background:${chipColor};color:${textColor}">${pairLabel}: ${trendArrow(pairData.trend1)} vs ${trendArrow(pairData.trend2)} (${sign}${s})</span>`);
-  }
-  const maxTotal = cache.pairs.length * 2;
-  const { label, color } = trendSignalLabel(total, maxTotal);
+  });
+  const { label, color } = scores.trend;
 
   if (trendScoreElement) {
     trendScoreElement.textContent = `${label} (${total > 0 ? '+' : ''}${total})`;
@@ -323,11 +812,8 @@ function applyDivergenceCache(cache) {
 
   // Combined score: MA + trend structure, normalized against combined max
   const combinedElement = document.getElementById("combined-risk-score");
+  const { combinedScore, combined } = scores;
   if (combinedElement) {
-    const maMax = riskScore.details.length;
-    const combinedScore = riskScore.score + total;
-    const combinedMax = maMax + maxTotal;
-    const combined = trendSignalLabel(combinedScore, combinedMax);
     combinedElement.textContent = `${combined.label} (${combinedScore > 0 ? '+' : ''}${combinedScore})`;
     combinedElement.style.color = combined.color;
   }
@@ -348,75 +834,538 @@ function applyDivergenceCache(cache) {
     const elSignal = document.getElementById(`${pairData.id}-signal`);
     if (elSignal) elSignal.textContent = pairData.signal;
 
-    // Charts use CSV data from dataCache; pivots come from cache
-    const pts1 = dataCache[s1];
-    const pts2 = dataCache[s2];
-    if (!pts1 || !pts2 || pts1.length === 0 || pts2.length === 0) continue;
+    if (!renderPairPriceCharts(pair, pairData)) continue;
 
-    const recent1    = ChartUtils.last(pts1, LOOKBACK_DAYS);
-    const recent2    = ChartUtils.last(pts2, LOOKBACK_DAYS);
-    const startTime1 = recent1[0][0];
-    const startTime2 = recent2[0][0];
-    const ma50_1     = calculateMA(pts1, 50).filter(p => p[0] >= startTime1);
-    const ma50_2     = calculateMA(pts2, 50).filter(p => p[0] >= startTime2);
+    const pts1 = dataCache[tfKey(s1)];
+    const pts2 = dataCache[tfKey(s2)];
+    const overlay = renderOverlayChart(`chart-${pairData.id}-overlay`, pair, pts1, pts2, cache.pivot_mode, cache.swing);
+    const elRatio = document.getElementById(`${pairData.id}-ratio-trend`);
+    if (elRatio) elRatio.textContent = overlay ? overlay.trend : '';
+  }
+
+  return { label: combined.label, score: combinedScore };
+}
 
-    renderChartTV(`chart-${pairData.id}-${s1}`, recent1, pair.color1, pair.symbol1, pairData.pivots1, ma50_1);
-    renderChartTV(`chart-${pairData.id}-${s2}`, recent2, pair.color2, pair.symbol2, pairData.pivots2, ma50_2);
+// Combined score and every pair's signal for alert rules (alerts.js), from a
+// loadDivergence() result
+function publishAlertMetrics(cache, asOf) {
+  const { combined, combinedScore } = RiskScores.divergenceScores(cache);
+  const pairs = cache.pairs.map(pairData => {
+    const pair = PAIRS.find(p => p.id === pairData.id);
+    const pairLabel = pair ? `${pair.symbol1}↔${pair.symbol2}` : pairData.id;
+    return { key: `pair.${pairData.id}`, label: `${pairLabel} signal`, value: pairData.signal };
+  });
+  Alerts.publish('divergence', [
+    { key: 'combined', label: 'Divergence combined signal', value: combined.label },
+    { key: 'score',    label: 'Divergence combined score',  value: combinedScore },
+    ...pairs,
+  ], { asOf });
+}
+
+// Precomputed cache is an optional speed-up; any combo it doesn't cover is
+// computed in the browser from dataCache via DivergenceEngine. Custom pairs
+// not in the cache file are computed the same way, and the result is ordered
+// to match PAIRS. view is a currentView() object.
+async function loadDivergence(view) {
+  const { timeframe, lookback, pivotMode } = view;
+  const swing = DivergenceEngine.swingDays(view);
+  if (timeframe !== 'daily') {
+    return DivergenceEngine.computeDivergence({
+      pairs:     PAIRS,
+      symbols:   CONFIG.symbols,
+      data:      timeframeData(timeframe),
+      lookback,
+      pivotMode,
+      swing,
+      maLabel:   maScoreLabel(timeframe),
+    });
   }
+  try {
+    const r = await fetch(`./data/cache/divergence_${lookback}_${pivotMode}_${swing}.json`, { cache: 'no-store' });
+    if (r.ok) {
+      const cache = await r.json();
+      cache.pairs = PAIRS.map(pair =>
+        cache.pairs.find(p => p.id === pair.id) ||
+        DivergenceEngine.analyzePair(
+          pair,
+          dataCache[pair.symbol1.toLowerCase()],
+          dataCache[pair.symbol2.toLowerCase()],
+          lookback, pivotMode, swing
+        )
+      );
+      return cache;
+    }
+  } catch (err) {
+    console.warn('Divergence cache unavailable:', err.message);
+  }
+  return DivergenceEngine.computeDivergence({
+    pairs:     PAIRS,
+    symbols:   CONFIG.symbols,
+    data:      dataCache,
+    lookback,
+    pivotMode,
+    swing,
+  });
 }
 
 async function loadAndRender() {
-  const swing = SWING_WINDOW_DAYS !== null ? SWING_WINDOW_DAYS : Math.min(10, Math.max(2, Math.floor(LOOKBACK_DAYS / 10)));
-  const r = await fetch(`./data/cache/divergence_${LOOKBACK_DAYS}_${PIVOT_MODE}_${swing}.json`, { cache: 'no-store' });
-  if (!r.ok) throw new Error(`Cache missing — run: python3 generate_cache.py`);
-  applyDivergenceCache(await r.json());
+  relabelBarControls();
+  return applyDivergenceCache(await loadDivergence(currentView()));
+}
+
+// The user's saved defaults (settings drawer) override config.json
+function applySettings() {
+  setView(DivergenceEngine.defaultView(CONFIG.defaults, Settings));
+  OVERLAYS = Indicators.parseOverlays(Settings.get('divergence.overlays', DEFAULT_OVERLAYS)).overlays;
+}
+
+// URL parameters (shareable links) override settings and config.json defaults
+function restoreControlsFromUrl() {
+  const tf = UrlState.restoreSelect('timeframeSelect', 'tf');
+  if (tf) TIMEFRAME = tf;
+  const lookback = UrlState.restoreSelect('lookbackSelect', 'lookback');
+  if (lookback) LOOKBACK_DAYS = parseInt(lookback, 10);
+  const pivot = UrlState.restoreSelect('pivotModeSelect', 'pivot');
+  if (pivot) PIVOT_MODE = pivot;
+  const swing = UrlState.restoreSelect('barsSelect', 'swing');
+  if (swing) SWING_WINDOW_DAYS = swing === 'auto' ? null : parseInt(swing, 10);
+  const overlays = UrlState.get('overlays');
+  if (overlays !== null) {
+    const parsed = Indicators.parseOverlays(overlays);
+    if (!parsed.errors.length) OVERLAYS = parsed.overlays;
+  }
+}
+
+// The analysis settings as one value, so a view other than the one on
+// screen (the user's defaults, for alerts) can be loaded
+function currentView() {
+  return { timeframe: TIMEFRAME, lookback: LOOKBACK_DAYS, pivotMode: PIVOT_MODE, swingWindow: SWING_WINDOW_DAYS };
+}
+
+// Sets the analysis globals from a DivergenceEngine.defaultView() result
+function setView(view) {
+  LOOKBACK_DAYS     = view.lookback;
+  PIVOT_MODE        = view.pivotMode;
+  SWING_WINDOW_DAYS = view.swingWindow;
+}
+
+// The view as URL parameters (restoreControlsFromUrl() reads them back)
+function viewParams() {
+  return {
+    tf:       TIMEFRAME,
+    lookback: LOOKBACK_DAYS,
+    pivot:    PIVOT_MODE,
+    swing:    SWING_WINDOW_DAYS == null ? 'auto' : SWING_WINDOW_DAYS,
+    overlays: Indicators.overlayParam(OVERLAYS),
+  };
+}
+
+// Identifies the analysis settings; compared against the user's defaults
+function viewKey(view = currentView()) {
+  return `${view.timeframe}|${view.lookback}|${view.pivotMode}|${view.swingWindow}`;
+}
+
+// Point the header selects at the current globals
+function syncControls() {
+  document.getElementById('timeframeSelect').value = TIMEFRAME;
+  document.getElementById('lookbackSelect').value  = String(LOOKBACK_DAYS);
+  document.getElementById('pivotModeSelect').value = PIVOT_MODE;
+  document.getElementById('barsSelect').value      = SWING_WINDOW_DAYS == null ? 'auto' : String(SWING_WINDOW_DAYS);
+  relabelBarControls();
+}
+
+// Lookback / swing options and the MA score count bars, which are only days
+// on Daily. Intraday history is short, so lookbacks past it are disabled
+// (the current one stays selectable) and the note names whatever the loaded
+// bars can't cover.
+function relabelBarControls() {
+  const bars = isIntraday() ? loadedBars() : Infinity;
+  const short = [
+    ...(bars < 50 ? [`the ${maScoreLabel()}`] : []),
+    ...OVERLAYS.filter(o => o.period > bars).map(o => `the ${Indicators.formatOverlays([o])} overlay`),
+  ];
+  document.getElementById('risk-score-note').textContent =
+    `Each symbol: +1 if price above ${maScoreLabel()}, -1 if below` +
+    (short.length ? `. Only ${bars} ${TIMEFRAME.toUpperCase()} bars are loaded, too few for ${short.join(' and ')}` : '');
+
+  const unit = isIntraday() ? 'bars' : 'days';
+  for (const id of ['lookbackSelect', 'barsSelect']) {
+    for (const opt of document.getElementById(id).options) {
+      if (!/^\d+$/.test(opt.value)) continue;
+      const tooLong = id === 'lookbackSelect' && parseInt(opt.value, 10) > bars;
+      opt.textContent = tooLong ? `${opt.value} ${unit} (only ${bars} loaded)` : `${opt.value} ${unit}`;
+      opt.disabled = tooLong && parseInt(opt.value, 10) !== LOOKBACK_DAYS;
+    }
+  }
 }
 
 // =============================================================================
-// INITIALIZATION
+// CORRELATION
+// Rolling return correlations between every configured symbol — see
+// correlation.js. Clicking a heatmap cell opens that pair's rolling chart.
 // =============================================================================
 
-(async function main() {
-  try {
-    await loadConfig();
+let CORRELATION_WINDOW = 60;
+let correlationChart = null;
+let correlationSelection = null;
+
+const CORRELATION_HISTORY_DAYS = 504;
 
-    // Load all CSVs — still needed for TradingView chart rendering
+function showRollingCorrelation(a, b) {
+  correlationSelection = [a, b];
+  if (correlationChart) { correlationChart.remove(); correlationChart = null; }
+
+  const title = document.getElementById('correlation-chart-title');
+  if (title) title.textContent = `${a.toUpperCase()} / ${b.toUpperCase()} — rolling correlation (2y)`;
+  correlationChart = Correlation.renderRollingChart(
+    'correlation-chart', dataCache[a] || [], dataCache[b] || [], CORRELATION_HISTORY_DAYS
+  );
+}
+
+function renderCorrelation() {
+  const symbols = SYMBOLS.filter(s => (dataCache[s] || []).length > 0);
+  const matrix  = Correlation.computeMatrix(symbols, dataCache, CORRELATION_WINDOW);
+  Correlation.renderHeatmap('correlation-heatmap', matrix, showRollingCorrelation);
+
+  const listEl = document.getElementById('correlation-breakdowns');
+  if (listEl) {
+    const broken = Correlation.listBreakdowns(matrix);
+    listEl.innerHTML = broken.length
+      ? broken.map(bd => `<span class="corr-breakdown-chip">⚠ ${bd.a.toUpperCase()}/${bd.b.toUpperCase()}: ${bd.current.toFixed(2)} vs 1y avg ${bd.mean.toFixed(2)}</span>`).join('')
+      : `<span class="muted" style="font-size:12px">No ${CORRELATION_WINDOW}-day correlation breakdowns (drop of ${Correlation.BREAKDOWN_DROP} or more below the 1-year average).</span>`;
+  }
+
+  if (!correlationSelection && symbols.length >= 2) correlationSelection = [symbols[0], symbols[1]];
+  if (correlationSelection) showRollingCorrelation(...correlationSelection);
+}
+
+// =============================================================================
+// BACKTEST
+// Replays the MA score, trend-structure score and combined score for every
+// SPY trading day using the same rules as applyDivergenceCache() — current
+// lookback / pivot mode / swing and the current PAIRS list — then measures
+// SPY forward returns per combined-signal bucket.
+// =============================================================================
+
+const BACKTEST_HORIZONS = [5, 20, 60];
+const BACKTEST_BUCKETS  = ['🟢 STRONG RISK ON', '🟡 RISK ON', '⚪ NEUTRAL', '🟠 RISK OFF', '🔴 STRONG RISK OFF'];
+
+let backtestChart = null;
+
+// Index of the last point with time <= t (points sorted ascending), or -1
+function indexAtOrBefore(points, t) {
+  let lo = 0, hi = points.length - 1, ans = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid][0] <= t) { ans = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return ans;
+}
+
+function replayCombinedScore(days, swing) {
+  const spy = dataCache.spy || [];
+  const start = Math.max(0, spy.length - days);
+
+  // MA50 per config symbol, keyed by timestamp for point-in-time lookups
+  const maSeries = {};
+  for (const sym of SYMBOLS) {
+    const pts = dataCache[sym] || [];
+    maSeries[sym] = { pts, ma: new Map(calculateMA(pts, 50)) };
+  }
+
+  const rows = [];
+  for (let i = start; i < spy.length; i++) {
+    const t = spy[i][0];
+
+    let maScore = 0, maMax = 0;
     for (const sym of SYMBOLS) {
-      try {
-        dataCache[sym] = await loadCsvPoints(`./data/${sym}.csv`);
-        dataCache[`${sym}_hourly`] = await loadHourlyData(`./data/${sym}_hourly.csv`);
-      } catch (err) {
-        console.warn(`Could not load ${sym}:`, err.message);
-        dataCache[sym] = [];
-        dataCache[`${sym}_hourly`] = [];
-      }
+      const { pts, ma } = maSeries[sym];
+      const idx = indexAtOrBefore(pts, t);
+      if (idx < 0) continue;
+      const m = ma.get(pts[idx][0]);
+      if (m === undefined) continue;
+      maScore += pts[idx][1] > m ? 1 : -1;
+      maMax++;
     }
 
-    renderPairColumns();
+    let trendScore = 0, trendMax = 0;
+    for (const pair of PAIRS) {
+      const p1 = dataCache[pair.symbol1.toLowerCase()] || [];
+      const p2 = dataCache[pair.symbol2.toLowerCase()] || [];
+      const i1 = indexAtOrBefore(p1, t);
+      const i2 = indexAtOrBefore(p2, t);
+      if (i1 < 0 || i2 < 0) continue;
+      // analyzePair only looks at the trailing lookback window
+      const r = DivergenceEngine.analyzePair(
+        pair,
+        p1.slice(Math.max(0, i1 + 1 - LOOKBACK_DAYS), i1 + 1),
+        p2.slice(Math.max(0, i2 + 1 - LOOKBACK_DAYS), i2 + 1),
+        LOOKBACK_DAYS, PIVOT_MODE, swing
+      );
+      trendScore += scorePair(r.trend1, r.trend2);
+      trendMax += 2;
+    }
+
+    if (maMax + trendMax === 0) continue;
+    const score = maScore + trendScore;
+    const { label, color } = trendSignalLabel(score, maMax + trendMax);
+    rows.push({ idx: i, time: t, score, label, color });
+  }
+  return rows;
+}
 
-    const lastUpdated = await ChartUtils.loadLastUpdated();
-    document.getElementById("meta").textContent = `Last updated: ${lastUpdated}`;
+function forwardReturnStats(rows) {
+  const spy = dataCache.spy || [];
+  const stats = {};
+  for (const bucket of ['All days', ...BACKTEST_BUCKETS]) {
+    stats[bucket] = { days: 0, horizons: BACKTEST_HORIZONS.map(() => ({ n: 0, sum: 0, wins: 0 })) };
+  }
 
-    await loadAndRender();
+  for (const row of rows) {
+    for (const bucket of ['All days', row.label]) {
+      const s = stats[bucket];
+      if (!s) continue;
+      s.days++;
+      BACKTEST_HORIZONS.forEach((h, k) => {
+        const j = row.idx + h;
+        if (j >= spy.length) return;
+        const ret = spy[j][1] / spy[row.idx][1] - 1;
+        const acc = s.horizons[k];
+        acc.n++;
+        acc.sum += ret;
+        if (ret > 0) acc.wins++;
+      });
+    }
+  }
+  return stats;
+}
+
+function renderBacktestChart(rows) {
+  const el = document.getElementById('backtest-chart');
+  if (!el) return;
+  if (backtestChart) { backtestChart.remove(); backtestChart = null; }
+  el.innerHTML = '';
+
+  const spy = dataCache.spy || [];
+  const first = rows[0].idx;
+
+  backtestChart = ChartUtils.createDashboardChart(el, 380);
+
+  const spySeries = backtestChart.addSeries(LineSeries, {
+    color: Theme.color('info'),
+    lineWidth: 2,
+    priceLineVisible: false,
+    lastValueVisible: false,
+  });
+  spySeries.setData(spy.slice(first).map(([time, value]) => ({ time, value })));
+
+  const scoreSeries = backtestChart.addSeries(HistogramSeries, {
+    priceLineVisible: false,
+    lastValueVisible: true,
+  }, 1);
+  scoreSeries.setData(rows.map(r => ({ time: r.time, value: r.score, color: r.color })));
+
+  const panes = backtestChart.panes();
+  if (panes[1]) panes[1].setHeight(130);
+
+  backtestChart.timeScale().fitContent();
+  const chart = backtestChart;
+  ChartUtils.makeInspectable(chart, el, {
+    refit: () => chart.timeScale().fitContent(),
+    series: [
+      { series: spySeries,   label: 'SPY',      color: Theme.color('info') },
+      { series: scoreSeries, label: 'Combined', color: Theme.color('text'), format: v => `${v > 0 ? '+' : ''}${v}` },
+    ],
+  });
+  ChartUtils.addChartLegend('backtest-chart', [
+    { label: 'SPY', color: Theme.color('info'), value: fmt(spy[spy.length - 1][1]) },
+    { label: 'Combined', color: rows[rows.length - 1].color, value: rows[rows.length - 1].score },
+  ]);
+}
+
+function renderBacktestTable(stats) {
+  const el = document.getElementById('backtest-table');
+  if (!el) return;
+
+  const pct = x => `${x >= 0 ? '+' : ''}${(x * 100).toFixed(2)}%`;
+  const baseline = stats['All days'];
+
+  const body = ['All days', ...BACKTEST_BUCKETS].map(bucket => {
+    const s = stats[bucket];
+    const cells = s.horizons.map((acc, k) => {
+      if (acc.n === 0) return '<td style="padding:6px 8px;text-align:right;color:var(--dim)">—</td>';
+      const avg = acc.sum / acc.n;
+      const base = baseline.horizons[k].n ? baseline.horizons[k].sum / baseline.horizons[k].n : 0;
+      const color = bucket === 'All days' ? 'var(--text)' : avg >= base ? 'var(--up)' : 'var(--down-soft)';
+      return `<td style="padding:6px 8px;text-align:right;color:${color}">${pct(avg)}
+        <span class="muted" style="font-size:11px">(${Math.round(acc.wins / acc.n * 100)}% up, n=${acc.n})</span></td>`;
+    }).join('');
+    const weight = bucket === 'All days' ? 'font-weight:600;' : '';
+    return `<tr style="border-bottom:1px solid var(--surface-3);${weight}">
+      <td style="padding:6px 8px">${bucket}</td>
+      <td style="padding:6px 8px;text-align:right">${s.days}</td>
+      ${cells}
+    </tr>`;
+  }).join('');
+
+  el.innerHTML = `
+    <table style="width:100%;border-collapse:collapse;font-size:13px">
+      <thead>
+        <tr style="border-bottom:2px solid var(--muted)">
+          <th style="text-align:left;padding:6px 8px">Signal</th>
+          <th style="text-align:right;padding:6px 8px">Days</th>
+          ${BACKTEST_HORIZONS.map(h => `<th style="text-align:right;padding:6px 8px">SPY +${h}d</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+async function runBacktest() {
+  const status = document.getElementById('backtest-status');
+  const days   = parseInt(document.getElementById('backtestPeriodSelect').value, 10);
+  const swing  = DivergenceEngine.swingDays(currentView());
+
+  if (!dataCache.spy || dataCache.spy.length === 0) {
+    status.textContent = 'SPY data not loaded — backtest unavailable.';
+    return;
+  }
+
+  status.textContent = 'Running backtest on daily bars…';
+  // Let the status paint before the replay blocks the main thread
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  const rows = replayCombinedScore(days, swing);
+  if (rows.length === 0) {
+    status.textContent = 'Not enough history for this period.';
+    return;
+  }
+
+  renderBacktestChart(rows);
+  renderBacktestTable(forwardReturnStats(rows));
+
+  const from = new Date(rows[0].time * 1000).toISOString().slice(0, 10);
+  const to   = new Date(rows[rows.length - 1].time * 1000).toISOString().slice(0, 10);
+  // The replay is daily only; on 4H / 1H the lookback and swing are taken
+  // as days
+  status.textContent = `${rows.length} daily bars (${from} → ${to}) · lookback ${LOOKBACK_DAYS} days, ${PIVOT_MODE}, swing ${swing} days, ${PAIRS.length} pairs` +
+    (isIntraday() ? ` · replayed on daily bars, not ${TIMEFRAME.toUpperCase()}` : '');
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+(async function main() {
+  try {
+    ChartUtils.addPageInspectToggle(document.querySelector('.controls-row'));
+    await loadConfig();
+    const pageDefaults = viewParams();
+    applySettings();
+    // The user's defaults: config.json with their saved settings applied
+    const defaultView = currentView();
+    restoreControlsFromUrl();
+    UrlState.updateChanged(viewParams(), pageDefaults);
+    syncControls();
+
+    await loadAllSymbols();
+
+    loadChartTypes();
+    renderPairsEditor();
+    wirePairsEditor();
+    renderPairColumns();
+    wireChartTypeToggles();
+
+    // Meta line, journal and alerts; re-run after every background refresh
+    const renderAndRecord = async () => {
+      const lastUpdated = await ChartUtils.loadLastUpdated();
+      const staleCount = SYMBOLS.filter(sym => Freshness.checkBars(sym, barCache[sym]).stale).length;
+      document.getElementById("meta").innerHTML = `Last updated: ${lastUpdated}${Freshness.staleNote(staleCount)}`;
+
+      const combined = await loadAndRender();
+      const onDefaultView = viewKey() === viewKey(defaultView);
+      // The journal tracks the default view and config.json pairs only; a
+      // shared link's settings or an edited pair list would otherwise log
+      // spurious signal changes
+      if (onDefaultView && pairsAreDefault()) {
+        SignalJournal.recordAndShow('divergence', combined.label, {
+          asOf:   lastUpdated,
+          detail: `score ${combined.score > 0 ? '+' : ''}${combined.score}`,
+        });
+      } else {
+        SignalJournal.showBanner('divergence');
+      }
+      // Alert rules always see the default view, whatever the page shows
+      publishAlertMetrics(onDefaultView ? lastDivergenceCache : await loadDivergence(defaultView), lastUpdated);
+    };
+    await renderAndRecord();
+
+    document.getElementById("timeframeSelect").addEventListener("change", (e) => {
+      TIMEFRAME = e.target.value;
+      UrlState.update({ tf: TIMEFRAME });
+      loadAndRender();
+    });
 
     document.getElementById("lookbackSelect").addEventListener("change", (e) => {
       LOOKBACK_DAYS = parseInt(e.target.value, 10);
+      UrlState.update({ lookback: LOOKBACK_DAYS });
       loadAndRender();
     });
 
     document.getElementById("pivotModeSelect").addEventListener("change", (e) => {
       PIVOT_MODE = e.target.value;
+      UrlState.update({ pivot: PIVOT_MODE });
       loadAndRender();
     });
 
     document.getElementById("barsSelect").addEventListener("change", (e) => {
       const val = e.target.value;
       SWING_WINDOW_DAYS = val === "auto" ? null : parseInt(val, 10);
+      UrlState.update({ swing: val });
+      loadAndRender();
+    });
+
+    // Overlays only change the price charts; the divergence analysis stays put
+    ChartUtils.bindOverlayInput(document.getElementById('overlaysInput'), OVERLAYS, (next) => {
+      OVERLAYS = next;
+      UrlState.update({ overlays: Indicators.overlayParam(OVERLAYS) });
+      relabelBarControls();
+      if (!lastDivergenceCache) return;
+      for (const pair of PAIRS) {
+        const pairData = lastDivergenceCache.pairs.find(p => p.id === pair.id);
+        if (pairData) renderPairPriceCharts(pair, pairData);
+      }
+    });
+
+    document.getElementById("backtestRunBtn").addEventListener("click", runBacktest);
+
+    renderCorrelation();
+    document.getElementById("correlationWindowSelect").addEventListener("change", (e) => {
+      CORRELATION_WINDOW = parseInt(e.target.value, 10);
+      renderCorrelation();
+    });
+
+    // New data published: reload every CSV, then re-render in place
+    Refresh.start(async () => {
+      dataCache = {};
+      barCache = {};
+      await loadAllSymbols();
+      await renderAndRecord();
+      renderCorrelation();
+    });
+
+    // Chart colors are read once per render; redraw them, and any backtest
+    // already on screen, when the theme switches
+    Theme.onChange(() => {
       loadAndRender();
+      renderCorrelation();
+      if (backtestChart) runBacktest();
     });
 
   } catch (err) {
-    document.getElementById("meta").textContent = "Cache missing — run: python3 generate_cache.py";
+    document.getElementById("meta").textContent = `Error: ${err.message}`;
     console.error(err);
   }
 })();
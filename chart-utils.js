@@ -24,18 +24,18 @@
 
   // ---------------------------------------------------------------------------
   // createDashboardChart
-  // Dark solid background (#17181b), #333 grid, scroll/scale locked.
+  // Solid card background, --chart-grid grid (theme.js), scroll/scale locked.
   // Attaches a ResizeObserver so the chart reflows on window resize.
   // ---------------------------------------------------------------------------
   function createDashboardChart(el, height, overrides) {
     const base = {
       layout: {
-        background: { type: 'solid', color: '#17181b' },
-        textColor: '#e9e9ea',
+        background: { type: 'solid', color: Theme.color('surface') },
+        textColor: Theme.color('text'),
       },
       grid: {
-        vertLines: { color: '#333' },
-        horzLines: { color: '#333' },
+        vertLines: { color: Theme.color('chart-grid') },
+        horzLines: { color: Theme.color('chart-grid') },
       },
       handleScroll: false,
       handleScale: false,
@@ -51,21 +51,22 @@
 
   // ---------------------------------------------------------------------------
   // createFomcChart
-  // Transparent background, #1e1e2e grid, Normal crosshair, timeVisible true.
+  // Transparent background, --chart-grid-soft grid, Normal crosshair,
+  // timeVisible true.
   // ---------------------------------------------------------------------------
   function createFomcChart(el, height, overrides) {
     const base = {
       layout: {
         background: { color: 'transparent' },
-        textColor: '#a7a7ad',
+        textColor: Theme.color('muted'),
       },
       grid: {
-        vertLines: { color: '#1e1e2e' },
-        horzLines: { color: '#1e1e2e' },
+        vertLines: { color: Theme.color('chart-grid-soft') },
+        horzLines: { color: Theme.color('chart-grid-soft') },
       },
       crosshair: { mode: LC.CrosshairMode.Normal },
-      rightPriceScale: { borderColor: '#2a2a3e' },
-      timeScale: { borderColor: '#2a2a3e', timeVisible: true, minBarSpacing: 0.1 },
+      rightPriceScale: { borderColor: Theme.color('border-soft') },
+      timeScale: { borderColor: Theme.color('border-soft'), timeVisible: true, minBarSpacing: 0.1 },
       handleScroll: false,
       handleScale: false,
       width: el.clientWidth,
@@ -144,7 +145,7 @@
       item.style.cssText = 'display:inline-flex;align-items:center;gap:4px;';
       item.innerHTML = `
         <span style="background:${color};color:#000;font-size:11px;font-weight:700;padding:2px 7px;border-radius:3px;">${label}</span>
-        <span style="background:rgba(23,24,27,0.85);border:1px solid #2a2a3e;color:${color};font-size:11px;font-weight:600;padding:2px 7px;border-radius:3px;">${value}</span>
+        <span style="background:color-mix(in srgb, var(--surface) 85%, transparent);border:1px solid var(--border-soft);color:${color};font-size:11px;font-weight:600;padding:2px 7px;border-radius:3px;">${value}</span>
       `;
       row.appendChild(item);
     }
@@ -152,9 +153,457 @@
   }
 
   // ---------------------------------------------------------------------------
-  // hexToRgba — '#rrggbb', 0–1 → 'rgba(r,g,b,a)'
+  // Inspect mode
+  // makeInspectable(chart, el, opts) pins a 🔍 toggle to the chart's top-right.
+  // While on: pan/zoom, Normal crosshair, a floating tooltip (date + value of
+  // each tracked series) and a ↺ reset-view button. Toggling off restores the
+  // chart's original interaction options and re-runs opts.refit — the chart's
+  // usual fitWithRightPadding / fitWithDateRangePadding call.
+  // opts: { refit: () => void, series: [{ series, label, color, format? }],
+  //         name?: export file name (defaults to el.id) }
+  // Every inspectable chart also gets a ⤓ export menu (makeExportable).
+  // setPageInspect(on) / addPageInspectToggle(el) drive every registered chart.
   // ---------------------------------------------------------------------------
+  const inspectControllers = new Set();
+  let pageInspect = false;
+
+  function formatTooltipTime(time) {
+    if (typeof time === 'number') {
+      const d = new Date(time * 1000);
+      const hasClock = d.getUTCHours() !== 0 || d.getUTCMinutes() !== 0;
+      return d.toISOString().slice(0, hasClock ? 16 : 10).replace('T', ' ');
+    }
+    if (typeof time === 'string') return time;
+    if (time && time.year) {
+      return `${time.year}-${String(time.month).padStart(2, '0')}-${String(time.day).padStart(2, '0')}`;
+    }
+    return '';
+  }
+
+  function makeInspectable(chart, el, opts) {
+    const refit   = opts.refit || (() => chart.timeScale().fitContent());
+    const tracked = opts.series || [];
+    const o = chart.options();
+    const original = {
+      handleScroll: o.handleScroll,
+      handleScale:  o.handleScale,
+      crosshair:    { mode: o.crosshair.mode },
+    };
+    let on = false;
+
+    el.style.position = 'relative';
+
+    const btnCss = 'position:absolute;top:6px;z-index:11;background:color-mix(in srgb, var(--surface) 85%, transparent);' +
+      'border:1px solid var(--border-soft);color:var(--muted);font-size:11px;padding:2px 6px;border-radius:4px;cursor:pointer;';
+    const toggleBtn = document.createElement('button');
+    toggleBtn.type = 'button';
+    toggleBtn.title = 'Inspect: pan, zoom and crosshair';
+    toggleBtn.textContent = '🔍';
+    toggleBtn.style.cssText = btnCss + 'right:60px;';
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.title = 'Reset view';
+    resetBtn.textContent = '↺';
+    resetBtn.style.cssText = btnCss + 'right:124px;display:none;';
+
+    const tooltip = document.createElement('div');
+    tooltip.style.cssText = 'position:absolute;z-index:12;pointer-events:none;display:none;' +
+      'background:color-mix(in srgb, var(--surface) 92%, transparent);border:1px solid var(--border-soft);border-radius:4px;' +
+      'padding:4px 8px;font-size:11px;color:var(--text);white-space:nowrap;';
+
+    // Containers reused across re-renders keep their old controls otherwise
+    el.querySelectorAll('[data-inspect]').forEach(n => n.remove());
+    for (const n of [toggleBtn, resetBtn, tooltip]) {
+      n.dataset.inspect = '';
+      el.appendChild(n);
+    }
+
+    function setInspect(next) {
+      on = !!next;
+      el.classList.toggle('inspecting', on);   // swipe-tabs.js leaves these alone
+      toggleBtn.style.color = on ? 'var(--text)' : 'var(--muted)';
+      toggleBtn.style.borderColor = on ? 'var(--accent)' : 'var(--border-soft)';
+      resetBtn.style.display = on ? '' : 'none';
+      if (on) {
+        chart.applyOptions({
+          handleScroll: true,
+          handleScale:  true,
+          crosshair:    { mode: LC.CrosshairMode.Normal },
+        });
+      } else {
+        tooltip.style.display = 'none';
+        chart.applyOptions(original);
+        refit();
+      }
+    }
+
+    chart.subscribeCrosshairMove(param => {
+      if (!on || !param.point || param.time === undefined) {
+        tooltip.style.display = 'none';
+        return;
+      }
+      const rows = [];
+      for (const t of tracked) {
+        const d = param.seriesData.get(t.series);
+        if (!d) continue;
+        const v = d.value !== undefined ? d.value : d.close;
+        if (v === undefined) continue;
+        const text = t.format ? t.format(v) : v.toFixed(2);
+        rows.push(`<div><span style="color:${t.color || 'var(--muted)'}">${t.label}</span> ${text}</div>`);
+      }
+      tooltip.innerHTML = `<div style="color:var(--muted)">${formatTooltipTime(param.time)}</div>${rows.join('')}`;
+      tooltip.style.display = 'block';
+      const x = Math.min(param.point.x + 12, el.clientWidth - tooltip.offsetWidth - 4);
+      const y = Math.max(4, Math.min(param.point.y + 12, el.clientHeight - tooltip.offsetHeight - 4));
+      tooltip.style.left = `${Math.max(4, x)}px`;
+      tooltip.style.top  = `${y}px`;
+    });
+
+    toggleBtn.addEventListener('click', () => setInspect(!on));
+    resetBtn.addEventListener('click', () => refit());
+
+    makeExportable(chart, el, { name: opts.name, series: tracked });
+
+    const controller = { chart, el, setInspect, isOn: () => on };
+    for (const c of inspectControllers) {
+      if (!c.el.isConnected || c.el === el) inspectControllers.delete(c);
+    }
+    inspectControllers.add(controller);
+    if (pageInspect) setInspect(true);
+    return controller;
+  }
+
+  function setPageInspect(next) {
+    pageInspect = !!next;
+    for (const c of inspectControllers) {
+      if (!c.el.isConnected) { inspectControllers.delete(c); continue; }
+      c.setInspect(pageInspect);
+    }
+  }
+
+  // Page-level toggle button appended to el (e.g. a header .controls-row)
+  function addPageInspectToggle(el) {
+    if (!el) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'control-btn';
+    const label = () => { btn.textContent = `🔍 Inspect charts: ${pageInspect ? 'on' : 'off'}`; };
+    label();
+    btn.addEventListener('click', () => { setPageInspect(!pageInspect); label(); });
+    el.appendChild(btn);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // addExportMenu(el, name, formats, opts) adds a ⤓ button whose menu offers
+  // each format given — png: () => canvas (or a Promise of one), csv: () =>
+  // rows (array of flat objects), json: () => any serialisable value. Files
+  // download as `${name}-YYYY-MM-DD.ext`. opts.placement: 'chart' (next to
+  // the 🔍 toggle), 'corner' (top-right of a card, shown on hover) or omitted
+  // for an inline "⤓ Export" .control-btn appended to el.
+  // ---------------------------------------------------------------------------
+  const EXPORT_LABELS = { png: 'PNG image', csv: 'CSV data', json: 'JSON data' };
+
+  function exportFileName(name, ext) {
+    const slug = String(name || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  }
+
+  function download(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // toCsv(rows) — header is every key in order of first appearance
+  function toCsv(rows) {
+    const columns = [];
+    for (const row of rows) {
+      for (const k of Object.keys(row)) if (!columns.includes(k)) columns.push(k);
+    }
+    const cell = (v) => {
+      if (v === null || v === undefined) return '';
+      const str = String(v);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return [columns.map(cell).join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\n');
+  }
+
+  // svgToCanvas(svgEl, background) → Promise<canvas> at 2× for sparkline PNGs
+  function svgToCanvas(svgEl, background = Theme.color('surface-2')) {
+    const { width, height } = svgEl.getBoundingClientRect();
+    const clone = svgEl.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml' }));
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const scale = 2;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        resolve(canvas);
+      };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Could not render SVG')); };
+      img.src = url;
+    });
+  }
+
+  async function runExport(name, format, produce) {
+    const value = await produce();
+    if (format === 'png') {
+      const blob = await new Promise(resolve => value.toBlob(resolve, 'image/png'));
+      download(exportFileName(name, 'png'), blob);
+    } else if (format === 'csv') {
+      download(exportFileName(name, 'csv'), new Blob([toCsv(value)], { type: 'text/csv' }));
+    } else {
+      download(exportFileName(name, 'json'), new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }));
+    }
+  }
+
+  let openExportList = null;
+
+  function addExportMenu(el, name, formats, opts = {}) {
+    el.querySelectorAll(':scope > [data-export]').forEach(n => n.remove());
+
+    const wrap = document.createElement('div');
+    wrap.className = `export-menu${opts.placement ? ` export-${opts.placement}` : ''}`;
+    wrap.dataset.export = '';
+    if (opts.placement) el.style.position = 'relative';
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.title = 'Export';
+    btn.className = opts.placement ? 'export-btn' : 'control-btn';
+    btn.textContent = opts.placement ? '⤓' : '⤓ Export';
+
+    const list = document.createElement('div');
+    list.className = 'export-list';
+    list.hidden = true;
+    for (const format of Object.keys(formats)) {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.textContent = EXPORT_LABELS[format];
+      item.addEventListener('click', async () => {
+        list.hidden = true;
+        try {
+          await runExport(name, format, formats[format]);
+        } catch (err) {
+          console.error(`Export ${format} failed:`, err);
+        }
+      });
+      list.appendChild(item);
+    }
+
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (openExportList && openExportList !== list) openExportList.hidden = true;
+      list.hidden = !list.hidden;
+      openExportList = list.hidden ? null : list;
+    });
+
+    wrap.append(btn, list);
+    el.appendChild(wrap);
+    return wrap;
+  }
+
+  document.addEventListener('click', () => {
+    if (openExportList) { openExportList.hidden = true; openExportList = null; }
+  });
+
+  // seriesRows(tracked) — every tracked series' data joined on time; candle
+  // and bar series contribute "<label> open/high/low/close" columns
+  function seriesRows(tracked) {
+    const rows = new Map();
+    for (const t of tracked) {
+      for (const d of t.series.data()) {
+        const k = timeKey(d.time);
+        const row = rows.get(k) || { time: formatTooltipTime(d.time) };
+        if (d.value !== undefined) {
+          row[t.label] = d.value;
+        } else if (d.close !== undefined) {
+          for (const f of ['open', 'high', 'low', 'close']) row[`${t.label} ${f}`] = d[f];
+        }
+        rows.set(k, row);
+      }
+    }
+    return [...rows.entries()]
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+      .map(([, row]) => row);
+  }
+
+  // makeExportable(chart, el, { name, series }) — PNG via the chart's own
+  // takeScreenshot(), CSV of the tracked series
+  function makeExportable(chart, el, opts = {}) {
+    const formats = { png: () => chart.takeScreenshot() };
+    if (opts.series && opts.series.length) formats.csv = () => seriesRows(opts.series);
+    return addExportMenu(el, opts.name || el.id || 'chart', formats, { placement: 'chart' });
+  }
+
+  // ---------------------------------------------------------------------------
+  // createChartGroup — keeps visible time range and crosshair in sync
+  // group.add(chart, series) registers a chart; series is the one whose value
+  // anchors the mirrored crosshair. Only the chart under the pointer drives
+  // the group, so each chart's own initial fit is left alone.
+  // group.remove(chart) before chart.remove() when re-rendering.
+  // ---------------------------------------------------------------------------
+  function timeKey(time) {
+    if (typeof time === 'object' && time) {
+      return `${time.year}-${String(time.month).padStart(2, '0')}-${String(time.day).padStart(2, '0')}`;
+    }
+    return time;
+  }
+
+  // Last data point at or before time (binary search; data is time-ascending)
+  function pointAtOrBefore(data, time) {
+    const key = timeKey(time);
+    let lo = 0, hi = data.length - 1, found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (timeKey(data[mid].time) <= key) { found = data[mid]; lo = mid + 1; }
+      else hi = mid - 1;
+    }
+    return found;
+  }
+
+  function createChartGroup() {
+    const members = new Map(); // chart → { series, el, onEnter, onRange, onCrosshair }
+    let source = null;
+
+    function others(chart) {
+      return [...members.entries()].filter(([c]) => c !== chart);
+    }
+
+    function add(chart, series) {
+      if (members.has(chart)) remove(chart);
+      const el = chart.chartElement();
+      const m = { series, el };
+
+      m.onEnter = () => { source = chart; };
+      m.onRange = (range) => {
+        if (source !== chart || !range) return;
+        for (const [c] of others(chart)) {
+          try { c.timeScale().setVisibleRange(range); } catch (_) { /* no data yet */ }
+        }
+      };
+      m.onCrosshair = (param) => {
+        if (source !== chart) return;
+        for (const [c, o] of others(chart)) {
+          const p = param.time !== undefined && o.series ? pointAtOrBefore(o.series.data(), param.time) : null;
+          if (!p || p.value === undefined) { c.clearCrosshairPosition(); continue; }
+          c.setCrosshairPosition(p.value, p.time, o.series);
+        }
+      };
+
+      el.addEventListener('pointerenter', m.onEnter);
+      el.addEventListener('touchstart', m.onEnter, { passive: true });
+      chart.timeScale().subscribeVisibleTimeRangeChange(m.onRange);
+      chart.subscribeCrosshairMove(m.onCrosshair);
+      members.set(chart, m);
+    }
+
+    function remove(chart) {
+      const m = members.get(chart);
+      if (!m) return;
+      m.el.removeEventListener('pointerenter', m.onEnter);
+      m.el.removeEventListener('touchstart', m.onEnter);
+      try {
+        chart.timeScale().unsubscribeVisibleTimeRangeChange(m.onRange);
+        chart.unsubscribeCrosshairMove(m.onCrosshair);
+      } catch (_) { /* chart already removed */ }
+      members.delete(chart);
+      if (source === chart) source = null;
+    }
+
+    return { add, remove, size: () => members.size };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Overlays (indicators.js)
+  // addOverlaySeries(chart, lines, paneIndex) draws Indicators.overlayLines()
+  // output — one color per overlay, bands dashed — and returns tracked
+  // entries ({ series, label, color, last }) for makeInspectable and legends.
+  // overlayColor(index) is that color, for overlays drawn outside a chart.
+  // bindOverlayInput(input, overlays, onChange) turns a text input into the
+  // overlay picker: presets in a datalist, onChange(list) on a valid entry.
+  // ---------------------------------------------------------------------------
+  const OVERLAY_COLORS = ['warn', 'info', 'text', 'purple', 'series-10', 'series-9'];
+
+  function overlayColor(index) {
+    return Theme.color(OVERLAY_COLORS[index % OVERLAY_COLORS.length]);
+  }
+
+  function addOverlaySeries(chart, lines, paneIndex = 0) {
+    return lines.map(line => {
+      const color = overlayColor(line.overlay);
+      const series = chart.addSeries(LC.LineSeries, {
+        color,
+        lineWidth: 1,
+        lineStyle: line.band ? LC.LineStyle.Dashed : LC.LineStyle.Solid,
+        priceLineVisible: false,
+        lastValueVisible: false,
+        crosshairMarkerVisible: false,
+      }, paneIndex);
+      series.setData(line.data);
+      return { series, label: line.label, color, last: line.data[line.data.length - 1].value };
+    });
+  }
+
+  function bindOverlayInput(input, overlays, onChange) {
+    if (!input) return;
+    if (!document.getElementById('overlay-presets')) {
+      const list = document.createElement('datalist');
+      list.id = 'overlay-presets';
+      list.innerHTML = Indicators.PRESETS
+        .map(p => `<option value="${Indicators.formatOverlays(Indicators.parseOverlays(p).overlays)}">`)
+        .join('');
+      document.body.appendChild(list);
+    }
+    const help = Object.values(Indicators.OVERLAY_TYPES).map(t => `${t.label} — ${t.name}`).join('\n');
+    input.setAttribute('list', 'overlay-presets');
+    input.placeholder = 'e.g. 20 EMA + 50 SMA';
+    input.title = `Periods and types joined with +:\n${help}`;
+    input.value = Indicators.formatOverlays(overlays);
+
+    input.addEventListener('change', () => {
+      const { overlays: next, errors } = Indicators.parseOverlays(input.value);
+      input.classList.toggle('invalid', errors.length > 0);
+      if (errors.length) {
+        input.title = `Not understood: ${errors.join(', ')}\n${help}`;
+        return;
+      }
+      input.title = `Periods and types joined with +:\n${help}`;
+      input.value = Indicators.formatOverlays(next);
+      onChange(next);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // hexToRgba — '#rrggbb' or '#rgb', 0–1 → 'rgba(r,g,b,a)'
+  // expandHex — '#rgb' → '#rrggbb' (as <input type="color"> needs); other
+  // values pass through. config.json pair colors may be either form
+  // (pr-validation.yml accepts both).
+  // ---------------------------------------------------------------------------
+  function expandHex(hex) {
+    return /^#[0-9a-f]{3}$/i.test(hex) ? `#${hex[1]}${hex[1]}${hex[2]}${hex[2]}${hex[3]}${hex[3]}` : hex;
+  }
+
   function hexToRgba(hex, alpha) {
+    hex = expandHex(hex);
     const r = parseInt(hex.slice(1, 3), 16);
     const g = parseInt(hex.slice(3, 5), 16);
     const b = parseInt(hex.slice(5, 7), 16);
@@ -187,27 +636,6 @@
     return arr.slice(Math.max(0, arr.length - n));
   }
 
-  // ---------------------------------------------------------------------------
-  // loadFredCsv — fetch a FRED CSV and return [{date, value}] points
-  // path: full path, e.g. './data/fred/T10Y2Y.csv'
-  // ---------------------------------------------------------------------------
-  async function loadFredCsv(path) {
-    const r = await fetch(path, { cache: 'no-store' });
-    if (!r.ok) throw new Error(`Failed to fetch ${path}: ${r.status}`);
-    const text = await r.text();
-    const lines = text.trim().split(/\r?\n/);
-    lines.shift(); // remove header
-    const points = [];
-    for (const line of lines) {
-      const [date, value] = line.split(',');
-      if (!date || !value || date === 'Date') continue;
-      const v = parseFloat(value);
-      if (!isFinite(v)) continue;
-      points.push({ date, value: v });
-    }
-    return points; // [{ date: 'YYYY-MM-DD', value: float }, ...]
-  }
-
   // ---------------------------------------------------------------------------
   // computePercentile — % of points in windowDays that are below currentValue
   // points: [{date, value}], currentValue: number, windowDays: number
@@ -219,39 +647,48 @@
   }
 
   // ---------------------------------------------------------------------------
-  // colors — single source of truth for all chart / signal colors
+  // colors — named chart / signal colors. Each property reads its CSS
+  // variable from the active theme (theme.js), so read them at render time.
   // ---------------------------------------------------------------------------
-  const colors = {
+  const COLOR_VARS = {
     // FOMC chart series
-    rate:     '#f97316',  // Fed rate / target corridor / SEP
-    effr:     '#e2e2e8',  // Effective fed funds (actual overnight)
-    sofr:     '#7aa2f7',  // SOFR + Treasuries
-    iorb:     '#2dd4bf',  // Interest on reserve balances
-    rrp:      '#818cf8',  // Overnight reverse repo
-    balSheet: '#a78bfa',  // Fed total assets
-    reserves: '#34d399',  // Reserve balances
-    mbs:      '#f59e0b',  // MBS holdings
+    rate:     'chart-rate',       // Fed rate / target corridor / SEP
+    effr:     'chart-effr',       // Effective fed funds (actual overnight)
+    sofr:     'chart-sofr',       // SOFR + Treasuries
+    iorb:     'chart-iorb',       // Interest on reserve balances
+    rrp:      'chart-rrp',        // Overnight reverse repo
+    balSheet: 'chart-bal-sheet',  // Fed total assets
+    reserves: 'chart-reserves',   // Reserve balances
+    mbs:      'chart-mbs',        // MBS holdings
 
     // Decision / direction markers
-    hike:     '#f87171',
-    cut:      '#34d399',
+    hike:     'chart-hike',
+    cut:      'chart-cut',
 
     // Credit spread chart
-    credit:   '#f59e0b',
+    credit:   'chart-credit',
 
     // Risk signal labels (app.js + credit_app.js)
-    signalStrongOn:  '#10b981',
-    signalOn:        '#84cc16',
-    signalNeutral:   '#a7a7ad',
-    signalOff:       '#f59e0b',
-    signalStrongOff: '#ef4444',
+    signalStrongOn:  'signal-strong-on',
+    signalOn:        'signal-on',
+    signalNeutral:   'signal-neutral',
+    signalOff:       'signal-off',
+    signalStrongOff: 'signal-strong-off',
   };
 
+  const colors = {};
+  for (const [key, name] of Object.entries(COLOR_VARS)) {
+    Object.defineProperty(colors, key, { enumerable: true, get: () => Theme.color(name) });
+  }
+
   global.ChartUtils = {
     createDashboardChart, createFomcChart,
     fitWithRightPadding, fitWithDateRangePadding,
-    addChartLegend, hexToRgba, colors,
-    loadLastUpdated, last, loadFredCsv, computePercentile,
+    makeInspectable, setPageInspect, addPageInspectToggle, createChartGroup,
+    addExportMenu, makeExportable, svgToCanvas, toCsv,
+    addChartLegend, hexToRgba, expandHex, colors,
+    addOverlaySeries, overlayColor, bindOverlayInput,
+    loadLastUpdated, last, computePercentile,
   };
 
 }(window));
@@ -0,0 +1,377 @@
+// =============================================================================
+// command-palette.js — Ctrl/Cmd+K command palette and keyboard shortcuts
+// Exposes window.CommandPalette via IIFE — no build step required.
+//
+// The palette fuzzy-matches over the nav pages, this page's tabs and header
+// controls, every Macro asset card, Gov Data series card and Divergence pair
+// (read from the config files), and the Settings / Alerts / Refresh / Theme
+// actions.
+// A jump to another page carries ?tab= and ?focus=<element id>; on arrival
+// this script scrolls to that element and highlights it once it renders.
+//
+// Shortcuts (ignored while typing in a field):
+//   Ctrl/Cmd+K  open / close the palette
+//   1–9         switch to the nth tab on the page
+//   j / k       next / previous pair column or asset card
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const MAX_RESULTS = 50;
+  const FOCUS_TIMEOUT_MS = 10000;
+
+  let backdrop = null;
+  let results = [];
+  let selected = 0;
+  let targets = null;   // Promise of cross-page commands from the config files
+
+  function currentPage() {
+    return location.pathname.split('/').pop() || 'index.html';
+  }
+
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  function isVisible(el) {
+    return el.offsetParent !== null;
+  }
+
+  function isTyping(e) {
+    const t = e.target;
+    return t.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(t.tagName);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Highlight + navigation
+  // ---------------------------------------------------------------------------
+  function highlight(el) {
+    document.querySelectorAll('.kbd-focus').forEach(f => f.classList.remove('kbd-focus'));
+    el.classList.add('kbd-focus');
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // Ids can repeat across tabs (the same symbol in two categories); prefer
+  // the copy on the visible tab
+  function findVisible(id) {
+    const all = [...document.querySelectorAll(`[id="${CSS.escape(id)}"]`)];
+    return all.find(isVisible) || null;
+  }
+
+  // Cards render after their data loads, so poll until the element shows up
+  function focusWhenReady(id) {
+    const started = Date.now();
+    const attempt = () => {
+      const el = findVisible(id);
+      if (el) highlight(el);
+      else if (Date.now() - started < FOCUS_TIMEOUT_MS) setTimeout(attempt, 200);
+    };
+    attempt();
+  }
+
+  function clickTab(tab) {
+    const btn = document.querySelector(`.tab-btn[data-tab="${CSS.escape(tab)}"]`);
+    if (btn) btn.click();
+  }
+
+  // goTo({ page, tab, focus }) — on this page switch tab and scroll; else
+  // navigate with ?tab= / ?focus=
+  function goTo({ page, tab, focus }) {
+    if (page === currentPage()) {
+      if (tab) clickTab(tab);
+      if (focus) focusWhenReady(focus);
+      return;
+    }
+    const params = new URLSearchParams();
+    if (tab) params.set('tab', tab);
+    if (focus) params.set('focus', focus);
+    const query = params.toString();
+    location.href = query ? `${page}?${query}` : page;
+  }
+
+  // j / k — step through the visible pair columns / asset cards
+  function stepCard(delta) {
+    const items = [...document.querySelectorAll('.pair-column, .asset-card')].filter(isVisible);
+    if (!items.length) return;
+    const i = items.indexOf(document.querySelector('.kbd-focus'));
+    const next = i === -1 ? (delta > 0 ? 0 : items.length - 1) : i + delta;
+    if (next >= 0 && next < items.length) highlight(items[next]);
+  }
+
+  // 1–9 — the nth visible tab button
+  function switchToTab(n) {
+    const tabs = [...document.querySelectorAll('.tab-btn[data-tab]')].filter(isVisible);
+    if (tabs[n - 1]) tabs[n - 1].click();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Commands: { title, hint, run }
+  // ---------------------------------------------------------------------------
+  async function fetchJson(path) {
+    const r = await fetch(path, { cache: 'no-store' });
+    if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
+    return r.json();
+  }
+
+  // Macro asset cards, Gov Data series cards, Divergence pairs and symbol
+  // detail pages; a config that fails to load just contributes nothing
+  async function loadTargets() {
+    const [macro, fred, divergence] = await Promise.all(
+      ['./macro_config.json', './fred_config.json', './config.json']
+        .map(path => fetchJson(path).catch(err => {
+          console.warn(`Command palette: could not load ${path}:`, err.message);
+          return null;
+        }))
+    );
+    const commands = [];
+    const seen = new Set();
+
+    for (const cat of (macro && macro.macro_categories) || []) {
+      for (const a of cat.assets) {
+        if (seen.has(`asset:${a.symbol}`)) continue;
+        seen.add(`asset:${a.symbol}`);
+        commands.push({
+          title: `${a.symbol} — ${a.name}`,
+          hint:  `Macro Model › ${cat.name}`,
+          run:   () => goTo({ page: 'macro.html', tab: cat.id, focus: `asset-card-${a.symbol.toLowerCase()}` }),
+        });
+      }
+    }
+
+    for (const cat of (fred && fred.categories) || []) {
+      for (const s of cat.series) {
+        if (seen.has(`series:${s.id}`)) continue;
+        seen.add(`series:${s.id}`);
+        commands.push({
+          title: `${s.id} — ${s.name}`,
+          hint:  `Gov Data › ${cat.name}`,
+          run:   () => goTo({ page: 'gov_data.html', tab: 'overview', focus: `gov-card-${s.id.toLowerCase()}` }),
+        });
+      }
+    }
+
+    for (const p of (divergence && divergence.pairs) || []) {
+      commands.push({
+        title: `${p.symbol1} ↔ ${p.symbol2}${p.name ? ` — ${p.name}` : ''}`,
+        hint:  'Divergence pair',
+        run:   () => goTo({ page: 'index.html', focus: `pair-column-${p.id}` }),
+      });
+    }
+
+    const symbols = new Map();
+    for (const s of (divergence && divergence.symbols) || []) symbols.set(s.symbol, s.name);
+    for (const cat of (macro && macro.macro_categories) || []) {
+      for (const a of cat.assets) if (!symbols.has(a.symbol)) symbols.set(a.symbol, a.name);
+    }
+    for (const [symbol, name] of symbols) {
+      commands.push({
+        title: `${symbol} detail${name ? ` — ${name}` : ''}`,
+        hint:  'Symbol detail',
+        run:   () => { location.href = `symbol.html?symbol=${encodeURIComponent(symbol)}`; },
+      });
+    }
+    return commands;
+  }
+
+  // Commands read from this page's DOM each time the palette opens
+  function pageCommands() {
+    const commands = [];
+
+    const actions = [
+      { title: 'Open settings',    ok: global.Settings, run: () => Settings.open() },
+      { title: 'Open alerts',      ok: global.Alerts,   run: () => Alerts.open() },
+      { title: 'Refresh data now', ok: global.Refresh,  run: () => Refresh.now() },
+    ];
+    for (const a of actions) {
+      if (a.ok) commands.push({ title: a.title, hint: 'Action', run: a.run });
+    }
+    if (global.Theme) {
+      for (const t of Theme.THEMES) {
+        if (t.id !== Theme.current()) {
+          commands.push({ title: `Theme: ${t.label}`, hint: 'Action', run: () => Theme.set(t.id) });
+        }
+      }
+    }
+
+    document.querySelectorAll('.site-nav a.nav-link').forEach(a => {
+      commands.push({
+        title: `Go to ${a.textContent.trim()}`,
+        hint:  'Page',
+        run:   () => { location.href = a.getAttribute('href'); },
+      });
+    });
+
+    [...document.querySelectorAll('.tab-btn[data-tab]')].filter(isVisible).forEach((btn, i) => {
+      commands.push({
+        title: `Tab: ${btn.textContent.trim()}`,
+        hint:  i < 9 ? `Tab · ${i + 1}` : 'Tab',
+        run:   () => btn.click(),
+      });
+    });
+
+    // Header dropdowns (lookback, MA period, …): one command per option
+    document.querySelectorAll('.pill select').forEach(sel => {
+      const labelEl = sel.closest('.pill').querySelector('.muted');
+      const label = labelEl ? labelEl.textContent.trim() : sel.id;
+      for (const opt of sel.options) {
+        commands.push({
+          title: `${label}: ${opt.textContent.trim()}`,
+          hint:  opt.value === sel.value ? 'Control · current' : 'Control',
+          run:   () => {
+            sel.value = opt.value;
+            sel.dispatchEvent(new Event('change', { bubbles: true }));
+          },
+        });
+      }
+    });
+    return commands;
+  }
+
+  // fuzzyScore('lb50', 'Lookback Period: 50 days') → higher is better; -1
+  // when the query's characters don't all appear in order. Substrings,
+  // consecutive runs and word starts score higher.
+  function fuzzyScore(query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, '');
+    const t = text.toLowerCase();
+    if (!q) return 0;
+    let score = t.includes(q) ? 10 : 0;
+    let from = 0;
+    let prev = -2;
+    for (const ch of q) {
+      const i = t.indexOf(ch, from);
+      if (i === -1) return -1;
+      score += 1;
+      if (i === prev + 1) score += 2;
+      if (i === 0 || /[\s\-:·↔(]/.test(t[i - 1])) score += 3;
+      prev = i;
+      from = i + 1;
+    }
+    return score - t.length * 0.01;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Palette UI — built on first open
+  // ---------------------------------------------------------------------------
+  function renderResults() {
+    const list = backdrop.querySelector('.palette-list');
+    if (!results.length) {
+      list.innerHTML = '<div class="palette-empty muted">No matches</div>';
+      return;
+    }
+    list.innerHTML = results.map((c, i) => `
+      <div class="palette-item${i === selected ? ' selected' : ''}" data-index="${i}" role="option">
+        <span>${escapeHtml(c.title)}</span>
+        <span class="palette-hint muted">${escapeHtml(c.hint)}</span>
+      </div>
+    `).join('');
+    const sel = list.querySelector('.palette-item.selected');
+    if (sel) sel.scrollIntoView({ block: 'nearest' });
+  }
+
+  async function search(query) {
+    const all = [...pageCommands(), ...(await targets)];
+    results = (query.trim()
+      ? all.map(c => ({ c, s: fuzzyScore(query, `${c.title} ${c.hint}`) }))
+          .filter(x => x.s >= 0)
+          .sort((a, b) => b.s - a.s)
+          .map(x => x.c)
+      : all
+    ).slice(0, MAX_RESULTS);
+    selected = 0;
+    renderResults();
+  }
+
+  function runSelected() {
+    const command = results[selected];
+    if (!command) return;
+    close();
+    command.run();
+  }
+
+  function buildPalette() {
+    backdrop = document.createElement('div');
+    backdrop.className = 'palette-backdrop';
+    backdrop.hidden = true;
+    backdrop.innerHTML = `
+      <div class="palette" role="dialog" aria-label="Command palette">
+        <input type="text" class="palette-input" placeholder="Jump to a page, tab, symbol or series…"
+               aria-label="Search commands" autocomplete="off" spellcheck="false">
+        <div class="palette-list" role="listbox"></div>
+        <div class="palette-footer muted">
+          ↑↓ select · Enter run · Esc close · 1–9 switch tab · j / k next / previous card
+        </div>
+      </div>
+    `;
+
+    const input = backdrop.querySelector('.palette-input');
+    input.addEventListener('input', () => search(input.value));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!results.length) return;
+        selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+        renderResults();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runSelected();
+      } else if (e.key === 'Escape') {
+        close();
+      }
+    });
+
+    backdrop.addEventListener('click', (e) => {
+      if (e.target === backdrop) { close(); return; }
+      const item = e.target.closest('.palette-item');
+      if (!item) return;
+      selected = Number(item.dataset.index);
+      runSelected();
+    });
+
+    document.body.appendChild(backdrop);
+  }
+
+  function open() {
+    if (!backdrop) buildPalette();
+    if (!targets) targets = loadTargets();
+    const input = backdrop.querySelector('.palette-input');
+    input.value = '';
+    backdrop.hidden = false;
+    input.focus();
+    search('');
+  }
+
+  function close() {
+    if (backdrop) backdrop.hidden = true;
+  }
+
+  function isOpen() {
+    return !!backdrop && !backdrop.hidden;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Global key bindings
+  // ---------------------------------------------------------------------------
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      if (isOpen()) close();
+      else open();
+      return;
+    }
+    if (isOpen() || isTyping(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key >= '1' && e.key <= '9') switchToTab(Number(e.key));
+    else if (e.key === 'j') stepCard(1);
+    else if (e.key === 'k') stepCard(-1);
+  });
+
+  // ?focus= from a palette jump on another page
+  const focusId = new URLSearchParams(location.search).get('focus');
+  if (focusId) {
+    global.addEventListener('load', () => focusWhenReady(focusId));
+  }
+
+  global.CommandPalette = { open, close, goTo, fuzzyScore };
+
+}(window));
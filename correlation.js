@@ -0,0 +1,220 @@
+// =============================================================================
+// correlation.js — Rolling return correlations between symbols
+// Exposes window.Correlation via IIFE — no build step required.
+//
+// Points are [timestamp, close] pairs, oldest first (app.js dataCache shape).
+// Returns are computed on closes aligned to dates both symbols traded, so
+// weekend-trading symbols (BTC) line up with ETFs.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const WINDOWS = [20, 60, 120];
+
+  // A pair is flagged when its current rolling correlation sits at least this
+  // far below its own trailing-year average.
+  const BREAKDOWN_DROP     = 0.3;
+  const BREAKDOWN_BASELINE = 252;
+
+  // ---------------------------------------------------------------------------
+  // alignedReturns — simple daily returns on common dates → [[t, rA, rB], ...]
+  // ---------------------------------------------------------------------------
+  function alignedReturns(ptsA, ptsB) {
+    const byTime = new Map(ptsB);
+    const closes = [];
+    for (const [t, a] of ptsA) {
+      const b = byTime.get(t);
+      if (b !== undefined) closes.push([t, a, b]);
+    }
+    const out = [];
+    for (let i = 1; i < closes.length; i++) {
+      const [t, a, b] = closes[i];
+      const [, pa, pb] = closes[i - 1];
+      if (pa && pb) out.push([t, a / pa - 1, b / pb - 1]);
+    }
+    return out;
+  }
+
+  function pearson(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return NaN;
+    let sx = 0, sy = 0;
+    for (let i = 0; i < n; i++) { sx += xs[i]; sy += ys[i]; }
+    const mx = sx / n, my = sy / n;
+    let cov = 0, vx = 0, vy = 0;
+    for (let i = 0; i < n; i++) {
+      const dx = xs[i] - mx, dy = ys[i] - my;
+      cov += dx * dy; vx += dx * dx; vy += dy * dy;
+    }
+    return vx === 0 || vy === 0 ? NaN : cov / Math.sqrt(vx * vy);
+  }
+
+  // ---------------------------------------------------------------------------
+  // rollingCorrelation — [[t, corr], ...] over a trailing window of returns
+  // maxPoints limits output to the most recent values (skips older work).
+  // ---------------------------------------------------------------------------
+  function rollingCorrelation(ptsA, ptsB, window, maxPoints = Infinity) {
+    const rets = alignedReturns(ptsA, ptsB);
+    const out = [];
+    const first = Math.max(window - 1, rets.length - maxPoints);
+    for (let i = first; i < rets.length; i++) {
+      const slice = rets.slice(i - window + 1, i + 1);
+      const r = pearson(slice.map(x => x[1]), slice.map(x => x[2]));
+      if (Number.isFinite(r)) out.push([rets[i][0], r]);
+    }
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // breakdown — current value vs trailing-year mean of the rolling series
+  // Returns { current, mean, drop, broken } or null without enough history.
+  // ---------------------------------------------------------------------------
+  function breakdown(rolling) {
+    if (rolling.length < 2) return null;
+    const current  = rolling[rolling.length - 1][1];
+    const baseline = rolling.slice(Math.max(0, rolling.length - BREAKDOWN_BASELINE), -1);
+    if (baseline.length === 0) return null;
+    const mean = baseline.reduce((s, p) => s + p[1], 0) / baseline.length;
+    const drop = mean - current;
+    return { current, mean, drop, broken: drop >= BREAKDOWN_DROP };
+  }
+
+  // ---------------------------------------------------------------------------
+  // computeMatrix — { symbols, cells[i][j] = { value, breakdown } }
+  // data: { sym_lower: points }; symbols: lower-case keys into data
+  // ---------------------------------------------------------------------------
+  function computeMatrix(symbols, data, window) {
+    const n = symbols.length;
+    const cells = Array.from({ length: n }, () => new Array(n).fill(null));
+    for (let i = 0; i < n; i++) {
+      cells[i][i] = { value: 1, breakdown: null };
+      for (let j = i + 1; j < n; j++) {
+        const rolling = rollingCorrelation(
+          data[symbols[i]] || [], data[symbols[j]] || [], window, BREAKDOWN_BASELINE + 1
+        );
+        const cell = rolling.length
+          ? { value: rolling[rolling.length - 1][1], breakdown: breakdown(rolling) }
+          : { value: NaN, breakdown: null };
+        cells[i][j] = cells[j][i] = cell;
+      }
+    }
+    return { symbols, cells };
+  }
+
+  // -1 → red, 0 → grey, +1 → blue
+  function cellColor(value) {
+    if (!Number.isFinite(value)) return 'transparent';
+    const hex = global.Theme.color(value >= 0 ? 'info' : 'down');
+    return global.ChartUtils.hexToRgba(hex, Math.min(1, Math.abs(value)) * 0.75);
+  }
+
+  // ---------------------------------------------------------------------------
+  // renderHeatmap — table heatmap; onCellClick(symA, symB) for off-diagonals
+  // ---------------------------------------------------------------------------
+  function renderHeatmap(containerId, matrix, onCellClick) {
+    const el = document.getElementById(containerId);
+    if (!el) return;
+    const { symbols, cells } = matrix;
+    const th = 'padding:6px 8px;font-size:12px;color:var(--muted);font-weight:600';
+
+    el.innerHTML = `
+      <table class="corr-heatmap">
+        <thead>
+          <tr><th></th>${symbols.map(s => `<th style="${th}">${s.toUpperCase()}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${symbols.map((a, i) => `
+            <tr>
+              <th style="${th};text-align:right">${a.toUpperCase()}</th>
+              ${symbols.map((b, j) => {
+                const c = cells[i][j];
+                const broken = c.breakdown && c.breakdown.broken;
+                const text = Number.isFinite(c.value) ? c.value.toFixed(2) : '—';
+                const title = c.breakdown
+                  ? `${a.toUpperCase()}/${b.toUpperCase()}: ${text} (1y avg ${c.breakdown.mean.toFixed(2)})`
+                  : '';
+                return `<td class="corr-cell${i === j ? ' corr-diag' : ''}${broken ? ' corr-broken' : ''}"
+                            data-a="${a}" data-b="${b}" title="${title}"
+                            style="background:${i === j ? 'var(--surface-2)' : cellColor(c.value)}">${text}${broken ? ' ⚠' : ''}</td>`;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    el.onclick = (e) => {
+      const td = e.target.closest('td.corr-cell');
+      if (!td || td.classList.contains('corr-diag') || !onCellClick) return;
+      onCellClick(td.dataset.a, td.dataset.b);
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // listBreakdowns — [{ a, b, current, mean, drop }] sorted by largest drop
+  // ---------------------------------------------------------------------------
+  function listBreakdowns(matrix) {
+    const { symbols, cells } = matrix;
+    const out = [];
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        const bd = cells[i][j].breakdown;
+        if (bd && bd.broken) out.push({ a: symbols[i], b: symbols[j], ...bd });
+      }
+    }
+    return out.sort((x, y) => y.drop - x.drop);
+  }
+
+  // ---------------------------------------------------------------------------
+  // renderRollingChart — 20/60/120-day rolling correlation lines for one pair
+  // Returns the chart so the caller can remove() it before re-rendering.
+  // ---------------------------------------------------------------------------
+  // theme.js color names
+  const WINDOW_COLORS = { 20: 'warn', 60: 'info', 120: 'purple' };
+
+  function renderRollingChart(containerId, ptsA, ptsB, historyDays) {
+    const el = document.getElementById(containerId);
+    if (!el) return null;
+    el.innerHTML = '';
+
+    const { LineSeries } = global.LightweightCharts;
+    const chart = global.ChartUtils.createDashboardChart(el, 220);
+    const legend = [];
+    const tracked = [];
+
+    for (const w of WINDOWS) {
+      const shown = rollingCorrelation(ptsA, ptsB, w, historyDays);
+      if (shown.length === 0) continue;
+      const color = global.Theme.color(WINDOW_COLORS[w]);
+      const series = chart.addSeries(LineSeries, {
+        color,
+        lineWidth: w === 60 ? 2 : 1,
+        priceLineVisible: false,
+        lastValueVisible: false,
+      });
+      series.setData(shown.map(([time, value]) => ({ time, value })));
+      tracked.push({ series, label: `${w}d`, color });
+      if (w === 60) {
+        series.createPriceLine({ price: 0, color: global.Theme.color('dim'), lineWidth: 1, lineStyle: 2, axisLabelVisible: false });
+      }
+      legend.push({ label: `${w}d`, color, value: shown[shown.length - 1][1].toFixed(2) });
+    }
+
+    chart.timeScale().fitContent();
+    global.ChartUtils.makeInspectable(chart, el, {
+      refit: () => chart.timeScale().fitContent(),
+      series: tracked,
+    });
+    global.ChartUtils.addChartLegend(containerId, legend);
+    return chart;
+  }
+
+  global.Correlation = {
+    WINDOWS, BREAKDOWN_DROP, BREAKDOWN_BASELINE,
+    alignedReturns, pearson, rollingCorrelation, breakdown,
+    computeMatrix, listBreakdowns,
+    renderHeatmap, renderRollingChart,
+  };
+
+}(window));
@@ -6,6 +6,10 @@ let MA_PERIOD      = 20;
 let WINDOW_DAYS    = 756;  // percentile lookback
 let HISTORY_DAYS   = 504;  // chart display window
 
+// Extra moving averages / bands on the spread chart (indicators.js); the
+// signal MA above is always drawn
+let OVERLAYS       = [];
+
 const SERIES_ID    = 'BAMLH0A0HYM2';
 const CSV_PATH     = `./data/fred/${SERIES_ID}.csv`;
 
@@ -19,34 +23,8 @@ const { LineSeries, AreaSeries } = window.LightweightCharts;
 // ANALYSIS
 // =============================================================================
 
-function computeMA(points, period) {
-  const result = [];
-  for (let i = period - 1; i < points.length; i++) {
-    let sum = 0;
-    for (let j = 0; j < period; j++) sum += points[i - j].value;
-    result.push({ date: points[i].date, value: sum / period });
-  }
-  return result;
-}
-
-function levelScore(percentile) {
-  if (percentile <= 25) return  2;
-  if (percentile <= 50) return  1;
-  if (percentile <= 75) return -1;
-  return -2;
-}
-
-function momentumScore(currentValue, maValue) {
-  return currentValue < maValue ? 1 : -1;
-}
-
-function signalLabel(score) {
-  if (score >=  3) return { label: '🟢 STRONG RISK ON',  color: ChartUtils.colors.signalStrongOn };
-  if (score >=  1) return { label: '🟡 RISK ON',         color: ChartUtils.colors.signalOn };
-  if (score === 0) return { label: '⚪ NEUTRAL',          color: ChartUtils.colors.signalNeutral };
-  if (score >= -2) return { label: '🟠 RISK OFF',         color: ChartUtils.colors.signalOff };
-  return               { label: '🔴 STRONG RISK OFF',    color: ChartUtils.colors.signalStrongOff };
-}
+// Scoring lives in risk-scores.js (shared with the summary page)
+const { creditSignal } = RiskScores;
 
 // =============================================================================
 // CHART
@@ -65,6 +43,7 @@ function renderChart(points, maPoints, historyDays) {
 
   const chart = ChartUtils.createDashboardChart(container, 300);
   const LC = window.LightweightCharts;
+  const pct = v => `${v.toFixed(2)}%`;
 
   const area = chart.addSeries(AreaSeries, {
     lineColor: ChartUtils.colors.credit,
@@ -76,26 +55,38 @@ function renderChart(points, maPoints, historyDays) {
     lastValueVisible: true,
   });
   area.setData(recent.map(p => ({ time: p.date, value: p.value })));
+  const tracked = [{ series: area, label: 'HY OAS', color: ChartUtils.colors.credit, format: pct }];
 
   if (recentMa.length) {
     const ma = chart.addSeries(LineSeries, {
-      color: '#ffffff',
+      color: Theme.color('text'),
       lineWidth: 1,
       lineStyle: 4,
       priceLineVisible: false,
       lastValueVisible: true,
     });
     ma.setData(recentMa.map(p => ({ time: p.date, value: p.value })));
+    tracked.push({ series: ma, label: `${MA_PERIOD}d MA`, color: Theme.color('text'), format: pct });
   }
 
+  // Overlays run over the full history so the first visible values are warm
+  const bars = points.map(p => ({ time: p.date, close: p.value }));
+  const overlays = ChartUtils.addOverlaySeries(chart, Indicators.overlayLines(OVERLAYS, bars, points.length - recent.length));
+  tracked.push(...overlays.map(o => ({ ...o, format: pct })));
+
   ChartUtils.fitWithRightPadding(chart, recent.length);
+  ChartUtils.makeInspectable(chart, container, {
+    refit: () => ChartUtils.fitWithRightPadding(chart, recent.length),
+    series: tracked,
+  });
 
   const lastSpread = recent[recent.length - 1].value;
-  const entries = [{ label: 'HY OAS', color: ChartUtils.colors.credit, value: `${lastSpread.toFixed(2)}%` }];
+  const entries = [{ label: 'HY OAS', color: ChartUtils.colors.credit, value: pct(lastSpread) }];
   if (recentMa.length) {
     const lastMa = recentMa[recentMa.length - 1].value;
-    entries.push({ label: `${MA_PERIOD}d MA`, color: '#ffffff', value: `${lastMa.toFixed(2)}%` });
+    entries.push({ label: `${MA_PERIOD}d MA`, color: Theme.color('text'), value: pct(lastMa) });
   }
+  for (const o of overlays) entries.push({ label: o.label, color: o.color, value: pct(o.last) });
   ChartUtils.addChartLegend('chart-credit', entries);
 
   chartInstance = chart;
@@ -105,20 +96,16 @@ function renderChart(points, maPoints, historyDays) {
 // DOM RENDERING
 // =============================================================================
 
+// Returns { label, score, date, percentile, value } for the signal journal
+// and alerts, or null
 function applySignal(points) {
-  if (points.length < MA_PERIOD + 1) {
+  const signal = creditSignal(points, MA_PERIOD, WINDOW_DAYS);
+  if (!signal) {
     document.getElementById('meta').textContent = 'Not enough data.';
-    return;
+    return null;
   }
 
-  const maPoints   = computeMA(points, MA_PERIOD);
-  const current    = points[points.length - 1];
-  const currentMa  = maPoints[maPoints.length - 1];
-  const percentile = ChartUtils.computePercentile(points, current.value, WINDOW_DAYS);
-  const lvl        = levelScore(percentile);
-  const mom        = momentumScore(current.value, currentMa.value);
-  const score      = lvl + mom;
-  const { label, color } = signalLabel(score);
+  const { label, color, score, lvl, mom, percentile, current, currentMa, maPoints } = signal;
   const direction  = current.value < currentMa.value ? 'tightening ↘' : 'widening ↗';
   const windowLabel = WINDOW_DAYS === 252 ? '1yr' : WINDOW_DAYS === 756 ? '3yr' : '5yr';
 
@@ -144,6 +131,7 @@ function applySignal(points) {
     `Spreads tighter than today ${percentile}% of the past ${windowLabel}`;
 
   renderChart(points, maPoints, HISTORY_DAYS);
+  return { label, score, date: current.date, percentile, value: current.value };
 }
 
 // =============================================================================
@@ -153,13 +141,47 @@ function applySignal(points) {
 let allPoints = [];
 
 async function loadAndRender() {
-  allPoints = await ChartUtils.loadFredCsv(CSV_PATH);
-  applySignal(allPoints);
+  allPoints = await DataLayer.loadFred(CSV_PATH);
+  return applySignal(allPoints);
 }
 
 (async function main() {
   try {
-    await loadAndRender();
+    ChartUtils.addPageInspectToggle(document.querySelector('.controls-row'));
+
+    // Saved settings override the defaults above
+    MA_PERIOD    = Settings.get('credit.maPeriod', MA_PERIOD);
+    WINDOW_DAYS  = Settings.get('credit.windowDays', WINDOW_DAYS);
+    HISTORY_DAYS = Settings.get('credit.historyDays', HISTORY_DAYS);
+    OVERLAYS     = Indicators.parseOverlays(Settings.get('credit.overlays', '')).overlays;
+    const defaults = { maPeriod: MA_PERIOD, windowDays: WINDOW_DAYS };
+    const onDefaultView = () => MA_PERIOD === defaults.maPeriod && WINDOW_DAYS === defaults.windowDays;
+    document.getElementById('maPeriodSelect').value = String(MA_PERIOD);
+    document.getElementById('windowSelect').value   = String(WINDOW_DAYS);
+    document.getElementById('historySelect').value  = String(HISTORY_DAYS);
+
+    // Journal only the user's default signal settings (chart history doesn't matter)
+    const recordSignal = (signal) => {
+      if (signal && onDefaultView()) {
+        SignalJournal.recordAndShow('credit', signal.label, {
+          asOf:   signal.date,
+          detail: `score ${signal.score > 0 ? '+' : ''}${signal.score}`,
+        });
+      } else if (signal) {
+        SignalJournal.showBanner('credit');
+      }
+
+      // Alert rules always see the default settings, whatever the page shows
+      const alertSignal = creditSignal(allPoints, defaults.maPeriod, defaults.windowDays);
+      if (alertSignal) {
+        Alerts.publish('credit', [
+          { key: 'percentile', label: 'HY OAS percentile',  value: alertSignal.percentile },
+          { key: 'spread',     label: 'HY OAS spread (%)',  value: alertSignal.current.value },
+          { key: 'signal',     label: 'Credit signal',      value: alertSignal.label },
+        ], { asOf: alertSignal.current.date });
+      }
+    };
+    recordSignal(await loadAndRender());
 
     document.getElementById('maPeriodSelect').addEventListener('change', e => {
       MA_PERIOD = parseInt(e.target.value, 10);
@@ -176,6 +198,14 @@ async function loadAndRender() {
       applySignal(allPoints);
     });
 
+    ChartUtils.bindOverlayInput(document.getElementById('overlaysInput'), OVERLAYS, (next) => {
+      OVERLAYS = next;
+      applySignal(allPoints);
+    });
+
+    Refresh.start(async () => recordSignal(await loadAndRender()));
+    Theme.onChange(() => applySignal(allPoints));
+
   } catch (err) {
     document.getElementById('meta').textContent = `Error: ${err.message}`;
     console.error(err);
@@ -0,0 +1,249 @@
+// =============================================================================
+// data-layer.js — Shared CSV loading for OHLCV bars and FRED observations
+// Exposes window.DataLayer via IIFE — no build step required.
+//
+// Columns are located by header name, not by position, so daily
+// (Date,Open,High,Low,Close,Volume) and hourly (Date,Time,Open,...) files go
+// through the same parser. Parsed results are cached per path for the life of
+// the page; rows that cannot be used are counted and kept in a per-path report
+// instead of being dropped silently.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  // Header aliases (lower-cased) → field
+  const COLUMN_ALIASES = {
+    date:   ['date', 'datetime', 'timestamp', 'observation_date'],
+    time:   ['time'],
+    open:   ['open'],
+    high:   ['high'],
+    low:    ['low'],
+    close:  ['close', 'adj close', 'adj_close'],
+    volume: ['volume'],
+  };
+
+  // Only the first few bad rows per file are kept verbatim
+  const MAX_SKIPPED_SAMPLES = 20;
+
+  const cache   = new Map();  // path → Promise<result>
+  const reports = new Map();  // path → { path, kind, rows, loaded, skipped, reasons, samples }
+
+  // ---------------------------------------------------------------------------
+  // splitLines / columnIndex — shared CSV plumbing
+  // ---------------------------------------------------------------------------
+  function splitLines(text) {
+    return text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() !== '');
+  }
+
+  function columnIndex(headerCells) {
+    const cells = headerCells.map(c => c.trim().replace(/^"|"$/g, '').toLowerCase());
+    const idx = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      // 'close' prefers an exact Close column over Adj Close
+      const i = aliases.map(a => cells.indexOf(a)).find(j => j !== -1);
+      idx[field] = i === undefined ? -1 : i;
+    }
+    return idx;
+  }
+
+  function newReport(path, kind) {
+    return { path, kind, rows: 0, loaded: 0, skipped: 0, reasons: {}, samples: [] };
+  }
+
+  function skip(report, lineNo, reason, line) {
+    report.skipped++;
+    report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+    if (report.samples.length < MAX_SKIPPED_SAMPLES) {
+      report.samples.push({ line: lineNo, reason, text: line.slice(0, 120) });
+    }
+  }
+
+  // 'YYYY-MM-DD' [+ 'HH:MM[:SS]'] → unix seconds (UTC), NaN if unparseable
+  function toUnix(date, time) {
+    let iso = date.trim();
+    if (time) iso += `T${time.trim()}`;
+    else if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) iso += 'T00:00:00';
+    else iso = iso.replace(' ', 'T');
+    if (!/(Z|[+-]\d{2}:?\d{2})$/.test(iso)) iso += 'Z';
+    return Math.floor(Date.parse(iso) / 1000);
+  }
+
+  // ---------------------------------------------------------------------------
+  // parseOhlcv — CSV text → { bars, report }
+  // bars: [{ time, date, open, high, low, close, volume }], oldest first,
+  // one per timestamp (a later duplicate row wins). Missing Open/High/Low fall
+  // back to Close; missing or blank Volume is 0. Rows without a usable date or
+  // close are skipped.
+  // ---------------------------------------------------------------------------
+  function parseOhlcv(text, path) {
+    const report = newReport(path, 'ohlcv');
+    const lines = splitLines(text);
+    if (lines.length === 0) return { bars: [], report };
+
+    const idx = columnIndex(lines[0].split(','));
+    if (idx.date === -1 || idx.close === -1) {
+      throw new Error(`${path}: header has no Date/Close column (${lines[0]})`);
+    }
+
+    const byTime = new Map();
+    for (let n = 1; n < lines.length; n++) {
+      const line = lines[n];
+      const parts = line.split(',');
+      report.rows++;
+
+      const date = (parts[idx.date] || '').trim();
+      const timeCell = idx.time !== -1 ? (parts[idx.time] || '').trim() : '';
+      if (!date || date === 'Date') { skip(report, n + 1, 'missing date', line); continue; }
+
+      const time = toUnix(date, timeCell);
+      if (!Number.isFinite(time)) { skip(report, n + 1, 'bad date', line); continue; }
+
+      const close = Number(parts[idx.close]);
+      if (parts[idx.close] === undefined || parts[idx.close].trim() === '' || !Number.isFinite(close)) {
+        skip(report, n + 1, 'bad close', line);
+        continue;
+      }
+
+      const num = (i, fallback) => {
+        if (i === -1 || parts[i] === undefined || parts[i].trim() === '') return fallback;
+        const v = Number(parts[i]);
+        return Number.isFinite(v) ? v : NaN;
+      };
+      const open   = num(idx.open, close);
+      const high   = num(idx.high, close);
+      const low    = num(idx.low, close);
+      const volume = num(idx.volume, 0);
+      if ([open, high, low, volume].some(Number.isNaN)) {
+        skip(report, n + 1, 'non-numeric field', line);
+        continue;
+      }
+
+      if (byTime.has(time)) skip(report, n + 1, 'duplicate timestamp', line);
+      byTime.set(time, { time, date: date.slice(0, 10), open, high, low, close, volume });
+    }
+
+    const bars = [...byTime.values()].sort((a, b) => a.time - b.time);
+    report.loaded = bars.length;
+    return { bars, report };
+  }
+
+  // ---------------------------------------------------------------------------
+  // parseFred — CSV text → { points, report }
+  // points: [{ date: 'YYYY-MM-DD', value }], oldest first. FRED writes '.' for
+  // missing observations; those are reported as 'missing value'.
+  // ---------------------------------------------------------------------------
+  function parseFred(text, path) {
+    const report = newReport(path, 'fred');
+    const lines = splitLines(text);
+    if (lines.length === 0) return { points: [], report };
+
+    // FRED headers are DATE,<SERIES_ID> or Date,Value — date first, value second
+    const points = [];
+    for (let n = 1; n < lines.length; n++) {
+      const line = lines[n];
+      const [date, raw] = line.split(',');
+      report.rows++;
+
+      if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date.trim())) { skip(report, n + 1, 'bad date', line); continue; }
+      if (raw === undefined || raw.trim() === '' || raw.trim() === '.') { skip(report, n + 1, 'missing value', line); continue; }
+      const value = parseFloat(raw);
+      if (!Number.isFinite(value)) { skip(report, n + 1, 'bad value', line); continue; }
+      points.push({ date: date.trim(), value });
+    }
+
+    points.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    report.loaded = points.length;
+    return { points, report };
+  }
+
+  // ---------------------------------------------------------------------------
+  // load — fetch + parse once per path; failed fetches are not cached
+  // ---------------------------------------------------------------------------
+  function load(path, kind, parse) {
+    const key = `${kind}:${path}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const promise = (async () => {
+      const r = await fetch(path, { cache: 'no-store' });
+      if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
+      const result = parse(await r.text(), path);
+      reports.set(path, result.report);
+      if (result.report.skipped) {
+        console.warn(`${path}: skipped ${result.report.skipped} of ${result.report.rows} rows`, result.report.reasons);
+      }
+      return result;
+    })();
+
+    cache.set(key, promise);
+    promise.catch(() => cache.delete(key));
+    return promise;
+  }
+
+  // loadBars(path) → bars (see parseOhlcv)
+  async function loadBars(path) {
+    return (await load(path, 'ohlcv', parseOhlcv)).bars;
+  }
+
+  // loadSymbolBars('spy', 'daily' | 'hourly') → bars from ./data/{sym}[_hourly].csv
+  function symbolPath(sym, timeframe) {
+    return timeframe === 'hourly' ? `./data/${sym}_hourly.csv` : `./data/${sym}.csv`;
+  }
+
+  function loadSymbolBars(sym, timeframe) {
+    return loadBars(symbolPath(sym, timeframe));
+  }
+
+  // loadFred(path) → [{ date, value }] (see parseFred)
+  async function loadFred(path) {
+    return (await load(path, 'fred', parseFred)).points;
+  }
+
+  // closes(bars) → [[time, close], ...] — the shape app.js and the engine use
+  function closes(bars) {
+    return bars.map(b => [b.time, b.close]);
+  }
+
+  // resample(bars, seconds) → bars aggregated into clock-aligned UTC buckets
+  // (e.g. 4 * 3600 for 4H). Each bucket keeps its first bar's time, so a US
+  // session's first 4H bar is stamped 09:30 rather than 08:00.
+  function resample(bars, seconds) {
+    const out = [];
+    let cur = null, bucket = null;
+    for (const b of bars) {
+      const k = Math.floor(b.time / seconds);
+      if (cur && k === bucket) {
+        cur.high    = Math.max(cur.high, b.high);
+        cur.low     = Math.min(cur.low, b.low);
+        cur.close   = b.close;
+        cur.volume += b.volume;
+      } else {
+        cur = { ...b };
+        bucket = k;
+        out.push(cur);
+      }
+    }
+    return out;
+  }
+
+  // report(path) → that file's skip report; report() → all loaded files
+  function report(path) {
+    return path === undefined ? [...reports.values()] : reports.get(path) || null;
+  }
+
+  // Drop cached results (all, or one path) so the next load refetches
+  function invalidate(path) {
+    if (path === undefined) { cache.clear(); reports.clear(); return; }
+    for (const key of [...cache.keys()]) {
+      if (key.endsWith(`:${path}`)) cache.delete(key);
+    }
+    reports.delete(path);
+  }
+
+  global.DataLayer = {
+    parseOhlcv, parseFred,
+    loadBars, loadSymbolBars, symbolPath, loadFred,
+    closes, resample, report, invalidate,
+  };
+
+}(window));
@@ -0,0 +1,326 @@
+// =============================================================================
+// divergence-engine.js — Client-side pivot / trend / divergence analysis
+// Exposes window.DivergenceEngine via IIFE — no build step required.
+//
+// Port of the divergence half of generate_cache.py + cache_utils.py. Produces
+// the same object shape as data/cache/divergence_*.json so app.js can render
+// either one. Points are [timestamp, close] pairs, oldest first.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const SIDEWAYS = 'Sideways ↔';
+
+  // ---------------------------------------------------------------------------
+  // calculateMA — simple moving average on [[t, v], ...]
+  // Each window is summed afresh, oldest first, exactly as cache_utils.py's
+  // calculate_ma does, so the above / below-MA test can't disagree with the
+  // cache by a rounding step (Indicators.sma keeps a running sum).
+  // ---------------------------------------------------------------------------
+  function calculateMA(points, period) {
+    const out = [];
+    for (let i = period - 1; i < points.length; i++) {
+      let sum = 0;
+      for (let j = i - period + 1; j <= i; j++) sum += points[j][1];
+      out.push([points[i][0], sum / period]);
+    }
+    return out;
+  }
+
+  function last(arr, n) {
+    return arr.slice(Math.max(0, arr.length - n));
+  }
+
+  // ---------------------------------------------------------------------------
+  // findPivotHighs / findPivotLows
+  // ThinkScript-style: a pivot must be strictly above (below) every bar within
+  // leftBars / rightBars, clamped at the series edges. First and last bars are
+  // never pivots. Returns [{ idx, time, price }].
+  // ---------------------------------------------------------------------------
+  function findPivots(points, leftBars, rightBars, isHigh) {
+    const pivots = [];
+    for (let i = 1; i < points.length - 1; i++) {
+      const curr = points[i][1];
+      const beats = v => isHigh ? v >= curr : v <= curr;
+      let isPivot = true;
+
+      const checkBefore = Math.min(leftBars, i);
+      for (let j = 1; j <= checkBefore; j++) {
+        if (beats(points[i - j][1])) { isPivot = false; break; }
+      }
+
+      if (isPivot) {
+        const checkAfter = Math.min(rightBars, points.length - 1 - i);
+        for (let j = 1; j <= checkAfter; j++) {
+          if (beats(points[i + j][1])) { isPivot = false; break; }
+        }
+      }
+
+      if (isPivot) pivots.push({ idx: i, time: points[i][0], price: curr });
+    }
+    return pivots;
+  }
+
+  function findPivotHighs(points, leftBars, rightBars) {
+    return findPivots(points, leftBars, rightBars, true);
+  }
+
+  function findPivotLows(points, leftBars, rightBars) {
+    return findPivots(points, leftBars, rightBars, false);
+  }
+
+  // ---------------------------------------------------------------------------
+  // classifyStructure
+  // Walks N=1 pivots chronologically against a running high/low seeded from
+  // the window's opening price — see docs/pivot-logic.md, Stage 2.
+  // Returns { trend, pivots: [{time, price, label}], lastHigh, lastLow }.
+  // ---------------------------------------------------------------------------
+  function classifyStructure(points) {
+    const empty = { trend: SIDEWAYS, pivots: [], lastHigh: null, lastLow: null };
+    if (!points || points.length === 0) return empty;
+
+    const pivots = [
+      ...findPivotHighs(points, 1, 1).map(p => ({ type: 'high', ...p })),
+      ...findPivotLows(points, 1, 1).map(p => ({ type: 'low', ...p })),
+    ].sort((a, b) => a.idx - b.idx);
+
+    if (pivots.length === 0) return empty;
+
+    let runningHigh = points[0][1];
+    let runningLow  = points[0][1];
+    let lastHigh = null, lastLow = null, priorHigh = null, priorLow = null;
+    const labeled = [];
+
+    for (const p of pivots) {
+      let label;
+      if (p.type === 'high') {
+        label = p.price > runningHigh ? 'HH' : 'LH';
+        if (label === 'HH') runningHigh = p.price;
+        priorHigh = lastHigh;
+        lastHigh  = { time: p.time, price: p.price, label };
+      } else {
+        label = p.price < runningLow ? 'LL' : 'HL';
+        if (label === 'LL') runningLow = p.price;
+        priorLow = lastLow;
+        lastLow  = { time: p.time, price: p.price, label };
+      }
+      labeled.push({ time: p.time, price: p.price, label });
+    }
+
+    const hl = lastHigh ? lastHigh.label : null;
+    const ll = lastLow  ? lastLow.label  : null;
+    let trend;
+
+    if      (hl === 'HH' && ll === 'HL') trend = 'HH + HL ↗';
+    else if (hl === 'LH' && ll === 'LL') trend = 'LL + LH ↘';
+    else if (hl === 'LH' && ll === 'HL') {
+      const ph = priorHigh ? priorHigh.label : null;
+      const pl = priorLow  ? priorLow.label  : null;
+      if      (pl === 'LL') trend = 'LH + HL ↘';  // HL is a bounce in a downtrend
+      else if (ph === 'HH') trend = 'LH + HL ↗';  // LH is a pullback in an uptrend
+      else                  trend = 'LH + HL ↔';  // genuinely mixed
+    }
+    else if (hl === 'HH' && ll === 'LL') trend = 'HH + LL ↔';  // expanding range → sideways
+    else if (hl === 'HH')                trend = 'HH only ↗';
+    else if (ll === 'LL')                trend = 'LL only ↘';
+    else                                 trend = SIDEWAYS;
+
+    return { trend, pivots: labeled, lastHigh, lastLow };
+  }
+
+  // ---------------------------------------------------------------------------
+  // findHighestToCurrent — highest confirmed swing high + the last close.
+  // The final barsEachSide + 1 bars are excluded so the high is confirmed.
+  // ---------------------------------------------------------------------------
+  function findHighestToCurrent(points, barsEachSide) {
+    if (!points || points.length === 0) return [];
+
+    const currentIdx = points.length - 1;
+    const exclude = barsEachSide + 1;
+    const historical = exclude < points.length ? points.slice(0, -exclude) : [];
+    if (historical.length === 0) return [];
+
+    const pivots = findPivotHighs(historical, barsEachSide, barsEachSide);
+    if (pivots.length === 0) return [];
+
+    const highest = pivots.reduce((best, p) => p.price > best.price ? p : best);
+    return [
+      highest,
+      { idx: currentIdx, time: points[currentIdx][0], price: points[currentIdx][1] },
+    ];
+  }
+
+  function calculateTrend(pivots) {
+    if (pivots.length < 2) return SIDEWAYS;
+    if (pivots[1].price > pivots[0].price) return 'Higher Highs ↗';
+    if (pivots[1].price < pivots[0].price) return 'Lower Highs ↘';
+    return SIDEWAYS;
+  }
+
+  const UP_TRENDS   = new Set(['HH + HL ↗', 'HH only ↗', 'LH + HL ↗']);
+  const DOWN_TRENDS = new Set(['LL + LH ↘', 'LL only ↘', 'LH + HL ↘']);
+
+  function getDivergenceSignal(trend1, trend2, name1, name2) {
+    const up1 = UP_TRENDS.has(trend1),   up2 = UP_TRENDS.has(trend2);
+    const dn1 = DOWN_TRENDS.has(trend1), dn2 = DOWN_TRENDS.has(trend2);
+
+    if (up1 && dn2) return `⚠️ BEARISH: ${name1} HH+HL, ${name2} LL+LH`;
+    if (dn1 && up2) return `⚠️ BULLISH: ${name2} HH+HL, ${name1} LL+LH`;
+    if (up1 && up2) return '✅ ALIGNED: Both HH+HL';
+    if (dn1 && dn2) return '🔴 ALIGNED: Both LL+LH';
+    return '⚖️ Mixed / No clear divergence';
+  }
+
+  function roundPivots(pivots) {
+    return pivots.map(p => ({
+      time:  p.time,
+      price: Math.round(p.price * 10000) / 10000,
+      label: p.label || '',
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // analyzeSeries — trend + rounded pivots for one series' lookback window
+  // ---------------------------------------------------------------------------
+  function analyzeSeries(points, lookback, pivotMode, swing) {
+    const recent = last(points, lookback);
+    if (pivotMode === 'highest-to-current') {
+      const pivots = findHighestToCurrent(recent, swing);
+      return { trend: calculateTrend(pivots), pivots: roundPivots(pivots) };
+    }
+    const { trend, pivots } = classifyStructure(recent);
+    return { trend, pivots: roundPivots(pivots) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // analyzePair — one entry of the cache's `pairs` array
+  // ---------------------------------------------------------------------------
+  function analyzePair(pair, pts1, pts2, lookback, pivotMode, swing) {
+    if (!pts1 || !pts2 || pts1.length === 0 || pts2.length === 0) {
+      return {
+        id: pair.id,
+        trend1: SIDEWAYS,
+        trend2: SIDEWAYS,
+        signal: '⏳ No data available yet',
+        pivots1: [],
+        pivots2: [],
+      };
+    }
+
+    const s1 = analyzeSeries(pts1, lookback, pivotMode, swing);
+    const s2 = analyzeSeries(pts2, lookback, pivotMode, swing);
+
+    return {
+      id: pair.id,
+      trend1: s1.trend,
+      trend2: s2.trend,
+      signal: getDivergenceSignal(s1.trend, s2.trend, pair.symbol1, pair.symbol2),
+      pivots1: s1.pivots,
+      pivots2: s2.pivots,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // computeRiskScore — +1 per symbol above its 50 MA, −1 below
+  // symbols: config.json `symbols` entries; data: { sym_lower: points };
+  // maLabel names the MA in details ('50-bar MA (1H)' on intraday bars).
+  // When no symbol has 50 bars (4H holds ~40) the result is flagged
+  // `insufficient` rather than scored as a neutral 0.
+  // ---------------------------------------------------------------------------
+  function computeRiskScore(symbols, data, maLabel = '50 MA') {
+    let score = 0;
+    const details = [];
+
+    for (const s of symbols) {
+      const pts = data[s.symbol.toLowerCase()] || [];
+      if (pts.length === 0) continue;
+      const ma50 = calculateMA(pts, 50);
+      if (ma50.length === 0) continue;
+
+      if (pts[pts.length - 1][1] > ma50[ma50.length - 1][1]) {
+        score += 1;
+        details.push(`${s.symbol}: Above ${maLabel} ✓`);
+      } else {
+        score -= 1;
+        details.push(`${s.symbol}: Below ${maLabel} ✗`);
+      }
+    }
+
+    if (details.length === 0) {
+      return { score: 0, signal: '⏳ Not enough bars', details, insufficient: true };
+    }
+
+    const total = symbols.length;
+    let signal;
+    if      (score >= Math.ceil(total * 0.7))  signal = '🟢 STRONG RISK ON';
+    else if (score >= Math.ceil(total * 0.3))  signal = '🟡 RISK ON';
+    else if (score >= -Math.ceil(total * 0.3)) signal = '⚪ NEUTRAL';
+    else if (score >= -Math.ceil(total * 0.7)) signal = '🟠 RISK OFF';
+    else                                       signal = '🔴 STRONG RISK OFF';
+
+    return { score, signal, details };
+  }
+
+  // ---------------------------------------------------------------------------
+  // computeDivergence — full cache-equivalent result
+  // opts: { pairs, symbols, data, lookback, pivotMode, swing, maLabel? }
+  // ---------------------------------------------------------------------------
+  function computeDivergence(opts) {
+    const { pairs, symbols, data, lookback, pivotMode, swing, maLabel } = opts;
+    return {
+      generated:  new Date().toISOString(),
+      lookback,
+      pivot_mode: pivotMode,
+      swing,
+      source:     'client',
+      risk_score: computeRiskScore(symbols, data, maLabel),
+      pairs: pairs.map(pair => analyzePair(
+        pair,
+        data[pair.symbol1.toLowerCase()],
+        data[pair.symbol2.toLowerCase()],
+        lookback, pivotMode, swing
+      )),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // defaultView — the Divergence page's starting analysis settings
+  // Page defaults, then config.json `defaults`, then the user's ⚙ settings
+  // when a Settings object is given. → { lookback, pivotMode, swingWindow },
+  // swingWindow null for auto. app.js and the summary page both start here.
+  // swingDays(view) — the swing window in bars; auto scales with the lookback
+  // ---------------------------------------------------------------------------
+  const PAGE_DEFAULTS = { lookback: 20, pivotMode: 'recent', swingWindow: null };
+
+  function defaultView(configDefaults, settings = null) {
+    const d = configDefaults || {};
+    const view = {
+      lookback:    d.lookback_days || PAGE_DEFAULTS.lookback,
+      pivotMode:   d.pivot_mode || PAGE_DEFAULTS.pivotMode,
+      swingWindow: d.swing_window_days != null ? d.swing_window_days : PAGE_DEFAULTS.swingWindow,
+    };
+    if (!settings) return view;
+
+    const swing = settings.get('divergence.swing');
+    return {
+      lookback:    settings.get('divergence.lookback', view.lookback),
+      pivotMode:   settings.get('divergence.pivotMode', view.pivotMode),
+      swingWindow: swing === undefined ? view.swingWindow : swing === 'auto' ? null : parseInt(swing, 10),
+    };
+  }
+
+  function swingDays(view) {
+    return view.swingWindow != null ? view.swingWindow : Math.min(10, Math.max(2, Math.floor(view.lookback / 10)));
+  }
+
+  global.DivergenceEngine = {
+    calculateMA,
+    findPivotHighs, findPivotLows,
+    classifyStructure, findHighestToCurrent, calculateTrend,
+    getDivergenceSignal, analyzeSeries, analyzePair,
+    computeRiskScore, computeDivergence,
+    defaultView, swingDays,
+  };
+
+}(window));
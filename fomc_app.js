@@ -11,6 +11,8 @@ const FOMC_SERIES = [
 ];
 
 const fomcCharts = new Map();
+// Every chart on the page scrolls and hovers together
+const fomcGroup = ChartUtils.createChartGroup();
 
 // =============================================================================
 // DATA LOADING
@@ -38,7 +40,7 @@ async function loadFomcData() {
   await Promise.all(
     FOMC_SERIES.map(async (id) => {
       try {
-        results[id] = await ChartUtils.loadFredCsv(`./data/fred/${id}.csv`);
+        results[id] = await DataLayer.loadFred(`./data/fred/${id}.csv`);
       } catch (err) {
         console.warn(`Could not load ${id}: ${err.message}`);
         results[id] = null;
@@ -121,6 +123,7 @@ function renderSummaryCards(data, decisions) {
 
 function destroyChart(id) {
   if (fomcCharts.has(id)) {
+    fomcGroup.remove(fomcCharts.get(id));
     try { fomcCharts.get(id).remove(); } catch (_) {}
     fomcCharts.delete(id);
   }
@@ -130,6 +133,8 @@ function createBaseChart(containerId, height, overrides) {
   destroyChart(containerId);
   const el = document.getElementById(containerId);
   if (!el) return null;
+  // Drop the previous render's legend and inspect/export buttons
+  el.innerHTML = '';
 
   const chart = ChartUtils.createFomcChart(el, height, overrides);
   fomcCharts.set(containerId, chart);
@@ -217,8 +222,16 @@ function renderRateHistoryChart(data, decisions) {
   const viewFrom = nYearsAgo(15);
   const lastTime = combined[combined.length - 1].time;
   const visibleBars = combined.filter(p => p.time >= viewFrom).length;
-  chart.timeScale().applyOptions({ rightOffset: Math.ceil(visibleBars * 0.05) });
-  chart.timeScale().setVisibleRange({ from: viewFrom, to: lastTime });
+  const fitView = () => {
+    chart.timeScale().applyOptions({ rightOffset: Math.ceil(visibleBars * 0.05) });
+    chart.timeScale().setVisibleRange({ from: viewFrom, to: lastTime });
+  };
+  fitView();
+  ChartUtils.makeInspectable(chart, document.getElementById('chart-rate-history'), {
+    refit: fitView,
+    series: [{ series: area, label: 'EFFR', color: ChartUtils.colors.rate }],
+  });
+  fomcGroup.add(chart, area);
 }
 
 // =============================================================================
@@ -247,6 +260,7 @@ function renderRateCorridorChart(data) {
     lastValueVisible: true,
   });
   upper.setData(toChartPoints(dfedtaru));
+  const tracked = [{ series: upper, label: 'Upper', color: ChartUtils.colors.rate }];
 
   // Lower target — orange dashed (lighter)
   const lower = chart.addSeries(LightweightCharts.LineSeries, {
@@ -258,6 +272,7 @@ function renderRateCorridorChart(data) {
     lastValueVisible: true,
   });
   lower.setData(toChartPoints(dfedtarl));
+  tracked.push({ series: lower, label: 'Lower', color: ChartUtils.hexToRgba(ChartUtils.colors.rate, 0.6) });
 
   // EFFR — solid white (the actual overnight rate vs the corridor)
   if (effr.length >= 2) {
@@ -270,6 +285,7 @@ function renderRateCorridorChart(data) {
       lastValueVisible: true,
     });
     effrS.setData(toChartPoints(effr));
+    tracked.push({ series: effrS, label: 'EFFR', color: ChartUtils.colors.effr });
   }
 
   addChartLegend('chart-rate-corridor', [
@@ -279,6 +295,11 @@ function renderRateCorridorChart(data) {
   ]);
 
   ChartUtils.fitWithRightPadding(chart, dfedtaru.length);
+  ChartUtils.makeInspectable(chart, document.getElementById('chart-rate-corridor'), {
+    refit: () => ChartUtils.fitWithRightPadding(chart, dfedtaru.length),
+    series: tracked,
+  });
+  fomcGroup.add(chart, upper);
 }
 
 // =============================================================================
@@ -322,6 +343,11 @@ function renderSepChart(data) {
   );
 
   ChartUtils.fitWithRightPadding(chart, fedtarmd.length, 0.005);
+  ChartUtils.makeInspectable(chart, document.getElementById('chart-sep'), {
+    refit: () => ChartUtils.fitWithRightPadding(chart, fedtarmd.length, 0.005),
+    series: [{ series: line, label: 'SEP Median', color: ChartUtils.colors.rate }],
+  });
+  fomcGroup.add(chart, line);
 }
 
 // =============================================================================
@@ -353,6 +379,11 @@ function renderReverseRepoChart(data) {
   ]);
   // 20%: chart is half-width, so pixel-per-bar is halved vs full-width charts
   ChartUtils.fitWithRightPadding(chart, rrpo.length, 0.04);
+  ChartUtils.makeInspectable(chart, document.getElementById('chart-rrpo'), {
+    refit: () => ChartUtils.fitWithRightPadding(chart, rrpo.length, 0.04),
+    series: [{ series: area, label: 'O/N RRP', color: ChartUtils.colors.rrp, format: v => `$${v.toFixed(0)}B` }],
+  });
+  fomcGroup.add(chart, area);
 }
 
 // =============================================================================
@@ -385,6 +416,8 @@ function renderBalanceSheetChart(data) {
     lastValueVisible: true,
   });
   totalArea.setData(toB(walcl));
+  const billions = v => `$${v.toFixed(0)}B`;
+  const tracked = [{ series: totalArea, label: 'Total Assets', color: ChartUtils.colors.balSheet, format: billions }];
 
   // Treasuries — blue line
   if (treast?.length >= 2) {
@@ -396,6 +429,7 @@ function renderBalanceSheetChart(data) {
       lastValueVisible: true,
     });
     tLine.setData(toB(treast));
+    tracked.push({ series: tLine, label: 'Treasuries', color: ChartUtils.colors.sofr, format: billions });
   }
 
   // MBS — amber line
@@ -408,6 +442,7 @@ function renderBalanceSheetChart(data) {
       lastValueVisible: true,
     });
     mLine.setData(toB(mbst));
+    tracked.push({ series: mLine, label: 'MBS', color: ChartUtils.colors.mbs, format: billions });
   }
 
   const bsEntries = [
@@ -418,6 +453,11 @@ function renderBalanceSheetChart(data) {
   addChartLegend('chart-balance-sheet', bsEntries);
 
   ChartUtils.fitWithRightPadding(chart, walcl.length);
+  ChartUtils.makeInspectable(chart, document.getElementById('chart-balance-sheet'), {
+    refit: () => ChartUtils.fitWithRightPadding(chart, walcl.length),
+    series: tracked,
+  });
+  fomcGroup.add(chart, totalArea);
 }
 
 // =============================================================================
@@ -450,38 +490,50 @@ function renderReserveBalancesChart(data) {
   // 15%: WRESBAL goes back to 1959 (~3500 weekly bars), minBarSpacing compresses
   // each bar to ~0.24px, so 7.5% gives barely 60px of right gap
   ChartUtils.fitWithRightPadding(chart, wresbal.length, 0.03);
+  ChartUtils.makeInspectable(chart, document.getElementById('chart-wresbal'), {
+    refit: () => ChartUtils.fitWithRightPadding(chart, wresbal.length, 0.03),
+    series: [{ series: area, label: 'Reserves', color: ChartUtils.colors.reserves, format: v => `$${v.toFixed(0)}B` }],
+  });
+  fomcGroup.add(chart, area);
 }
 
 // =============================================================================
 // MAIN
 // =============================================================================
 
+async function loadAndRender() {
+  const data = await loadFomcData();
+  const decisions = buildDecisionTimeline(data['DFEDTARU'] || []);
+
+  renderSummaryCards(data, decisions);
+
+  const dfedtaru = data['DFEDTARU'];
+  if (dfedtaru?.length) {
+    const lastDate = dfedtaru[dfedtaru.length - 1].date;
+    document.getElementById('meta').textContent =
+      `Last updated: ${lastDate} · ${decisions.length} rate decisions detected since 2008`;
+  } else {
+    document.getElementById('meta').textContent = 'Data loaded';
+  }
+
+  for (const [fn, args] of [
+    [renderRateHistoryChart,    [data, decisions]],
+    [renderRateCorridorChart,   [data]],
+    [renderSepChart,            [data]],
+    [renderReverseRepoChart,    [data]],
+    [renderBalanceSheetChart,   [data]],
+    [renderReserveBalancesChart,[data]],
+  ]) {
+    try { fn(...args); } catch (e) { console.error(`${fn.name}:`, e); }
+  }
+}
+
 async function init() {
   try {
-    const data = await loadFomcData();
-    const decisions = buildDecisionTimeline(data['DFEDTARU'] || []);
-
-    renderSummaryCards(data, decisions);
-
-    const dfedtaru = data['DFEDTARU'];
-    if (dfedtaru?.length) {
-      const lastDate = dfedtaru[dfedtaru.length - 1].date;
-      document.getElementById('meta').textContent =
-        `Last updated: ${lastDate} · ${decisions.length} rate decisions detected since 2008`;
-    } else {
-      document.getElementById('meta').textContent = 'Data loaded';
-    }
-
-    for (const [fn, args] of [
-      [renderRateHistoryChart,    [data, decisions]],
-      [renderRateCorridorChart,   [data]],
-      [renderSepChart,            [data]],
-      [renderReverseRepoChart,    [data]],
-      [renderBalanceSheetChart,   [data]],
-      [renderReserveBalancesChart,[data]],
-    ]) {
-      try { fn(...args); } catch (e) { console.error(`${fn.name}:`, e); }
-    }
+    ChartUtils.addPageInspectToggle(document.querySelector('.header-section'));
+    await loadAndRender();
+    Refresh.start(loadAndRender);
+    Theme.onChange(loadAndRender);
 
   } catch (err) {
     console.error('FOMC init error:', err);
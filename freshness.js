@@ -0,0 +1,125 @@
+// =============================================================================
+// freshness.js — Staleness checks for Yahoo symbol CSVs and FRED series
+// Exposes window.Freshness via IIFE — no build step required.
+//
+// Each series' last bar/observation date is compared with its expected
+// cadence: trading days for Yahoo symbols (calendar days for crypto), and
+// the fred_config.json `freq` for FRED series. Limits include the usual
+// release lag — monthly FRED series are routinely 2–3 months behind — so a
+// series is only flagged once it has missed at least one expected update.
+// Pages badge stale cards with badge(); health.html lists every series.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  // unit 'trading' counts weekdays after the last date; 'days' counts
+  // calendar days. A series is stale once its age exceeds limit.
+  const CADENCES = {
+    trading: { unit: 'trading', limit: 2,   label: 'trading days' },
+    crypto:  { unit: 'days',    limit: 2,   label: 'days (24/7)' },
+    daily:   { unit: 'days',    limit: 7,   label: 'days (daily)' },
+    weekly:  { unit: 'days',    limit: 21,  label: 'days (weekly)' },
+    monthly: { unit: 'days',    limit: 100, label: 'days (monthly)' },
+  };
+
+  // Symbols that trade through weekends (see _SHARED_TICKER_MAP in fetch_data.py)
+  const CRYPTO_SYMBOLS = ['BTC', 'ETH'];
+
+  const DAY_MS = 86400000;
+
+  function dayMs(date) {
+    return Date.parse(`${date}T00:00:00Z`);
+  }
+
+  // today() → 'YYYY-MM-DD' (UTC), the date CSV rows are stamped in
+  function today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  // tradingDaysSince('2026-03-27', '2026-03-31') → 2 — weekdays after `from`
+  // up to and including `to`. Exchange holidays are not modelled; the limit
+  // leaves room for one.
+  function tradingDaysSince(from, to) {
+    let count = 0;
+    for (let t = dayMs(from) + DAY_MS, end = dayMs(to); t <= end; t += DAY_MS) {
+      const wd = new Date(t).getUTCDay();
+      if (wd !== 0 && wd !== 6) count++;
+    }
+    return count;
+  }
+
+  function symbolCadence(sym) {
+    return CRYPTO_SYMBOLS.includes(sym.toUpperCase()) ? 'crypto' : 'trading';
+  }
+
+  // ---------------------------------------------------------------------------
+  // check(lastDate, cadence, { now, limit }) → result
+  // result: { lastDate, cadence, age, limit, unit, label, stale, status }
+  // status is 'ok', 'stale', or 'missing' (no data at all). limit overrides
+  // the cadence default (fred_config.json `stale_days`). Unknown cadences are
+  // treated as daily.
+  // ---------------------------------------------------------------------------
+  function check(lastDate, cadence, opts = {}) {
+    const c = CADENCES[cadence] || CADENCES.daily;
+    const now = opts.now || today();
+    const limit = opts.limit || c.limit;
+    const base = { lastDate: lastDate || null, cadence, limit, unit: c.unit, label: c.label };
+
+    if (!lastDate) return { ...base, age: null, stale: true, status: 'missing' };
+
+    const date = lastDate.slice(0, 10);
+    const age = c.unit === 'trading'
+      ? tradingDaysSince(date, now)
+      : Math.max(0, Math.round((dayMs(now) - dayMs(date)) / DAY_MS));
+    const stale = age > limit;
+    return { ...base, age, stale, status: stale ? 'stale' : 'ok' };
+  }
+
+  // checkBars('spy', bars) — bars from DataLayer (oldest first)
+  function checkBars(sym, bars, opts) {
+    const last = bars && bars.length ? bars[bars.length - 1].date : null;
+    return check(last, symbolCadence(sym), opts);
+  }
+
+  // checkPoints('spy', [[unixSec, value], ...]) — cache JSON / dataCache shape
+  function checkPoints(sym, points, opts) {
+    const last = points && points.length
+      ? new Date(points[points.length - 1][0] * 1000).toISOString().slice(0, 10)
+      : null;
+    return check(last, symbolCadence(sym), opts);
+  }
+
+  // checkFred(seriesConfig, [{ date, value }]) — cadence from `freq`
+  function checkFred(series, points, opts = {}) {
+    const last = points && points.length ? points[points.length - 1].date : null;
+    return check(last, series.freq, { ...opts, limit: series.stale_days || opts.limit });
+  }
+
+  // describe(result) → 'Last 2026-03-27 · 5 trading days old (limit 2)'
+  function describe(r) {
+    if (r.status === 'missing') return 'No data loaded';
+    return `Last ${r.lastDate} · ${r.age} ${r.label} old (limit ${r.limit})`;
+  }
+
+  // badge(result) → '<span class="fresh-badge stale">…' HTML, '' when fresh
+  function badge(r) {
+    if (!r || r.status === 'ok') return '';
+    const text = r.status === 'missing' ? 'NO DATA' : 'STALE';
+    return `<span class="fresh-badge ${r.status}" title="${describe(r)}">${text}</span>`;
+  }
+
+  // staleNote(count) → ' · ⚠ 3 stale' link to the health page, '' when 0
+  function staleNote(count) {
+    if (!count) return '';
+    return ` · <a href="health.html" class="fresh-link">⚠ ${count} stale</a>`;
+  }
+
+  global.Freshness = {
+    CADENCES, CRYPTO_SYMBOLS,
+    today, tradingDaysSince, symbolCadence,
+    check, checkBars, checkPoints, checkFred,
+    describe, badge, staleNote,
+  };
+
+}(window));
@@ -39,7 +39,7 @@ async function loadAllCsvs(categories) {
   await Promise.all(
     Array.from(seriesMap.keys()).map(async (id) => {
       try {
-        results[id] = await ChartUtils.loadFredCsv(`./data/fred/${id}.csv`);
+        results[id] = await DataLayer.loadFred(`./data/fred/${id}.csv`);
       } catch (e) {
         console.warn(`Could not load ${id}: ${e.message}`);
         results[id] = null;
@@ -190,6 +190,14 @@ function renderSparkline(svgEl, points, color) {
 // CARD & CATEGORY RENDERING
 // =============================================================================
 
+// ⤓ PNG of the card's sparkline + CSV of the points it plots
+function addSparklineExport(card, name, points) {
+  ChartUtils.addExportMenu(card, `gov-${name}`, {
+    png: () => ChartUtils.svgToCanvas(card.querySelector('svg')),
+    csv: () => points.slice(Math.max(0, points.length - HISTORY_DAYS)),
+  }, { placement: 'corner' });
+}
+
 function renderSeriesCard(series, points, color) {
   const stats = computeStats(points, series.display, series.freq);
 
@@ -207,6 +215,8 @@ function renderSeriesCard(series, points, color) {
     ? `<div class="muted" style="font-size:10px;margin-top:2px">${latestDate}</div>`
     : '';
 
+  const freshness = Freshness.checkFred(series, points);
+
   const cardId  = `gov-card-${series.id.toLowerCase()}`;
   const sparkId = `gov-spark-${series.id.toLowerCase()}`;
 
@@ -215,7 +225,7 @@ function renderSeriesCard(series, points, color) {
   card.id = cardId;
   card.innerHTML = `
     <div class="asset-header">
-      <span class="asset-symbol" style="font-size:11px">${series.id}</span>
+      <span class="asset-symbol" style="font-size:11px">${series.id}${Freshness.badge(freshness)}</span>
       <span class="asset-name">${series.name}</span>
     </div>
     <div class="asset-price-row">
@@ -232,6 +242,7 @@ function renderSeriesCard(series, points, color) {
       const svgEl = document.getElementById(sparkId);
       if (svgEl) renderSparkline(svgEl, points, color);
     });
+    addSparklineExport(card, series.id, points);
   }
 
   return card;
@@ -295,6 +306,7 @@ const renderedTabs = new Set();
 
 function switchTab(tabId) {
   activeTab = tabId;
+  UrlState.update({ tab: tabId === 'overview' ? null : tabId });
   document.querySelectorAll('.tab-btn').forEach(b =>
     b.classList.toggle('active', b.dataset.tab === tabId));
   document.querySelectorAll('.tab-panel').forEach(p =>
@@ -356,107 +368,23 @@ function renderOverviewTab(panel) {
 // SCORING HELPERS
 // =============================================================================
 
-function scoreColor(score) {
-  if (score <= 25) return '#10b981';
-  if (score <= 45) return '#84cc16';
-  if (score <= 60) return '#f59e0b';
-  if (score <= 80) return '#f97316';
-  return '#ef4444';
-}
-
-function scoreLabel(score) {
-  if (score <= 25) return 'Low Risk';
-  if (score <= 45) return 'Moderate';
-  if (score <= 60) return 'Elevated';
-  if (score <= 80) return 'High Risk';
-  return 'Extreme Risk';
-}
-
-function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
-
-// Compute z-score of most recent MoM change vs ~1yr of MoM changes
-function computeMoMZScore(points, lookback) {
-  if (!points || points.length < lookback + 2) return 0;
-  const recent = points.slice(-lookback);
-  const changes = [];
-  for (let i = 1; i < recent.length; i++) {
-    if (recent[i - 1].value !== 0) {
-      changes.push((recent[i].value - recent[i - 1].value) / Math.abs(recent[i - 1].value));
-    }
-  }
-  if (changes.length < 2) return 0;
-  const lastChange = changes[changes.length - 1];
-  const mean = changes.reduce((s, v) => s + v, 0) / changes.length;
-  const std = Math.sqrt(changes.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / changes.length);
-  return std === 0 ? 0 : (lastChange - mean) / std;
-}
-
-// Convert z-score to 0–100 risk score (positive z = growing = lower risk)
-function zToRiskScore(z) {
-  return Math.round(clamp(50 - z * 15, 5, 95));
-}
-
-// ── Factor scorers ──────────────────────────────────────────────────────────
-
-function scoreYieldCurve(t10y2yPts) {
-  if (!t10y2yPts || !t10y2yPts.length) return 50;
-  const val = t10y2yPts[t10y2yPts.length - 1].value;
-  if (val > 0.5)  return 10;
-  if (val >= 0)   return 35;
-  if (val >= -1)  return 65;
-  return 90;
-}
-
-function scoreCreditStress(bamlPts) {
-  if (!bamlPts || bamlPts.length < 2) return 50;
-  const current = bamlPts[bamlPts.length - 1].value;
-  return ChartUtils.computePercentile(bamlPts, current, 1260); // 5yr daily window
-}
-
-function scoreEconomicMomentum(indproPts, rsafsPts) {
-  const indproZ = computeMoMZScore(indproPts || [], 13);
-  const rsafsZ  = computeMoMZScore(rsafsPts  || [], 13);
-  return zToRiskScore((indproZ + rsafsZ) / 2);
-}
-
-function scoreLaborMarket(payemsPts, unratePts) {
-  const payemsZ     = computeMoMZScore(payemsPts || [], 13);
-  const payemsScore = zToRiskScore(payemsZ);
-
-  // Sahm-like modifier from UNRATE
-  let sahmModifier = 0;
-  if (unratePts && unratePts.length >= 12) {
-    const n    = unratePts.length;
-    const ma3  = (unratePts[n-1].value + unratePts[n-2].value + unratePts[n-3].value) / 3;
-    const min12 = Math.min(...unratePts.slice(n-12, n).map(p => p.value));
-    const sahmVal = ma3 - min12;
-    if (sahmVal >= 0.3) sahmModifier = 20;
-    else if (sahmVal < 0) sahmModifier = -10;
-  }
-
-  return Math.round(clamp(payemsScore + sahmModifier, 5, 95));
-}
-
-function scoreFinancialConditions(vixPts, nfciPts) {
-  const vixScore = vixPts && vixPts.length > 1
-    ? ChartUtils.computePercentile(vixPts, vixPts[vixPts.length - 1].value, 1260)
-    : 50;
-
-  const nfciScore = nfciPts && nfciPts.length > 1
-    ? Math.round(clamp(50 + nfciPts[nfciPts.length - 1].value * 30, 5, 95))
-    : 50;
-
-  return Math.round((vixScore + nfciScore) / 2);
-}
+// Scoring lives in risk-scores.js (shared with the summary page)
+const {
+  scoreColor, scoreLabel, clamp,
+  scoreYieldCurve, computeJPMorganFactors,
+} = RiskScores;
 
 // =============================================================================
 // LIGHTWEIGHT CHARTS HELPER
 // =============================================================================
 
 const govCharts = {};
+// Charts across tabs share one time window and crosshair date
+const govGroup = ChartUtils.createChartGroup();
 
 function destroyGovChart(id) {
   if (govCharts[id]) {
+    govGroup.remove(govCharts[id]);
     try { govCharts[id].remove(); } catch (e) {}
     delete govCharts[id];
   }
@@ -470,12 +398,12 @@ function renderGovChart(containerId, points, opts = {}) {
   container.innerHTML = '';
 
   const height = opts.height || 250;
-  const color  = opts.color  || '#4a9eff';
+  const color  = opts.color  || Theme.color('info');
 
   const { LineSeries, AreaSeries, BaselineSeries } = window.LightweightCharts;
 
   const chart = ChartUtils.createDashboardChart(container, height, {
-    grid: { vertLines: { color: '#2a2b2f' }, horzLines: { color: '#2a2b2f' } },
+    grid: { vertLines: { color: Theme.color('surface-3') }, horzLines: { color: Theme.color('surface-3') } },
   });
 
   govCharts[containerId] = chart;
@@ -488,12 +416,12 @@ function renderGovChart(containerId, points, opts = {}) {
   if (opts.baseline !== undefined && typeof BaselineSeries !== 'undefined') {
     series = chart.addSeries(BaselineSeries, {
       baseValue:        { type: 'price', price: opts.baseline },
-      topLineColor:     '#ef4444',
-      topFillColor1:    'rgba(239,68,68,0.3)',
-      topFillColor2:    'rgba(239,68,68,0.0)',
-      bottomLineColor:  '#10b981',
-      bottomFillColor1: 'rgba(16,185,129,0.0)',
-      bottomFillColor2: 'rgba(16,185,129,0.3)',
+      topLineColor:     Theme.color('down'),
+      topFillColor1:    ChartUtils.hexToRgba(Theme.color('down'), 0.3),
+      topFillColor2:    ChartUtils.hexToRgba(Theme.color('down'), 0),
+      bottomLineColor:  Theme.color('up'),
+      bottomFillColor1: ChartUtils.hexToRgba(Theme.color('up'), 0),
+      bottomFillColor2: ChartUtils.hexToRgba(Theme.color('up'), 0.3),
       lineWidth: 2,
       priceLineVisible: false,
       lastValueVisible: true,
@@ -516,7 +444,7 @@ function renderGovChart(containerId, points, opts = {}) {
     for (const ref of opts.refLines) {
       series.createPriceLine({
         price: ref.value,
-        color: ref.color || '#ef4444',
+        color: ref.color || Theme.color('down'),
         lineWidth: 1,
         lineStyle: 2, // Dashed
         axisLabelVisible: true,
@@ -526,6 +454,11 @@ function renderGovChart(containerId, points, opts = {}) {
   }
 
   ChartUtils.fitWithRightPadding(chart, data.length);
+  ChartUtils.makeInspectable(chart, container, {
+    refit: () => ChartUtils.fitWithRightPadding(chart, data.length),
+    series: [{ series, label: opts.legend?.[0]?.label || 'Value', color: opts.legend?.[0]?.color || color }],
+  });
+  govGroup.add(chart, series);
 
   if (opts.legend) {
     ChartUtils.addChartLegend(containerId, opts.legend);
@@ -539,45 +472,7 @@ function renderGovChart(containerId, points, opts = {}) {
 // =============================================================================
 
 function renderJPMorganTab(panel) {
-  const factors = [
-    {
-      name:   'Yield Curve',
-      proxy:  'T10Y2Y',
-      color:  '#4a9eff',
-      score:  scoreYieldCurve(allData['T10Y2Y']),
-      points: allData['T10Y2Y'] || [],
-    },
-    {
-      name:   'Credit Stress',
-      proxy:  'BAMLH0A0HYM2',
-      color:  '#f97316',
-      score:  scoreCreditStress(allData['BAMLH0A0HYM2']),
-      points: allData['BAMLH0A0HYM2'] || [],
-    },
-    {
-      name:   'Economic Momentum',
-      proxy:  'INDPRO + RSAFS',
-      color:  '#10b981',
-      score:  scoreEconomicMomentum(allData['INDPRO'], allData['RSAFS']),
-      points: allData['INDPRO'] || [],
-    },
-    {
-      name:   'Labor Market',
-      proxy:  'PAYEMS + UNRATE',
-      color:  '#a78bfa',
-      score:  scoreLaborMarket(allData['PAYEMS'], allData['UNRATE']),
-      points: allData['PAYEMS'] || [],
-    },
-    {
-      name:   'Financial Conditions',
-      proxy:  'VIXCLS + NFCI',
-      color:  '#f59e0b',
-      score:  scoreFinancialConditions(allData['VIXCLS'], allData['NFCI']),
-      points: allData['VIXCLS'] || [],
-    },
-  ];
-
-  const composite = Math.round(factors.reduce((s, f) => s + f.score, 0) / factors.length);
+  const { factors, composite } = computeJPMorganFactors(allData);
   const cColor = scoreColor(composite);
   const cLabel = scoreLabel(composite);
 
@@ -586,20 +481,34 @@ function renderJPMorganTab(panel) {
   compositeCard.className = 'card';
   compositeCard.style.marginTop = '18px';
   compositeCard.innerHTML = `
-    <div style="font-size:13px;color:#a7a7ad;margin-bottom:8px">JPMorgan Risk Framework · Composite Score</div>
+    <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;margin-bottom:8px">
+      <div style="font-size:13px;color:var(--muted)">JPMorgan Risk Framework · Composite Score</div>
+      <div class="jpm-export"></div>
+    </div>
     <div style="display:flex;align-items:center;gap:16px;flex-wrap:wrap">
       <div style="font-size:44px;font-weight:700;color:${cColor};font-variant-numeric:tabular-nums">${composite}</div>
       <div>
         <div style="font-size:20px;font-weight:600;color:${cColor}">${cLabel}</div>
-        <div style="font-size:12px;color:#a7a7ad;margin-top:2px">Equal-weight avg of 5 factors · 0 = low risk · 100 = extreme risk</div>
+        <div style="font-size:12px;color:var(--muted);margin-top:2px">Equal-weight avg of 5 factors · 0 = low risk · 100 = extreme risk</div>
       </div>
     </div>
-    <div style="background:#2a2b2f;border-radius:6px;height:10px;margin-top:14px;overflow:hidden">
+    <div style="background:var(--surface-3);border-radius:6px;height:10px;margin-top:14px;overflow:hidden">
       <div style="width:${composite}%;background:${cColor};height:100%;border-radius:6px"></div>
     </div>
   `;
   panel.appendChild(compositeCard);
 
+  const factorRows = () => factors.map(f => ({
+    factor: f.name,
+    proxy:  f.proxy,
+    score:  f.score,
+    label:  scoreLabel(f.score),
+  }));
+  ChartUtils.addExportMenu(compositeCard.querySelector('.jpm-export'), 'jpmorgan-factors', {
+    csv:  () => [...factorRows(), { factor: 'Composite', proxy: 'Equal-weight average', score: composite, label: cLabel }],
+    json: () => ({ composite, label: cLabel, factors: factorRows() }),
+  });
+
   // Factor cards
   const grid = document.createElement('div');
   grid.className = 'risk-cards-container';
@@ -615,15 +524,15 @@ function renderJPMorganTab(panel) {
     card.innerHTML = `
       <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:8px">
         <div>
-          <div style="font-size:14px;font-weight:600;color:#e9e9ea">${f.name}</div>
-          <div style="font-size:11px;color:#a7a7ad;margin-top:2px">${f.proxy}</div>
+          <div style="font-size:14px;font-weight:600;color:var(--text)">${f.name}</div>
+          <div style="font-size:11px;color:var(--muted);margin-top:2px">${f.proxy}</div>
         </div>
         <div style="text-align:right">
           <div style="font-size:26px;font-weight:700;color:${fc}">${f.score}</div>
           <div style="font-size:11px;color:${fc}">${fl}</div>
         </div>
       </div>
-      <div style="background:#2a2b2f;border-radius:4px;height:6px;margin:8px 0;overflow:hidden">
+      <div style="background:var(--surface-3);border-radius:4px;height:6px;margin:8px 0;overflow:hidden">
         <div style="width:${f.score}%;background:${fc};height:100%;border-radius:4px"></div>
       </div>
       <svg id="${sparkId}" height="52" style="width:100%;display:block;margin-top:8px"></svg>
@@ -635,6 +544,7 @@ function renderJPMorganTab(panel) {
         const svgEl = document.getElementById(sparkId);
         if (svgEl) renderSparkline(svgEl, f.points, fc);
       });
+      addSparklineExport(card, `jpm-${f.proxy}`, f.points);
     }
   });
 
@@ -642,8 +552,8 @@ function renderJPMorganTab(panel) {
   note.className = 'card';
   note.style.marginTop = '18px';
   note.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:10px">About This Model</div>
-    <div style="font-size:12px;color:#a7a7ad;line-height:1.7">
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:10px">About This Model</div>
+    <div style="font-size:12px;color:var(--muted);line-height:1.7">
       <p style="margin:0 0 10px 0">
         JPMorgan's cross-asset risk framework evaluates macro and financial conditions across five independent
         dimensions, then combines them into a single composite risk score. The approach is rooted in JPMorgan's
@@ -651,42 +561,42 @@ function renderJPMorganTab(panel) {
         or risk-off environments before positioning across asset classes.
       </p>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Composite formula (equal weight):</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Composite formula (equal weight):</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 Composite = (score_YC + score_CS + score_EM + score_LM + score_FC) / 5
 
 Range: 0–100   where 0 = low risk, 100 = extreme risk
 Bands: 0–25 Low · 25–45 Moderate · 45–60 Elevated · 60–80 High · 80–100 Extreme</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#4a9eff">① Yield Curve — T10Y2Y</strong></p>
+      <p style="margin:0 0 6px 0"><strong style="color:var(--info)">① Yield Curve — T10Y2Y</strong></p>
       <p style="margin:0 0 6px 0;font-size:11px">
         A positive spread signals normal credit transmission; inversion historically precedes recession by 12–18 months.
         Score is a step function at key structural breakpoints:
       </p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 T10Y2Y > +0.5%   →  score 10   (normal, credit intermediation intact)
 T10Y2Y  0–0.5%   →  score 35   (flattening, watch closely)
 T10Y2Y −1–0%     →  score 65   (inverted, recessionary signal)
 T10Y2Y < −1%     →  score 90   (deeply inverted, high recession risk)</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#f97316">② Credit Stress — BAMLH0A0HYM2</strong></p>
+      <p style="margin:0 0 6px 0"><strong style="color:var(--caution)">② Credit Stress — BAMLH0A0HYM2</strong></p>
       <p style="margin:0 0 6px 0;font-size:11px">
         ICE BofA US High Yield Option-Adjusted Spread. Widens sharply when credit markets price in default risk.
         Scored as a rolling percentile rank vs the past 5 years (~1,260 daily observations):
       </p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 score_CS = percentile_rank(HY_OAS_current, 5yr window)
 
 e.g.: OAS at 5-year low  → score ~5  (tight, risk-on)
       OAS at 5-year median → score ~50 (neutral)
       OAS at 5-year high  → score ~95 (stressed, risk-off)</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#10b981">③ Economic Momentum — INDPRO + RSAFS</strong></p>
+      <p style="margin:0 0 6px 0"><strong style="color:var(--up)">③ Economic Momentum — INDPRO + RSAFS</strong></p>
       <p style="margin:0 0 6px 0;font-size:11px">
         Month-over-month changes in industrial production and retail sales, z-scored against 1 year of MoM history,
         then averaged and mapped to a risk scale where positive growth = lower risk:
       </p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 MoM_i   = (x_t − x_{t−1}) / |x_{t−1}|
 z_i     = (MoM_i − μ_{1yr}) / σ_{1yr}
 z_avg   = (z_INDPRO + z_RSAFS) / 2
@@ -696,11 +606,11 @@ e.g.: z = +2 (strong growth) → score 20  (low risk)
       z =  0 (trend growth)  → score 50  (neutral)
       z = −2 (contraction)   → score 80  (high risk)</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#a78bfa">④ Labor Market — PAYEMS + UNRATE</strong></p>
+      <p style="margin:0 0 6px 0"><strong style="color:var(--purple)">④ Labor Market — PAYEMS + UNRATE</strong></p>
       <p style="margin:0 0 6px 0;font-size:11px">
         Payroll momentum z-score plus a Sahm-rule-inspired modifier based on the unemployment rate trend:
       </p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 z_payems    = (MoM_PAYEMS − μ_{1yr}) / σ_{1yr}
 base_score  = clamp(50 − z_payems × 15, 5, 95)
 
@@ -711,12 +621,12 @@ modifier    = +20 if sahm_proxy ≥ 0.3   (labor deteriorating)
 
 score_LM = clamp(base_score + modifier, 5, 95)</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#f59e0b">⑤ Financial Conditions — VIXCLS + NFCI</strong></p>
+      <p style="margin:0 0 6px 0"><strong style="color:var(--warn)">⑤ Financial Conditions — VIXCLS + NFCI</strong></p>
       <p style="margin:0 0 6px 0;font-size:11px">
         VIX captures near-term implied volatility (fear gauge); NFCI captures broad systemic tightness.
         Both are percentile-ranked or z-score rescaled, then averaged:
       </p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 score_VIX  = percentile_rank(VIX, 5yr window)
 score_NFCI = clamp(50 + NFCI × 30, 5, 95)
 score_FC   = (score_VIX + score_NFCI) / 2
@@ -728,10 +638,10 @@ NFCI examples:  −0.5 → score 35 · 0 → 50 · +0.5 → 65 · +1.0 → 80</d
         and may apply dynamic weights based on the macro regime.
       </p>
       <div style="display:flex;gap:16px;flex-wrap:wrap;margin-top:8px">
-        <a href="https://am.jpmorgan.com/us/en/asset-management/adv/insights/market-insights/guide-to-the-markets/" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">JPMorgan Guide to the Markets →</a>
-        <a href="https://fred.stlouisfed.org/series/T10Y2Y" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">T10Y2Y on FRED →</a>
-        <a href="https://fred.stlouisfed.org/series/BAMLH0A0HYM2" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">HY OAS on FRED →</a>
-        <a href="https://fred.stlouisfed.org/series/NFCI" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">NFCI on FRED →</a>
+        <a href="https://am.jpmorgan.com/us/en/asset-management/adv/insights/market-insights/guide-to-the-markets/" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">JPMorgan Guide to the Markets →</a>
+        <a href="https://fred.stlouisfed.org/series/T10Y2Y" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">T10Y2Y on FRED →</a>
+        <a href="https://fred.stlouisfed.org/series/BAMLH0A0HYM2" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">HY OAS on FRED →</a>
+        <a href="https://fred.stlouisfed.org/series/NFCI" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">NFCI on FRED →</a>
       </div>
     </div>
   `;
@@ -763,11 +673,11 @@ function probLabel(prob) {
 }
 
 function probColor(prob) {
-  if (prob < 15) return '#10b981';
-  if (prob < 30) return '#84cc16';
-  if (prob < 50) return '#f59e0b';
-  if (prob < 70) return '#f97316';
-  return '#ef4444';
+  if (prob < 15) return Theme.color('signal-strong-on');
+  if (prob < 30) return Theme.color('signal-on');
+  if (prob < 50) return Theme.color('signal-off');
+  if (prob < 70) return Theme.color('caution');
+  return Theme.color('signal-strong-off');
 }
 
 function renderNYFedTab(panel) {
@@ -794,7 +704,7 @@ function renderNYFedTab(panel) {
       </div>
       <div class="card" style="flex:1;min-width:180px">
         <div class="muted" style="font-size:12px;margin-bottom:4px">T10Y2Y Spread (proxy)</div>
-        <div style="font-size:36px;font-weight:700;color:#e9e9ea">${current.value.toFixed(2)}%</div>
+        <div style="font-size:36px;font-weight:700;color:var(--text)">${current.value.toFixed(2)}%</div>
         <div class="muted" style="font-size:12px;margin-top:2px">As of ${current.date}</div>
       </div>
     `;
@@ -807,7 +717,7 @@ function renderNYFedTab(panel) {
   chartCard.className = 'card';
   chartCard.style.marginTop = '14px';
   chartCard.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:12px">Recession Probability Over Time</div>
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:12px">Recession Probability Over Time</div>
     <div id="chart-nyfed" style="width:100%;height:250px"></div>
   `;
   panel.appendChild(chartCard);
@@ -816,18 +726,18 @@ function renderNYFedTab(panel) {
   noteCard.className = 'card';
   noteCard.style.marginTop = '14px';
   noteCard.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:10px">About This Model</div>
-    <div style="font-size:12px;color:#a7a7ad;line-height:1.7">
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:10px">About This Model</div>
+    <div style="font-size:12px;color:var(--muted);line-height:1.7">
       <p style="margin:0 0 10px 0">
-        The <strong style="color:#e9e9ea">New York Fed Recession Probability Model</strong> is a probit regression
+        The <strong style="color:var(--text)">New York Fed Recession Probability Model</strong> is a probit regression
         published monthly by the Federal Reserve Bank of New York since 1996. It estimates the probability that the
         U.S. economy will be in recession 12 months ahead, using the yield curve spread as the sole predictor.
         Developed by Arturo Estrella and Frederic Mishkin (1996), the model demonstrated that the Treasury yield
         spread is among the most reliable and parsimonious leading recession indicators available.
       </p>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Probit model formula:</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Probit model formula:</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 P(recession in 12 months | spread) = Φ(α + β × spread)
 
 α = −0.5333   (intercept)
@@ -837,8 +747,8 @@ P(recession in 12 months | spread) = Φ(α + β × spread)
 Intuition: each 1pp of additional inversion raises probability by ~Φ′ × 0.6330
            At spread = 0 (flat curve): P ≈ Φ(−0.5333) ≈ 21%</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">CDF approximation used (Abramowitz &amp; Stegun §26.2.17):</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">CDF approximation used (Abramowitz &amp; Stegun §26.2.17):</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 t = 1 / (1 + 0.2316419 × |x|)
 φ(x) = (1/√2π) × e^(−x²/2)          [standard normal PDF]
 Φ(x) ≈ 1 − φ(x) × t × (b₁ + b₂t + b₃t² + b₄t³ + b₅t⁴)
@@ -847,8 +757,8 @@ Coefficients:  b₁ = 0.319382   b₂ = −0.356564   b₃ = 1.781478
                b₄ = −1.821256  b₅ = 1.330274
 Max error: |ε| &lt; 7.5 × 10⁻⁸</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Spread → probability lookup:</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Spread → probability lookup:</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 Spread    Probability   Signal
 +2.0%  →     3%        Very low
 +1.0%  →     8%        Low
@@ -860,24 +770,24 @@ Spread    Probability   Signal
 −2.0%  →    67%        Very high
 −3.0%  →    85%        Extreme</div>
 
-      <p style="margin:0 0 10px 0"><strong style="color:#e9e9ea">Proxy note:</strong>
+      <p style="margin:0 0 10px 0"><strong style="color:var(--text)">Proxy note:</strong>
         The official NY Fed model uses the <strong>10Y minus 3-month</strong> spread (T10Y3M, available on FRED).
         This dashboard substitutes <strong>T10Y2Y</strong> because it is more widely traded, widely quoted by markets,
         and available with a longer FRED history. Probabilities will differ from the official NY Fed publication —
         treat this as directionally indicative, not a precise replication.
       </p>
 
-      <p style="margin:0 0 8px 0"><strong style="color:#e9e9ea">Historical track record:</strong>
+      <p style="margin:0 0 8px 0"><strong style="color:var(--text)">Historical track record:</strong>
         The model signaled elevated risk before every U.S. recession since the 1960s with no false positives through 2006.
         It crossed 30% in 2006 ahead of the 2007–09 GFC and briefly in early 2020 before the COVID recession.
         The 2022–23 inversion pushed probabilities above 50% — the highest reading since 2007 — though no
         NBER-dated recession had been declared through early 2025.
       </p>
       <div style="display:flex;gap:16px;flex-wrap:wrap;margin-top:8px">
-        <a href="https://www.newyorkfed.org/research/capital_markets/ycfaq" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">NY Fed Yield Curve FAQ →</a>
-        <a href="https://www.newyorkfed.org/research/recession_probability" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">NY Fed Recession Probability (official) →</a>
-        <a href="https://fred.stlouisfed.org/series/T10Y2Y" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">T10Y2Y on FRED →</a>
-        <a href="https://fred.stlouisfed.org/series/T10Y3M" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">T10Y3M on FRED (official input) →</a>
+        <a href="https://www.newyorkfed.org/research/capital_markets/ycfaq" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">NY Fed Yield Curve FAQ →</a>
+        <a href="https://www.newyorkfed.org/research/recession_probability" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">NY Fed Recession Probability (official) →</a>
+        <a href="https://fred.stlouisfed.org/series/T10Y2Y" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">T10Y2Y on FRED →</a>
+        <a href="https://fred.stlouisfed.org/series/T10Y3M" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">T10Y3M on FRED (official input) →</a>
       </div>
     </div>
   `;
@@ -885,11 +795,11 @@ Spread    Probability   Signal
 
   requestAnimationFrame(() => {
     renderGovChart('chart-nyfed', probSeries, {
-      color:    '#ef4444',
+      color:    Theme.color('down'),
       height:   250,
       refLines: [
-        { value: 30, color: '#f59e0b', label: 'Watch (30%)' },
-        { value: 50, color: '#ef4444', label: 'Elevated (50%)' },
+        { value: 30, color: Theme.color('warn'), label: 'Watch (30%)' },
+        { value: 50, color: Theme.color('down'), label: 'Elevated (50%)' },
       ],
       legend: currentProb !== null
         ? [{ label: 'Rec. Prob.', color: probColor(currentProb), value: `${currentProb.toFixed(1)}%` }]
@@ -925,10 +835,10 @@ function renderNFCITab(panel) {
   const fsLabel   = scoreLabel(fedScore);
 
   const nfciTight = currentNFCI && currentNFCI.value > 0;
-  const nfciColor = currentNFCI ? (nfciTight ? '#ef4444' : '#10b981') : '#a7a7ad';
+  const nfciColor = Theme.color(currentNFCI ? (nfciTight ? 'down' : 'up') : 'muted');
   const nfciLabel = currentNFCI ? (nfciTight ? 'Tighter than avg' : 'Looser than avg') : 'N/A';
   const nfci4wkChg = (currentNFCI && priorNFCI) ? currentNFCI.value - priorNFCI.value : null;
-  const chgColor = nfci4wkChg === null ? '#a7a7ad' : nfci4wkChg > 0 ? '#ef4444' : '#10b981';
+  const chgColor = Theme.color(nfci4wkChg === null ? 'muted' : nfci4wkChg > 0 ? 'down' : 'up');
 
   const statRow = document.createElement('div');
   statRow.style.cssText = 'display:flex;gap:14px;flex-wrap:wrap;margin-top:18px';
@@ -949,7 +859,7 @@ function renderNFCITab(panel) {
       <div class="muted" style="font-size:12px;margin-bottom:4px">Fed Model Score</div>
       <div style="font-size:36px;font-weight:700;color:${fsColor}">${fedScore}</div>
       <div style="font-size:12px;color:${fsColor};margin-top:2px">${fsLabel}</div>
-      <div style="background:#2a2b2f;border-radius:4px;height:5px;margin-top:8px;overflow:hidden">
+      <div style="background:var(--surface-3);border-radius:4px;height:5px;margin-top:8px;overflow:hidden">
         <div style="width:${fedScore}%;background:${fsColor};height:100%;border-radius:4px"></div>
       </div>
     </div>
@@ -960,7 +870,7 @@ function renderNFCITab(panel) {
   chartCard.className = 'card';
   chartCard.style.marginTop = '14px';
   chartCard.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:12px">NFCI Over Time</div>
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:12px">NFCI Over Time</div>
     <div id="chart-nfci" style="width:100%;height:250px"></div>
   `;
   panel.appendChild(chartCard);
@@ -969,17 +879,17 @@ function renderNFCITab(panel) {
   noteCard.className = 'card';
   noteCard.style.marginTop = '14px';
   noteCard.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:10px">About This Model</div>
-    <div style="font-size:12px;color:#a7a7ad;line-height:1.7">
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:10px">About This Model</div>
+    <div style="font-size:12px;color:var(--muted);line-height:1.7">
       <p style="margin:0 0 10px 0">
-        The <strong style="color:#e9e9ea">National Financial Conditions Index (NFCI)</strong> is published weekly
+        The <strong style="color:var(--text)">National Financial Conditions Index (NFCI)</strong> is published weekly
         by the Federal Reserve Bank of Chicago (Brave &amp; Butters, 2011). It aggregates <strong>105 financial
         indicators</strong> spanning money markets, debt and equity markets, and traditional and shadow banking
         into a single z-score benchmarked against the average since 1971.
       </p>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Construction (dynamic factor model):</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Construction (dynamic factor model):</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 NFCI_t = Σᵢ wᵢ × zᵢ_t          [weighted sum of 105 normalized indicators]
 
 zᵢ_t = (xᵢ_t − μᵢ) / σᵢ        [each indicator normalized to mean 0, std 1]
@@ -990,8 +900,8 @@ that maximizes the common variance explained across all 105 series.
 Reference level: 0 = average conditions 1971–present
 Interpretation:  positive → tighter than avg · negative → looser than avg</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Three sub-indices (each its own factor):</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Three sub-indices (each its own factor):</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 Risk      (~45 series) — implied volatility, bid-ask spreads, funding stress,
                           interbank rates, CDS spreads, equity realized vol
 Credit    (~30 series) — yield spreads (IG, HY, MBS, ABS), lending standards,
@@ -999,8 +909,8 @@ Credit    (~30 series) — yield spreads (IG, HY, MBS, ABS), lending standards,
 Leverage  (~30 series) — debt-to-asset ratios, repo market activity,
                           broker-dealer leverage, shadow banking balance sheets</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Historical reference levels:</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Historical reference levels:</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 NFCI     Conditions          Historical context
 −1.0     Very loose          Post-GFC QE era (2012–13, 2020–21)
 −0.5     Loose               Late-cycle bull markets
@@ -1010,8 +920,8 @@ NFCI     Conditions          Historical context
 +2.0     Severely tight      GFC peak (Oct 2008), COVID shock (Mar 2020)
 +5.0+    Crisis              1974, 1980, 2008 extremes</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Dashboard composite score formula:</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Dashboard composite score formula:</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 S = 0.35 × credit_pct + 0.30 × yc_score + 0.20 × vix_pct + 0.15 × ur_score
 
 credit_pct = percentile_rank(BAMLH0A0HYM2, 5yr)     [0–100]
@@ -1022,15 +932,15 @@ ur_score   = clamp(50 + (UNRATE − 4.0) × 8, 5, 95)  [anchored at 4% natural r
 Note: not an official Federal Reserve model — simplified approximation only.</div>
 
       <p style="margin:0 0 8px 0">
-        The <strong style="color:#e9e9ea">Adjusted NFCI (ANFCI)</strong> removes the portion of NFCI explained by
+        The <strong style="color:var(--text)">Adjusted NFCI (ANFCI)</strong> removes the portion of NFCI explained by
         current economic conditions, isolating purely financial factors. The ANFCI tends to lead the standard NFCI
         at turning points and is available on FRED. This dashboard uses the standard NFCI.
       </p>
       <div style="display:flex;gap:16px;flex-wrap:wrap;margin-top:8px">
-        <a href="https://www.chicagofed.org/research/data/nfci/current-data" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">Chicago Fed NFCI (current data) →</a>
-        <a href="https://www.chicagofed.org/research/data/nfci/about" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">NFCI methodology →</a>
-        <a href="https://fred.stlouisfed.org/series/NFCI" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">NFCI on FRED →</a>
-        <a href="https://fred.stlouisfed.org/series/ANFCI" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">ANFCI (adjusted) on FRED →</a>
+        <a href="https://www.chicagofed.org/research/data/nfci/current-data" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">Chicago Fed NFCI (current data) →</a>
+        <a href="https://www.chicagofed.org/research/data/nfci/about" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">NFCI methodology →</a>
+        <a href="https://fred.stlouisfed.org/series/NFCI" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">NFCI on FRED →</a>
+        <a href="https://fred.stlouisfed.org/series/ANFCI" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">ANFCI (adjusted) on FRED →</a>
       </div>
     </div>
   `;
@@ -1075,7 +985,7 @@ function renderSahmTab(panel) {
     : null;
 
   const triggered  = currentSahm && currentSahm.value >= 0.5;
-  const sahmColor  = triggered ? '#ef4444' : '#10b981';
+  const sahmColor  = Theme.color(triggered ? 'down' : 'up');
   const sahmStatus = triggered ? '⚠ TRIGGERED' : 'NOT TRIGGERED';
 
   const statRow = document.createElement('div');
@@ -1088,12 +998,12 @@ function renderSahmTab(panel) {
     </div>
     <div class="card" style="flex:1;min-width:160px">
       <div class="muted" style="font-size:12px;margin-bottom:4px">UNRATE</div>
-      <div style="font-size:36px;font-weight:700;color:#e9e9ea">${currentUnrate ? currentUnrate.value.toFixed(1) + '%' : 'N/A'}</div>
+      <div style="font-size:36px;font-weight:700;color:var(--text)">${currentUnrate ? currentUnrate.value.toFixed(1) + '%' : 'N/A'}</div>
       <div class="muted" style="font-size:12px;margin-top:2px">${currentUnrate ? currentUnrate.date : ''}</div>
     </div>
     <div class="card" style="flex:1;min-width:160px">
       <div class="muted" style="font-size:12px;margin-bottom:4px">3-Month MA</div>
-      <div style="font-size:36px;font-weight:700;color:#e9e9ea">${ma3 !== null ? ma3.toFixed(2) + '%' : 'N/A'}</div>
+      <div style="font-size:36px;font-weight:700;color:var(--text)">${ma3 !== null ? ma3.toFixed(2) + '%' : 'N/A'}</div>
       <div class="muted" style="font-size:12px;margin-top:2px">Avg of last 3 months</div>
     </div>
   `;
@@ -1103,7 +1013,7 @@ function renderSahmTab(panel) {
   chartCard.className = 'card';
   chartCard.style.marginTop = '14px';
   chartCard.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:12px">Sahm Rule Indicator</div>
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:12px">Sahm Rule Indicator</div>
     <div id="chart-sahm" style="width:100%;height:250px"></div>
   `;
   panel.appendChild(chartCard);
@@ -1113,7 +1023,7 @@ function renderSahmTab(panel) {
   sparkRow.className = 'card';
   sparkRow.style.marginTop = '14px';
   sparkRow.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:12px">Supporting Indicators</div>
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:12px">Supporting Indicators</div>
     <div class="assets-grid" id="sahm-sparklines"></div>
   `;
   panel.appendChild(sparkRow);
@@ -1122,19 +1032,19 @@ function renderSahmTab(panel) {
   noteCard.className = 'card';
   noteCard.style.marginTop = '14px';
   noteCard.innerHTML = `
-    <div style="font-size:13px;font-weight:600;color:#e9e9ea;margin-bottom:10px">About This Indicator</div>
-    <div style="font-size:12px;color:#a7a7ad;line-height:1.7">
+    <div style="font-size:13px;font-weight:600;color:var(--text);margin-bottom:10px">About This Indicator</div>
+    <div style="font-size:12px;color:var(--muted);line-height:1.7">
       <p style="margin:0 0 10px 0">
-        The <strong style="color:#e9e9ea">Sahm Rule</strong> was developed by economist
-        <strong style="color:#e9e9ea">Claudia Sahm</strong> (former Federal Reserve economist, now at Bloomberg)
+        The <strong style="color:var(--text)">Sahm Rule</strong> was developed by economist
+        <strong style="color:var(--text)">Claudia Sahm</strong> (former Federal Reserve economist, now at Bloomberg)
         as a simple, real-time recession indicator using only the unemployment rate. It was introduced in her 2019
         Brookings paper <em>"Direct Stimulus Payments to Individuals"</em> as a trigger for automatic fiscal
         stabilizers — releasing funds the moment a recession begins rather than waiting for NBER confirmation,
         which typically arrives 6–18 months after the fact.
       </p>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Formula:</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Formula:</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 MA₃(t) = [UNRATE(t) + UNRATE(t−1) + UNRATE(t−2)] / 3
 
 min₁₂(t) = min{ UNRATE(t), UNRATE(t−1), ..., UNRATE(t−11) }
@@ -1146,8 +1056,8 @@ Trigger: Sahm(t) ≥ 0.50 pp
 Intuition: unemployment rising ≥ 0.5pp above its recent low
            signals a self-reinforcing deterioration in labor markets.</div>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Historical trigger record:</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Historical trigger record:</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 Recession          Triggered      Peak Sahm    NBER start
 ─────────────────────────────────────────────────────────
 1969–70 recession  Dec 1969        ~1.3 pp     Dec 1969
@@ -1161,7 +1071,7 @@ Recession          Triggered      Peak Sahm    NBER start
 2024 (near-miss)   not triggered   ~0.43 pp    —</div>
 
       <p style="margin:0 0 10px 0">
-        <strong style="color:#e9e9ea">Why it works mechanically:</strong>
+        <strong style="color:var(--text)">Why it works mechanically:</strong>
         Unemployment rises slowly at first — marginal layoffs, voluntary turnover drying up.
         But once the 3-month average exceeds a recent 12-month low by 0.5pp, it has historically
         reflected self-reinforcing layoff cycles, not noise. The 12-month min anchors the baseline
@@ -1169,8 +1079,8 @@ Recession          Triggered      Peak Sahm    NBER start
         The rule is <em>contemporaneous</em> — it identifies recession onset as it happens, not forecasts.
       </p>
 
-      <p style="margin:0 0 6px 0"><strong style="color:#e9e9ea">Supporting indicator interpretation:</strong></p>
-      <div style="background:#0d0e11;border:1px solid #2a2b2f;border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:#e9e9ea;margin:0 0 12px 0;line-height:1.8">
+      <p style="margin:0 0 6px 0"><strong style="color:var(--text)">Supporting indicator interpretation:</strong></p>
+      <div style="background:var(--inset);border:1px solid var(--surface-3);border-radius:6px;padding:10px 14px;font-family:'SF Mono',Consolas,monospace;font-size:11px;color:var(--text);margin:0 0 12px 0;line-height:1.8">
 ICSA (Initial Claims, weekly)
   → First to move. Spikes signal new layoff waves.
   → Watch level: sustained above 300K is historically concerning.
@@ -1187,17 +1097,17 @@ PAYEMS (Nonfarm Payrolls, monthly)
   → Often revised — first print is noisy, 3-month trend matters.</div>
 
       <p style="margin:0 0 8px 0">
-        <strong style="color:#e9e9ea">2024 near-miss context:</strong>
+        <strong style="color:var(--text)">2024 near-miss context:</strong>
         The Sahm indicator rose to ~0.43 in mid-2024, sparking widespread recession debate. Claudia Sahm
         herself cautioned that post-pandemic immigration-driven labor supply growth may have dampened
         unemployment sensitivity, potentially raising the practical trigger threshold. The indicator
         subsequently fell back as the labor market stabilized.
       </p>
       <div style="display:flex;gap:16px;flex-wrap:wrap;margin-top:8px">
-        <a href="https://fred.stlouisfed.org/series/SAHMREALTIME" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">Sahm Rule (real-time) on FRED →</a>
-        <a href="https://fred.stlouisfed.org/series/UNRATE" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">UNRATE on FRED →</a>
-        <a href="https://fred.stlouisfed.org/series/ICSA" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">Initial Claims on FRED →</a>
-        <a href="https://www.brookings.edu/articles/direct-stimulus-payments-to-individuals/" target="_blank" rel="noopener" style="color:#7aa2f7;text-decoration:none;font-size:11px">Sahm (2019) original paper →</a>
+        <a href="https://fred.stlouisfed.org/series/SAHMREALTIME" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">Sahm Rule (real-time) on FRED →</a>
+        <a href="https://fred.stlouisfed.org/series/UNRATE" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">UNRATE on FRED →</a>
+        <a href="https://fred.stlouisfed.org/series/ICSA" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">Initial Claims on FRED →</a>
+        <a href="https://www.brookings.edu/articles/direct-stimulus-payments-to-individuals/" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;font-size:11px">Sahm (2019) original paper →</a>
       </div>
     </div>
   `;
@@ -1205,10 +1115,10 @@ PAYEMS (Nonfarm Payrolls, monthly)
 
   requestAnimationFrame(() => {
     renderGovChart('chart-sahm', sahmSeries, {
-      color:    '#a78bfa',
+      color:    Theme.color('purple'),
       height:   250,
       refLines: [
-        { value: 0.50, color: '#ef4444', label: 'Trigger (0.50)' },
+        { value: 0.50, color: Theme.color('down'), label: 'Trigger (0.50)' },
       ],
       legend: currentSahm
         ? [{ label: 'Sahm', color: sahmColor, value: currentSahm.value.toFixed(2) }]
@@ -1220,9 +1130,9 @@ PAYEMS (Nonfarm Payrolls, monthly)
     if (!sparkGrid) return;
 
     const supportSeries = [
-      { id: 'ICSA',   name: 'Initial Claims',   color: '#4a9eff',  pts: icsaPts,   units: 'K' },
-      { id: 'CCSA',   name: 'Continued Claims', color: '#f97316',  pts: ccsaPts,   units: 'K' },
-      { id: 'PAYEMS', name: 'Nonfarm Payrolls', color: '#10b981',  pts: payemsPts, units: 'K' },
+      { id: 'ICSA',   name: 'Initial Claims',   color: Theme.color('info'),    pts: icsaPts,   units: 'K' },
+      { id: 'CCSA',   name: 'Continued Claims', color: Theme.color('caution'), pts: ccsaPts,   units: 'K' },
+      { id: 'PAYEMS', name: 'Nonfarm Payrolls', color: Theme.color('up'),      pts: payemsPts, units: 'K' },
     ];
 
     supportSeries.forEach(s => {
@@ -1248,6 +1158,7 @@ PAYEMS (Nonfarm Payrolls, monthly)
         const svgEl = document.getElementById(sparkId);
         if (svgEl) renderSparkline(svgEl, s.pts, s.color);
       });
+      addSparklineExport(card, `sahm-${s.id}`, s.pts);
     });
   });
 }
@@ -1256,32 +1167,78 @@ PAYEMS (Nonfarm Payrolls, monthly)
 // MAIN
 // =============================================================================
 
+// Headline numbers for alert rules (alerts.js)
+function publishAlertMetrics(composite, asOf) {
+  const unratePts = allData['UNRATE'] || [];
+  const sahm = unratePts.length >= 13 ? computeSahmSeries(unratePts).pop().value : null;
+  const t10y2yPts = allData['T10Y2Y'] || [];
+  const prob = t10y2yPts.length
+    ? parseFloat(recessionProb(t10y2yPts[t10y2yPts.length - 1].value).toFixed(2))
+    : null;
+
+  Alerts.publish('gov', [
+    { key: 'composite',      label: 'JPMorgan composite',         value: composite },
+    { key: 'compositeLabel', label: 'JPMorgan composite label',   value: scoreLabel(composite) },
+    { key: 'sahm',           label: 'Sahm rule',                  value: sahm },
+    { key: 'recessionProb',  label: 'NY Fed recession prob. (%)', value: prob },
+  ], { asOf: asOf || null });
+}
+
+// Loads every series, then renders the meta line and the active tab. On a
+// background refresh the other tabs are cleared and re-render on next visit.
+async function loadAndRender() {
+  const metaEl = document.getElementById('meta');
+  allData = await loadFredData();
+
+  const loadedCount = Object.values(allData).filter(v => v && v.length > 0).length;
+  const totalCount  = Object.keys(allData).length;
+
+  let latestDate = '';
+  for (const pts of Object.values(allData)) {
+    if (pts && pts.length > 0) {
+      const d = pts[pts.length - 1].date;
+      if (d > latestDate) latestDate = d;
+    }
+  }
+
+  const uniqueSeries = new Map(GOV_CATEGORIES.flatMap(cat => cat.series).map(s => [s.id, s]));
+  const staleCount = [...uniqueSeries.values()]
+    .filter(s => Freshness.checkFred(s, allData[s.id]).stale).length;
+
+  metaEl.innerHTML = `${loadedCount}/${totalCount} series loaded · latest data: ${latestDate || 'unknown'}${Freshness.staleNote(staleCount)}`;
+
+  for (const id of Object.keys(govCharts)) destroyGovChart(id);
+  for (const tabId of renderedTabs) document.getElementById(`tab-${tabId}`).innerHTML = '';
+  renderedTabs.clear();
+  renderedTabs.add(activeTab);
+  renderTabContent(activeTab);
+
+  const { composite } = computeJPMorganFactors(allData);
+  SignalJournal.recordAndShow('gov', scoreLabel(composite), {
+    asOf:   latestDate || null,
+    detail: `JPMorgan composite ${composite}/100`,
+  });
+  publishAlertMetrics(composite, latestDate);
+}
+
 async function main() {
   const metaEl = document.getElementById('meta');
 
   try {
+    ChartUtils.addPageInspectToggle(document.querySelector('.header-section'));
+    HISTORY_DAYS = Settings.get('gov.historyDays', HISTORY_DAYS);
     await loadConfig();
     metaEl.textContent = 'Loading series…';
-    allData = await loadFredData();
-
-    const loadedCount = Object.values(allData).filter(v => v && v.length > 0).length;
-    const totalCount  = Object.keys(allData).length;
-
-    let latestDate = '';
-    for (const pts of Object.values(allData)) {
-      if (pts && pts.length > 0) {
-        const d = pts[pts.length - 1].date;
-        if (d > latestDate) latestDate = d;
-      }
-    }
 
-    metaEl.textContent = `${loadedCount}/${totalCount} series loaded · latest data: ${latestDate || 'unknown'}`;
+    // ?tab= from a shared link, else overview
+    const tab = UrlState.get('tab');
+    if (tab && TAB_DEFS.some(t => t.id === tab)) activeTab = tab;
 
     buildTabUI();
+    await loadAndRender();
 
-    // Render the initial (overview) tab
-    renderedTabs.add('overview');
-    renderTabContent('overview');
+    Refresh.start(loadAndRender);
+    Theme.onChange(loadAndRender);
 
   } catch (err) {
     metaEl.textContent = `Error: ${err.message}`;
@@ -0,0 +1,257 @@
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+// Every Yahoo symbol the dashboards read, and which page reads it
+const SYMBOL_SOURCES = [
+  { path: './config.json',         page: 'Divergence', list: c => c.symbols },
+  { path: './macro_config.json',   page: 'Macro',
+    list: c => [
+      ...c.macro_categories.flatMap(cat => cat.assets),
+      ...(c.regime_signals || []).map(symbol => ({ symbol })),
+    ] },
+  { path: './trading_config.json', page: 'Trade',      list: c => c.symbols },
+];
+
+const STATUS_STYLE = {
+  ok:      { text: '✓ OK',      color: 'var(--up)' },
+  stale:   { text: '⚠ Stale',   color: 'var(--warn)' },
+  missing: { text: '✕ No data', color: 'var(--down-soft)' },
+};
+
+const STATUS_ORDER = { missing: 0, stale: 1, ok: 2 };
+
+let symbolRows = [];
+let fredRows = [];
+
+// =============================================================================
+// DATA LOADING
+// =============================================================================
+
+async function fetchJson(path) {
+  const r = await fetch(path, { cache: 'no-store' });
+  if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
+  return r.json();
+}
+
+async function loadSymbolList() {
+  const bySymbol = new Map();
+  for (const src of SYMBOL_SOURCES) {
+    let config;
+    try {
+      config = await fetchJson(src.path);
+    } catch (err) {
+      console.warn(`Could not load ${src.path}:`, err.message);
+      continue;
+    }
+    for (const { symbol, name } of src.list(config)) {
+      const entry = bySymbol.get(symbol) || { symbol, name: name || symbol, pages: [] };
+      if (!entry.pages.includes(src.page)) entry.pages.push(src.page);
+      bySymbol.set(symbol, entry);
+    }
+  }
+  return [...bySymbol.values()];
+}
+
+// Loads one CSV through DataLayer → { result, report }; a failed fetch is
+// reported as missing rather than thrown
+async function checkSymbolFile(sym, timeframe) {
+  const path = DataLayer.symbolPath(sym, timeframe);
+  let bars = [];
+  try {
+    bars = await DataLayer.loadSymbolBars(sym, timeframe);
+  } catch (err) {
+    console.warn(`Could not load ${path}:`, err.message);
+  }
+  return { result: Freshness.checkBars(sym, bars), report: DataLayer.report(path) };
+}
+
+async function loadSymbolRows(metaEl) {
+  const symbols = await loadSymbolList();
+  const rows = [];
+  for (let i = 0; i < symbols.length; i++) {
+    const s = symbols[i];
+    metaEl.textContent = `Checking symbols ${i + 1}/${symbols.length}…`;
+    const sym = s.symbol.toLowerCase();
+    const daily  = await checkSymbolFile(sym, 'daily');
+    const hourly = await checkSymbolFile(sym, 'hourly');
+    rows.push({ ...s, daily, hourly, status: worstStatus(daily.result, hourly.result) });
+  }
+  return rows;
+}
+
+async function loadFredRows() {
+  const config = await fetchJson('./fred_config.json');
+  const byId = new Map();
+  for (const cat of config.categories || []) {
+    for (const s of cat.series) {
+      if (!byId.has(s.id)) byId.set(s.id, { ...s, category: cat.name });
+    }
+  }
+
+  return Promise.all([...byId.values()].map(async (s) => {
+    const path = `./data/fred/${s.id}.csv`;
+    let points = [];
+    try {
+      points = await DataLayer.loadFred(path);
+    } catch (err) {
+      console.warn(`Could not load ${path}:`, err.message);
+    }
+    const result = Freshness.checkFred(s, points);
+    return { ...s, result, report: DataLayer.report(path), status: result.status };
+  }));
+}
+
+async function loadFredFetchedAt() {
+  try {
+    return (await fetchJson('./data/fred/fred_cache.json')).fetched_at;
+  } catch {
+    return 'unknown';
+  }
+}
+
+function worstStatus(...results) {
+  return results
+    .map(r => r.status)
+    .sort((a, b) => STATUS_ORDER[a] - STATUS_ORDER[b])[0];
+}
+
+function byStatus(a, b) {
+  return STATUS_ORDER[a.status] - STATUS_ORDER[b.status];
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+const th = (label, align = 'left') => `<th style="text-align:${align};padding:6px 8px">${label}</th>`;
+
+function statusCell(status) {
+  const s = STATUS_STYLE[status];
+  return `<td style="padding:6px 8px;white-space:nowrap;font-weight:600;color:${s.color}">${s.text}</td>`;
+}
+
+function ageCell(r) {
+  if (r.status === 'missing') return '<td style="padding:6px 8px" class="muted">—</td>';
+  const color = r.stale ? STATUS_STYLE.stale.color : '';
+  return `<td style="padding:6px 8px;white-space:nowrap${color ? `;color:${color}` : ''}" title="${Freshness.describe(r)}">
+            ${r.lastDate} <span class="muted">(${r.age}/${r.limit})</span>
+          </td>`;
+}
+
+// skippedCell(...reports) — DataLayer skip counts summed over a row's files
+function skippedCell(...reports) {
+  const loaded = reports.filter(Boolean);
+  const skipped = loaded.reduce((s, r) => s + r.skipped, 0);
+  if (skipped === 0) return '<td style="padding:6px 8px;text-align:right" class="muted">0</td>';
+  const rows = loaded.reduce((s, r) => s + r.rows, 0);
+  const reasons = loaded
+    .filter(r => r.skipped > 0)
+    .map(r => `${r.path.replace('./data/', '')} — ${Object.entries(r.reasons).map(([k, n]) => `${k}: ${n}`).join(', ')}`)
+    .join('; ');
+  return `<td style="padding:6px 8px;text-align:right;color:${STATUS_STYLE.stale.color}" title="${reasons}">
+            ${skipped} of ${rows}
+          </td>`;
+}
+
+function renderSymbolTable() {
+  const el = document.getElementById('health-symbols');
+  el.innerHTML = `
+    <table style="width:100%;border-collapse:collapse;font-size:13px">
+      <thead>
+        <tr style="border-bottom:2px solid var(--muted)">
+          ${th('Symbol')}${th('Used by')}${th('Status')}${th('Daily — last bar (age/limit)')}${th('Hourly — last bar (age/limit)')}
+          ${th('Skipped rows', 'right')}
+        </tr>
+      </thead>
+      <tbody>
+        ${symbolRows.slice().sort(byStatus).map(r => `
+          <tr style="border-bottom:1px solid var(--surface-3)">
+            <td style="padding:6px 8px"><b>${r.symbol}</b> <span class="muted">${r.name}</span></td>
+            <td style="padding:6px 8px" class="muted">${r.pages.join(', ')}</td>
+            ${statusCell(r.status)}
+            ${ageCell(r.daily.result)}
+            ${ageCell(r.hourly.result)}
+            ${skippedCell(r.daily.report, r.hourly.report)}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderFredTable() {
+  const el = document.getElementById('health-fred');
+  el.innerHTML = `
+    <table style="width:100%;border-collapse:collapse;font-size:13px">
+      <thead>
+        <tr style="border-bottom:2px solid var(--muted)">
+          ${th('Series')}${th('Category')}${th('Freq')}${th('Status')}${th('Last observation (age/limit)')}
+          ${th('Skipped rows', 'right')}
+        </tr>
+      </thead>
+      <tbody>
+        ${fredRows.slice().sort(byStatus).map(r => `
+          <tr style="border-bottom:1px solid var(--surface-3)">
+            <td style="padding:6px 8px"><b>${r.id}</b> <span class="muted">${r.name}</span></td>
+            <td style="padding:6px 8px" class="muted">${r.category}</td>
+            <td style="padding:6px 8px" class="muted">${r.freq}</td>
+            ${statusCell(r.status)}
+            ${ageCell(r.result)}
+            ${skippedCell(r.report)}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderSummary() {
+  const all = [...symbolRows, ...fredRows];
+  const bad = all.filter(r => r.status !== 'ok');
+  const staleEl = document.getElementById('health-stale');
+  staleEl.textContent = bad.length ? `⚠ ${bad.length} of ${all.length}` : `✓ All ${all.length} fresh`;
+  staleEl.style.color = bad.length ? STATUS_STYLE.stale.color : STATUS_STYLE.ok.color;
+  document.getElementById('health-stale-sub').textContent = bad.length
+    ? bad.map(r => r.symbol || r.id).join(', ')
+    : 'Every series is within its expected update cadence';
+
+  const reports = DataLayer.report().filter(r => r.skipped > 0);
+  const skipped = reports.reduce((s, r) => s + r.skipped, 0);
+  document.getElementById('health-skipped').textContent = skipped
+    ? `${skipped} row${skipped === 1 ? '' : 's'}`
+    : 'None';
+  document.getElementById('health-skipped-sub').textContent = reports.length
+    ? `In ${reports.map(r => r.path.replace('./data/', '')).join(', ')}`
+    : 'Every CSV row parsed cleanly';
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+async function loadAndRender() {
+  const metaEl = document.getElementById('meta');
+  symbolRows = await loadSymbolRows(metaEl);
+  metaEl.textContent = 'Checking FRED series…';
+  fredRows = await loadFredRows();
+
+  renderSummary();
+  renderSymbolTable();
+  renderFredTable();
+
+  const lastUpdated = await ChartUtils.loadLastUpdated();
+  const fredFetched = await loadFredFetchedAt();
+  metaEl.textContent =
+    `Checked ${Freshness.today()} · Yahoo last updated: ${lastUpdated} · FRED fetched: ${fredFetched}`;
+}
+
+(async function main() {
+  try {
+    await loadAndRender();
+    Refresh.start(loadAndRender);
+  } catch (err) {
+    document.getElementById('meta').textContent = `Error: ${err.message}`;
+    console.error(err);
+  }
+})();
@@ -0,0 +1,268 @@
+// =============================================================================
+// indicators.js — Shared technical indicators and chart overlay specs
+// Exposes window.Indicators via IIFE — no build step required.
+//
+// Every indicator takes plain arrays (values, or bars of { close, high?, low?,
+// volume? }) and returns an array aligned with its input, with null in the
+// warm-up slots. Bars without high / low (FRED series, ratios) use close for
+// both, so ATR-based bands still work on a close-only series.
+//
+// Overlays are the moving averages and bands drawn on a price chart, written
+// as "20 EMA + 50 SMA + 200 SMA" in the UI and "20ema,50sma,200sma" in URLs
+// and settings. parseOverlays accepts either form; ChartUtils.addOverlaySeries
+// draws the lines overlayLines() returns.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Moving averages
+  // ---------------------------------------------------------------------------
+  function sma(values, period) {
+    const out = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) out[i] = sum / period;
+    }
+    return out;
+  }
+
+  // Seeded with the SMA of the first `period` values after any leading nulls
+  function ema(values, period) {
+    const out = new Array(values.length).fill(null);
+    const start = values.findIndex(v => v !== null);
+    if (start === -1 || values.length - start < period) return out;
+    const k = 2 / (period + 1);
+    let prev = values.slice(start, start + period).reduce((s, v) => s + v, 0) / period;
+    out[start + period - 1] = prev;
+    for (let i = start + period; i < values.length; i++) {
+      prev = values[i] * k + prev * (1 - k);
+      out[i] = prev;
+    }
+    return out;
+  }
+
+  // Linearly weighted: the newest value counts `period` times, the oldest once
+  function wma(values, period) {
+    const out = new Array(values.length).fill(null);
+    const weights = period * (period + 1) / 2;
+    for (let i = period - 1; i < values.length; i++) {
+      let sum = 0;
+      for (let j = 0; j < period; j++) sum += values[i - j] * (period - j);
+      out[i] = sum / weights;
+    }
+    return out;
+  }
+
+  // Rolling VWAP over `period` bars on the typical price (high + low + close)
+  // / 3. Null wherever the window has no volume (FX, FRED series).
+  function vwap(bars, period) {
+    const out = new Array(bars.length).fill(null);
+    let pv = 0, vol = 0;
+    const typical = b => ((b.high ?? b.close) + (b.low ?? b.close) + b.close) / 3;
+    for (let i = 0; i < bars.length; i++) {
+      const v = bars[i].volume || 0;
+      pv += typical(bars[i]) * v;
+      vol += v;
+      if (i >= period) {
+        const old = bars[i - period].volume || 0;
+        pv -= typical(bars[i - period]) * old;
+        vol -= old;
+      }
+      if (i >= period - 1 && vol > 0) out[i] = pv / vol;
+    }
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Volatility and momentum
+  // ---------------------------------------------------------------------------
+
+  // Wilder's ATR
+  function atr(bars, period) {
+    const out = new Array(bars.length).fill(null);
+    let prev = null;
+    let sum = 0;
+    for (let i = 0; i < bars.length; i++) {
+      const high = bars[i].high ?? bars[i].close;
+      const low  = bars[i].low ?? bars[i].close;
+      const prevClose = i > 0 ? bars[i - 1].close : null;
+      const tr = prevClose === null
+        ? high - low
+        : Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+      if (i < period) {
+        sum += tr;
+        if (i === period - 1) prev = out[i] = sum / period;
+      } else {
+        prev = out[i] = (prev * (period - 1) + tr) / period;
+      }
+    }
+    return out;
+  }
+
+  // Wilder's RSI
+  function rsi(closes, period) {
+    const out = new Array(closes.length).fill(null);
+    if (closes.length <= period) return out;
+    let gain = 0, loss = 0;
+    for (let i = 1; i <= period; i++) {
+      const d = closes[i] - closes[i - 1];
+      if (d > 0) gain += d; else loss -= d;
+    }
+    gain /= period;
+    loss /= period;
+    const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    out[period] = value();
+    for (let i = period + 1; i < closes.length; i++) {
+      const d = closes[i] - closes[i - 1];
+      gain = (gain * (period - 1) + Math.max(d, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-d, 0)) / period;
+      out[i] = value();
+    }
+    return out;
+  }
+
+  function macd(closes, fast, slow, signalPeriod) {
+    const fastEma = ema(closes, fast);
+    const slowEma = ema(closes, slow);
+    const line = closes.map((_, i) =>
+      fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]);
+    const signal = ema(line, signalPeriod);
+    const hist = line.map((v, i) => (v === null || signal[i] === null ? null : v - signal[i]));
+    return { line, signal, hist };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bands — { middle, upper, lower }
+  // ---------------------------------------------------------------------------
+
+  // SMA ± mult population standard deviations
+  function bollinger(values, period, mult = 2) {
+    const middle = sma(values, period);
+    const upper = middle.slice();
+    const lower = middle.slice();
+    for (let i = period - 1; i < values.length; i++) {
+      let sq = 0;
+      for (let j = 0; j < period; j++) sq += (values[i - j] - middle[i]) ** 2;
+      const sd = Math.sqrt(sq / period);
+      upper[i] = middle[i] + mult * sd;
+      lower[i] = middle[i] - mult * sd;
+    }
+    return { middle, upper, lower };
+  }
+
+  // EMA of close ± mult × ATR(atrPeriod)
+  function keltner(bars, period, mult = 2, atrPeriod = 10) {
+    const middle = ema(bars.map(b => b.close), period);
+    const range = atr(bars, atrPeriod);
+    const band = sign => middle.map((m, i) => (m === null || range[i] === null ? null : m + sign * mult * range[i]));
+    return { middle, upper: band(1), lower: band(-1) };
+  }
+
+  // [{ time, value }] for the bars from `start`, skipping warm-up nulls
+  function toSeries(bars, values, start = 0) {
+    const out = [];
+    for (let i = start; i < bars.length; i++) {
+      if (values[i] !== null) out.push({ time: bars[i].time, value: values[i] });
+    }
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Overlays — [{ type, period }]
+  // ---------------------------------------------------------------------------
+  const OVERLAY_TYPES = {
+    sma:  { label: 'SMA',  name: 'Simple moving average' },
+    ema:  { label: 'EMA',  name: 'Exponential moving average' },
+    wma:  { label: 'WMA',  name: 'Weighted moving average' },
+    vwap: { label: 'VWAP', name: 'Rolling volume-weighted average price (needs volume)' },
+    bb:   { label: 'BB',   name: 'Bollinger Bands (SMA ± 2σ)', bands: true },
+    kc:   { label: 'KC',   name: 'Keltner Channels (EMA ± 2 × ATR 10)', bands: true },
+  };
+  const TYPE_ALIASES = { ma: 'sma', boll: 'bb', bollinger: 'bb', keltner: 'kc' };
+  const MIN_PERIOD = 2;
+  const MAX_PERIOD = 500;
+
+  // Offered by the overlay inputs (datalist) and the ⚙ Settings drawer
+  const PRESETS = [
+    '50sma',
+    '20ema,50sma,200sma',
+    '20sma,50sma,200sma',
+    '9ema,21ema',
+    '20bb',
+    '20kc',
+    '20vwap,50sma',
+  ];
+
+  // ---------------------------------------------------------------------------
+  // parseOverlays('20 EMA + 50 SMA') → { overlays, errors }
+  // Items are split on + or , and read as "<period> <type>" or "<type>
+  // <period>"; errors lists the items that didn't parse. Duplicates are
+  // dropped; an empty string or 'none' means no overlays.
+  // ---------------------------------------------------------------------------
+  function parseOverlays(text) {
+    const overlays = [];
+    const errors = [];
+    for (const raw of String(text || '').split(/[+,]/)) {
+      const item = raw.trim().toLowerCase();
+      if (!item || item === 'none') continue;
+      const m = item.match(/^(\d+)\s*([a-z]+)$/) || item.match(/^([a-z]+)\s*(\d+)$/);
+      if (!m) { errors.push(raw.trim()); continue; }
+      const [word, num] = /^\d/.test(m[1]) ? [m[2], m[1]] : [m[1], m[2]];
+      const type = TYPE_ALIASES[word] || word;
+      const period = parseInt(num, 10);
+      if (!OVERLAY_TYPES[type] || period < MIN_PERIOD || period > MAX_PERIOD) { errors.push(raw.trim()); continue; }
+      if (!overlays.some(o => o.type === type && o.period === period)) overlays.push({ type, period });
+    }
+    return { overlays, errors };
+  }
+
+  // formatOverlays([...]) → '20 EMA + 50 SMA'; overlayParam → '20ema,50sma'
+  // ('none' for an empty list, so it still overrides a page default)
+  function formatOverlays(overlays) {
+    return overlays.map(o => `${o.period} ${OVERLAY_TYPES[o.type].label}`).join(' + ');
+  }
+
+  function overlayParam(overlays) {
+    return overlays.length ? overlays.map(o => `${o.period}${o.type}`).join(',') : 'none';
+  }
+
+  // ---------------------------------------------------------------------------
+  // overlayLines(overlays, bars, start) — the lines to draw for each overlay,
+  // computed over all of bars (so the first visible values are warm) and cut
+  // to bars[start…]: [{ overlay: index, label, band, data: [{ time, value }] }].
+  // An overlay with nothing to show (VWAP without volume, too little history)
+  // contributes no lines.
+  // ---------------------------------------------------------------------------
+  function overlayLines(overlays, bars, start = 0) {
+    const closes = bars.map(b => b.close);
+    const lines = [];
+    overlays.forEach((o, index) => {
+      const label = `${o.period} ${OVERLAY_TYPES[o.type].label}`;
+      const add = (values, suffix = '', band = false) => {
+        const data = toSeries(bars, values, start);
+        if (data.length) lines.push({ overlay: index, label: suffix ? `${label} ${suffix}` : label, band, data });
+      };
+      if (o.type === 'sma') add(sma(closes, o.period));
+      else if (o.type === 'ema') add(ema(closes, o.period));
+      else if (o.type === 'wma') add(wma(closes, o.period));
+      else if (o.type === 'vwap') add(vwap(bars, o.period));
+      else {
+        const b = o.type === 'bb' ? bollinger(closes, o.period) : keltner(bars, o.period);
+        add(b.upper, 'upper', true);
+        add(b.middle);
+        add(b.lower, 'lower', true);
+      }
+    });
+    return lines;
+  }
+
+  global.Indicators = {
+    sma, ema, wma, vwap, atr, rsi, macd, bollinger, keltner, toSeries,
+    OVERLAY_TYPES, PRESETS, parseOverlays, formatOverlays, overlayParam, overlayLines,
+  };
+
+}(window));
@@ -0,0 +1,102 @@
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+let SOURCE_FILTER = new URLSearchParams(location.search).get('source') || '';
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function sourceLink(source) {
+  const s = SignalJournal.SOURCES[source];
+  return s ? `<a href="${s.href}" style="color:var(--accent);text-decoration:none">${s.name}</a>` : source;
+}
+
+async function renderCurrent() {
+  const el = document.getElementById('journal-current');
+  const sources = Object.keys(SignalJournal.SOURCES).filter(s => !SOURCE_FILTER || s === SOURCE_FILTER);
+
+  const cards = [];
+  for (const source of sources) {
+    const last = await SignalJournal.latest(source);
+    cards.push(`
+      <div class="card">
+        <div class="muted" style="font-size:11px;text-transform:uppercase;letter-spacing:0.05em;margin-bottom:8px">${sourceLink(source)}</div>
+        <div style="font-size:20px;font-weight:bold;margin-bottom:6px">${last ? last.label : '—'}</div>
+        <div class="muted" style="font-size:12px">
+          ${last ? `Recorded ${SignalJournal.formatDate(last.recordedAt)}${last.detail ? ` · ${last.detail}` : ''}` : 'Not recorded yet — open the dashboard to record its signal'}
+        </div>
+      </div>
+    `);
+  }
+  el.innerHTML = cards.join('');
+}
+
+async function renderTimeline() {
+  const el = document.getElementById('journal-timeline');
+  const rows = await SignalJournal.transitions(SOURCE_FILTER || undefined);
+
+  if (rows.length === 0) {
+    el.innerHTML = '<div class="muted" style="font-size:13px">No signal changes recorded yet.</div>';
+    return;
+  }
+
+  el.innerHTML = `
+    <table style="width:100%;border-collapse:collapse;font-size:13px">
+      <thead>
+        <tr style="border-bottom:2px solid var(--muted)">
+          <th style="text-align:left;padding:6px 8px">Date</th>
+          <th style="text-align:left;padding:6px 8px">Dashboard</th>
+          <th style="text-align:left;padding:6px 8px">Change</th>
+          <th style="text-align:left;padding:6px 8px">Data as of</th>
+          <th style="text-align:left;padding:6px 8px">Detail</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(r => `
+          <tr style="border-bottom:1px solid var(--surface-3)">
+            <td style="padding:6px 8px;white-space:nowrap">${SignalJournal.formatDate(r.recordedAt)}</td>
+            <td style="padding:6px 8px">${sourceLink(r.source)}</td>
+            <td style="padding:6px 8px">${r.previous} → <b>${r.label}</b></td>
+            <td style="padding:6px 8px" class="muted">${r.asOf || '—'}</td>
+            <td style="padding:6px 8px" class="muted">${r.detail || ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function loadAndRender() {
+  await renderCurrent();
+  await renderTimeline();
+
+  const all = await SignalJournal.entries();
+  document.getElementById('meta').textContent =
+    `${all.length} recorded observation${all.length === 1 ? '' : 's'} in this browser`;
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+(async function main() {
+  try {
+    const select = document.getElementById('sourceSelect');
+    select.innerHTML += Object.entries(SignalJournal.SOURCES)
+      .map(([key, s]) => `<option value="${key}">${s.name}</option>`)
+      .join('');
+    select.value = SOURCE_FILTER;
+
+    await loadAndRender();
+
+    select.addEventListener('change', (e) => {
+      SOURCE_FILTER = e.target.value;
+      loadAndRender();
+    });
+  } catch (err) {
+    document.getElementById('meta').textContent = `Error: ${err.message}`;
+    console.error(err);
+  }
+})();
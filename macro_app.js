@@ -5,11 +5,12 @@
 let LOOKBACK_DAYS = 20;
 let MA_PERIOD = 50;
 
-const STACKED_COLORS = [
-  '#4a9eff', '#f97316', '#a855f7', '#10b981',
-  '#f59e0b', '#ef4444', '#06b6d4', '#84cc16',
-  '#ec4899', '#14b8a6', '#f43f5e',
-];
+// Extra moving averages / bands on the asset sparklines (indicators.js),
+// computed from each asset's daily CSV. The dashed MA_PERIOD line stays the
+// cache's, since it decides the regime's above / below counts.
+let OVERLAYS = [];
+// Daily bars per asset symbol (lower case), loaded only while OVERLAYS is set
+let overlayBars = {};
 
 let MACRO_CATEGORIES = [];
 
@@ -36,7 +37,8 @@ async function loadConfig() {
 // SPARKLINE RENDERING
 // =============================================================================
 
-function renderSparkline(svgEl, pts, maPoints, color) {
+// overlayLines: Indicators.overlayLines() output for the display window
+function renderSparkline(svgEl, pts, maPoints, color, overlayLines = []) {
   const W = svgEl.clientWidth || svgEl.getBoundingClientRect().width || 220;
   const H = 52;
   const PAD = { top: 3, right: 3, bottom: 3, left: 3 };
@@ -54,10 +56,11 @@ function renderSparkline(svgEl, pts, maPoints, color) {
   const windowStart = recentPts[0][0];
   const recentMA = maPoints.filter(p => p[0] >= windowStart);
 
-  // Combined price + MA values for unified y-scale
+  // Combined price + MA + overlay values for unified y-scale
   const allValues = [
     ...recentPts.map(p => p[1]),
-    ...recentMA.map(p => p[1])
+    ...recentMA.map(p => p[1]),
+    ...overlayLines.flatMap(l => l.data.map(p => p.value)),
   ];
   const minVal = Math.min(...allValues);
   const maxVal = Math.max(...allValues);
@@ -100,16 +103,25 @@ function renderSparkline(svgEl, pts, maPoints, color) {
         <clipPath id="cp-above-${uid}"><path d="${aboveClip}"/></clipPath>
         <clipPath id="cp-below-${uid}"><path d="${belowClip}"/></clipPath>
       </defs>
-      <path d="${priceArea}" fill="rgba(16,185,129,0.18)" clip-path="url(#cp-above-${uid})"/>
-      <path d="${priceArea}" fill="rgba(239,68,68,0.18)"  clip-path="url(#cp-below-${uid})"/>
+      <path d="${priceArea}" fill="${ChartUtils.hexToRgba(Theme.color('up'), 0.18)}" clip-path="url(#cp-above-${uid})"/>
+      <path d="${priceArea}" fill="${ChartUtils.hexToRgba(Theme.color('down'), 0.18)}"  clip-path="url(#cp-below-${uid})"/>
     `;
   }
 
+  const overlaySVG = overlayLines
+    .filter(l => l.data.length >= 2)
+    .map(l => {
+      const d = l.data.map((p, i) => `${i === 0 ? 'M' : 'L'} ${xS(p.time).toFixed(1)} ${yS(p.value).toFixed(1)}`).join(' ');
+      return `<path d="${d}" fill="none" stroke="${ChartUtils.overlayColor(l.overlay)}" stroke-width="1"${l.band ? ' stroke-dasharray="2,2"' : ''}/>`;
+    })
+    .join('');
+
   svgEl.setAttribute('viewBox', `0 0 ${W} ${H}`);
   svgEl.innerHTML = `
     ${areaSVG}
     <path d="${pricePath}" fill="none" stroke="${color}" stroke-width="1.5"/>
-    ${maPath ? `<path d="${maPath}" fill="none" stroke="#9ca3af" stroke-width="1" stroke-dasharray="3,2" opacity="0.8"/>` : ''}
+    ${maPath ? `<path d="${maPath}" fill="none" stroke="${Theme.color('muted')}" stroke-width="1" stroke-dasharray="3,2" opacity="0.8"/>` : ''}
+    ${overlaySVG}
   `;
 }
 
@@ -125,7 +137,7 @@ function renderStackedSparkline(svgEl, assetsData) {
   const series = assetsData
     .map((a, i) => ({
       symbol: a.symbol,
-      color: STACKED_COLORS[i % STACKED_COLORS.length],
+      color: Theme.series(i),
       pts: ChartUtils.last(a.price_points, LOOKBACK_DAYS),
     }))
     .filter(s => s.pts.length >= 2);
@@ -151,7 +163,7 @@ function renderStackedSparkline(svgEl, assetsData) {
   const zl = document.createElementNS('http://www.w3.org/2000/svg', 'line');
   zl.setAttribute('x1', pad.left); zl.setAttribute('x2', pad.left + cw);
   zl.setAttribute('y1', zeroY);    zl.setAttribute('y2', zeroY);
-  zl.setAttribute('stroke', '#444'); zl.setAttribute('stroke-width', '0.5');
+  zl.setAttribute('stroke', Theme.color('faint')); zl.setAttribute('stroke-width', '0.5');
   zl.setAttribute('stroke-dasharray', '3,2');
   svgEl.appendChild(zl);
 
@@ -173,6 +185,16 @@ function renderStackedSparkline(svgEl, assetsData) {
 // CARD & CATEGORY RENDERING
 // =============================================================================
 
+// Overlay lines for an asset over the sparkline window (the last
+// LOOKBACK_DAYS points); computed on its full daily history so they're warm
+function assetOverlayLines(symbol, pricePoints) {
+  const bars = overlayBars[symbol.toLowerCase()] || [];
+  if (!OVERLAYS.length || !bars.length) return [];
+  const windowStart = ChartUtils.last(pricePoints, LOOKBACK_DAYS)[0][0];
+  const start = bars.findIndex(b => b.time >= windowStart);
+  return start === -1 ? [] : Indicators.overlayLines(OVERLAYS, bars, start);
+}
+
 function renderAssetCard(assetData, color, maPeriod) {
   const { symbol, name, price, pct_change, above_ma, price_points, ma_points } = assetData;
 
@@ -196,11 +218,13 @@ function renderAssetCard(assetData, color, maPeriod) {
   }
 
   const card = document.createElement('div');
-  card.className = 'asset-card';
+  card.className = 'asset-card clickable-card';
   card.id = `asset-card-${symbol.toLowerCase()}`;
+  card.tabIndex = 0;
+  card.title = `Open ${symbol} detail`;
   card.innerHTML = `
     <div class="asset-header">
-      <span class="asset-symbol">${symbol}</span>
+      <span class="asset-symbol">${symbol}${Freshness.badge(Freshness.checkPoints(symbol, price_points))}</span>
       <span class="asset-name">${name || symbol}</span>
     </div>
     <div class="asset-price-row">
@@ -211,13 +235,40 @@ function renderAssetCard(assetData, color, maPeriod) {
     <div class="asset-signal ${signalClass}">${signalLabel}</div>
   `;
 
+  const overlayLines = price_points && price_points.length >= 2 ? assetOverlayLines(symbol, price_points) : [];
+
   requestAnimationFrame(() => {
     const svgEl = document.getElementById(`sparkline-${symbol.toLowerCase()}`);
     if (svgEl && price_points && price_points.length >= 2) {
-      renderSparkline(svgEl, price_points, ma_points || [], color);
+      renderSparkline(svgEl, price_points, ma_points || [], color, overlayLines);
     }
   });
 
+  if (price_points && price_points.length >= 2) {
+    ChartUtils.addExportMenu(card, `macro-${symbol}`, {
+      png: () => ChartUtils.svgToCanvas(card.querySelector('.asset-sparkline')),
+      csv: () => {
+        const maByTime = new Map(ma_points || []);
+        const overlaysByTime = overlayLines.map(l => [l.label, new Map(l.data.map(p => [p.time, p.value]))]);
+        return ChartUtils.last(price_points, LOOKBACK_DAYS).map(([t, close]) => ({
+          date: new Date(t * 1000).toISOString().slice(0, 10),
+          close,
+          [`ma_${maPeriod}`]: maByTime.get(t),
+          ...Object.fromEntries(overlaysByTime.map(([label, byTime]) => [label, byTime.get(t)])),
+        }));
+      },
+    }, { placement: 'corner' });
+  }
+
+  // Whole card opens the symbol detail page; the export menu keeps its clicks
+  const openDetail = () => { location.href = `symbol.html?symbol=${encodeURIComponent(symbol)}`; };
+  card.addEventListener('click', (e) => {
+    if (!e.target.closest('a, button, .export-menu')) openDetail();
+  });
+  card.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target === card) openDetail();
+  });
+
   return card;
 }
 
@@ -232,12 +283,13 @@ const REGIME_DESCRIPTIONS = {
   '\uD83D\uDD34 STAGFLATION':           'Weak growth, high inflation — the worst macro backdrop. Gold and commodities hold value; equities and bonds both struggle.',
 };
 
+// color: theme.js color name
 const FLAG_META = {
-  carry_risk:       { label: '⚡ CARRY RISK',   color: '#f59e0b' },
-  inflation_regime: { label: '📈 INFLATION',     color: '#ef4444' },
-  credit_stress:    { label: '💥 CREDIT STRESS', color: '#ef4444' },
-  china_divergence: { label: '🌐 CHINA',         color: '#8b5cf6' },
-  vol_spike:        { label: '📊 VOL SPIKE',      color: '#f59e0b' },
+  carry_risk:       { label: '⚡ CARRY RISK',   color: 'warn' },
+  inflation_regime: { label: '📈 INFLATION',     color: 'down' },
+  credit_stress:    { label: '💥 CREDIT STRESS', color: 'down' },
+  china_divergence: { label: '🌐 CHINA',         color: 'purple' },
+  vol_spike:        { label: '📊 VOL SPIKE',      color: 'warn' },
 };
 
 const FLAG_DESCRIPTIONS = {
@@ -291,27 +343,30 @@ function buildRegimeMapSVG(rc) {
   const dotX = (PAD.left + (rc.inflation.pct / 100) * cw).toFixed(1);
   const dotY = (PAD.top  + (1 - rc.growth.pct / 100) * ch).toFixed(1);
 
+  const c = Theme.color;
+  const tint = name => ChartUtils.hexToRgba(c(name), 0.09);
+
   return `
-    <rect x="${PAD.left}" y="${PAD.top}"  width="${cw/2}" height="${ch/2}" fill="rgba(16,185,129,0.09)"/>
-    <rect x="${midX}"     y="${PAD.top}"  width="${cw/2}" height="${ch/2}" fill="rgba(234,179,8,0.09)"/>
-    <rect x="${PAD.left}" y="${midY}"     width="${cw/2}" height="${ch/2}" fill="rgba(59,130,246,0.09)"/>
-    <rect x="${midX}"     y="${midY}"     width="${cw/2}" height="${ch/2}" fill="rgba(239,68,68,0.09)"/>
-
-    <rect x="${PAD.left}" y="${PAD.top}" width="${cw}" height="${ch}" fill="none" stroke="#2a2b2f" stroke-width="1"/>
-    <line x1="${midX}"     y1="${PAD.top}"    x2="${midX}"        y2="${PAD.top+ch}" stroke="#2a2b2f" stroke-width="1"/>
-    <line x1="${PAD.left}" y1="${midY}"       x2="${PAD.left+cw}" y2="${midY}"       stroke="#2a2b2f" stroke-width="1"/>
-
-    <text x="${PAD.left+cw*0.25}" y="${PAD.top+ch*0.25}" text-anchor="middle" dominant-baseline="middle" fill="#10b981" font-size="8" font-weight="600" opacity="0.85">GOLDILOCKS</text>
-    <text x="${PAD.left+cw*0.75}" y="${PAD.top+ch*0.25}" text-anchor="middle" dominant-baseline="middle" fill="#eab308" font-size="8" font-weight="600" opacity="0.85">INF. BOOM</text>
-    <text x="${PAD.left+cw*0.25}" y="${PAD.top+ch*0.75}" text-anchor="middle" dominant-baseline="middle" fill="#3b82f6" font-size="8" font-weight="600" opacity="0.85">RECESSION</text>
-    <text x="${PAD.left+cw*0.75}" y="${PAD.top+ch*0.75}" text-anchor="middle" dominant-baseline="middle" fill="#ef4444" font-size="8" font-weight="600" opacity="0.85">STAGFLATION</text>
-
-    <line x1="${dotX}" y1="${PAD.top}"    x2="${dotX}"        y2="${PAD.top+ch}" stroke="#e9e9ea" stroke-width="0.5" stroke-dasharray="2,2" opacity="0.35"/>
-    <line x1="${PAD.left}" y1="${dotY}"   x2="${PAD.left+cw}" y2="${dotY}"       stroke="#e9e9ea" stroke-width="0.5" stroke-dasharray="2,2" opacity="0.35"/>
-    <circle cx="${dotX}" cy="${dotY}" r="4.5" fill="#e9e9ea" stroke="#0f0f10" stroke-width="1.5"/>
-
-    <text x="${PAD.left+cw/2}" y="${H-4}" text-anchor="middle" fill="#a7a7ad" font-size="8">Inflation →</text>
-    <text x="8" y="${PAD.top+ch/2}" text-anchor="middle" dominant-baseline="middle" fill="#a7a7ad" font-size="8" transform="rotate(-90 8 ${PAD.top+ch/2})">Growth ↑</text>
+    <rect x="${PAD.left}" y="${PAD.top}"  width="${cw/2}" height="${ch/2}" fill="${tint('up')}"/>
+    <rect x="${midX}"     y="${PAD.top}"  width="${cw/2}" height="${ch/2}" fill="${tint('warn')}"/>
+    <rect x="${PAD.left}" y="${midY}"     width="${cw/2}" height="${ch/2}" fill="${tint('info')}"/>
+    <rect x="${midX}"     y="${midY}"     width="${cw/2}" height="${ch/2}" fill="${tint('down')}"/>
+
+    <rect x="${PAD.left}" y="${PAD.top}" width="${cw}" height="${ch}" fill="none" stroke="${c('surface-3')}" stroke-width="1"/>
+    <line x1="${midX}"     y1="${PAD.top}"    x2="${midX}"        y2="${PAD.top+ch}" stroke="${c('surface-3')}" stroke-width="1"/>
+    <line x1="${PAD.left}" y1="${midY}"       x2="${PAD.left+cw}" y2="${midY}"       stroke="${c('surface-3')}" stroke-width="1"/>
+
+    <text x="${PAD.left+cw*0.25}" y="${PAD.top+ch*0.25}" text-anchor="middle" dominant-baseline="middle" fill="${c('up')}" font-size="8" font-weight="600" opacity="0.85">GOLDILOCKS</text>
+    <text x="${PAD.left+cw*0.75}" y="${PAD.top+ch*0.25}" text-anchor="middle" dominant-baseline="middle" fill="${c('warn')}" font-size="8" font-weight="600" opacity="0.85">INF. BOOM</text>
+    <text x="${PAD.left+cw*0.25}" y="${PAD.top+ch*0.75}" text-anchor="middle" dominant-baseline="middle" fill="${c('info')}" font-size="8" font-weight="600" opacity="0.85">RECESSION</text>
+    <text x="${PAD.left+cw*0.75}" y="${PAD.top+ch*0.75}" text-anchor="middle" dominant-baseline="middle" fill="${c('down')}" font-size="8" font-weight="600" opacity="0.85">STAGFLATION</text>
+
+    <line x1="${dotX}" y1="${PAD.top}"    x2="${dotX}"        y2="${PAD.top+ch}" stroke="${c('text')}" stroke-width="0.5" stroke-dasharray="2,2" opacity="0.35"/>
+    <line x1="${PAD.left}" y1="${dotY}"   x2="${PAD.left+cw}" y2="${dotY}"       stroke="${c('text')}" stroke-width="0.5" stroke-dasharray="2,2" opacity="0.35"/>
+    <circle cx="${dotX}" cy="${dotY}" r="4.5" fill="${c('text')}" stroke="${c('bg')}" stroke-width="1.5"/>
+
+    <text x="${PAD.left+cw/2}" y="${H-4}" text-anchor="middle" fill="${c('muted')}" font-size="8">Inflation →</text>
+    <text x="8" y="${PAD.top+ch/2}" text-anchor="middle" dominant-baseline="middle" fill="${c('muted')}" font-size="8" transform="rotate(-90 8 ${PAD.top+ch/2})">Growth ↑</text>
   `;
 }
 
@@ -347,7 +402,7 @@ function renderRegimeCard(rc) {
         <div class="regime-axis">
           <span class="regime-axis-label">Growth</span>
           <div class="regime-axis-track">
-            <div class="regime-axis-fill" style="width:${rc.growth.pct}%;background:#10b981"></div>
+            <div class="regime-axis-fill" style="width:${rc.growth.pct}%;background:var(--up)"></div>
           </div>
           <span class="regime-axis-pct">${rc.growth.pct}%</span>
         </div>
@@ -359,7 +414,7 @@ function renderRegimeCard(rc) {
         <div class="regime-axis">
           <span class="regime-axis-label">Inflation</span>
           <div class="regime-axis-track">
-            <div class="regime-axis-fill" style="width:${rc.inflation.pct}%;background:#ef4444"></div>
+            <div class="regime-axis-fill" style="width:${rc.inflation.pct}%;background:var(--down)"></div>
           </div>
           <span class="regime-axis-pct">${rc.inflation.pct}%</span>
         </div>
@@ -376,7 +431,7 @@ function renderRegimeFlagsCard(rc, signalMap) {
   if (!el) return;
   const activeFlags = Object.entries(rc.flags)
     .filter(([k, v]) => v && FLAG_META[k])
-    .map(([k]) => ({ key: k, ...FLAG_META[k] }));
+    .map(([k]) => ({ key: k, ...FLAG_META[k], color: Theme.color(FLAG_META[k].color) }));
   const inner = activeFlags.length > 0
     ? activeFlags.map(f => `
         <div class="regime-flag-item">
@@ -430,6 +485,7 @@ function buildTabUI(categories) {
 
 function switchTab(tabId) {
   activeTab = tabId;
+  UrlState.update({ tab: tabId === 'overview' ? null : tabId });
   document.querySelectorAll('.tab-btn').forEach(b =>
     b.classList.toggle('active', b.dataset.tab === tabId));
   document.querySelectorAll('.tab-panel').forEach(p =>
@@ -531,18 +587,18 @@ function renderOverviewTab(cache) {
     const pct = total > 0 ? Math.round(above / total * 100) : 0;
     const invert = catConfig.invert || false;
     // For normal categories: green=above, red=below. Inverted (volatility): flip colors.
-    const aboveColor = invert ? '#ef4444' : '#10b981';
-    const belowColor = invert ? '#10b981' : '#ef4444';
+    const aboveColor = invert ? 'var(--down)' : 'var(--up)';
+    const belowColor = invert ? 'var(--up)' : 'var(--down)';
 
     const theme = catData.theme || '';
     const desc = (THEME_DESCRIPTIONS[catData.id] || {})[theme] || '';
 
     const symbolColors = Object.fromEntries(
-      catData.assets.map((a, i) => [a.symbol, STACKED_COLORS[i % STACKED_COLORS.length]])
+      catData.assets.map((a, i) => [a.symbol, Theme.series(i)])
     );
 
     const chipWithDot = (s, cls) =>
-      `<span class="sym-chip ${cls}"><span class="chip-dot" style="background:${symbolColors[s] || '#888'}"></span>${s}</span>`;
+      `<span class="sym-chip ${cls}"><span class="chip-dot" style="background:${symbolColors[s] || 'var(--muted)'}"></span>${s}</span>`;
 
     const leadersHTML = catData.leaders && catData.leaders.length > 0
       ? catData.leaders.map(s => chipWithDot(s, 'above')).join('')
@@ -563,7 +619,7 @@ function renderOverviewTab(cache) {
       </div>
       <div class="split-bar-track">
         <div class="split-bar-seg" style="width:${pct}%;background:${aboveColor}"></div>
-        <div class="split-bar-seg" style="width:${100 - pct}%;background:${belowColor}"></div>
+        <div class="split-bar-seg below" style="width:${100 - pct}%;background-color:${belowColor}"></div>
       </div>
       <svg class="stacked-sparkline" id="stacked-ov-${catData.id}" height="80"></svg>
       <div class="overview-theme-label">${theme}</div>
@@ -620,10 +676,10 @@ function renderCategoryTab(catData, catConfig, maPeriod) {
   if (total > 0) {
     const pct = above / total;
     let barColor;
-    if      (pct >= 0.70) barColor = '#10b981';
-    else if (pct >= 0.50) barColor = '#84cc16';
-    else if (pct >= 0.30) barColor = '#f59e0b';
-    else                  barColor = '#ef4444';
+    if      (pct >= 0.70) barColor = 'var(--up)';
+    else if (pct >= 0.50) barColor = 'var(--up-soft)';
+    else if (pct >= 0.30) barColor = 'var(--warn)';
+    else                  barColor = 'var(--down)';
 
     const bar = document.createElement('div');
     bar.className = 'breadth-score-bar';
@@ -653,11 +709,11 @@ function renderCategoryTab(catData, catConfig, maPeriod) {
 // =============================================================================
 
 const REGIME_COLORS = {
-  '\uD83D\uDFE2 STRONG RISK ON': '#10b981',
-  '\uD83D\uDFE1 RISK ON':        '#84cc16',
-  '\u26AA NEUTRAL':               '#a7a7ad',
-  '\uD83D\uDFE0 RISK OFF':       '#f59e0b',
-  '\uD83D\uDD34 STRONG RISK OFF': '#ef4444',
+  '\uD83D\uDFE2 STRONG RISK ON': 'var(--signal-strong-on)',
+  '\uD83D\uDFE1 RISK ON':        'var(--signal-on)',
+  '\u26AA NEUTRAL':               'var(--signal-neutral)',
+  '\uD83D\uDFE0 RISK OFF':       'var(--signal-off)',
+  '\uD83D\uDD34 STRONG RISK OFF': 'var(--signal-strong-off)',
 };
 
 function applyMacroCache(cache) {
@@ -666,7 +722,7 @@ function applyMacroCache(cache) {
   const subEl    = document.getElementById('macro-score-sub');
   if (regimeEl) {
     regimeEl.textContent = cache.regime.label;
-    regimeEl.style.color = REGIME_COLORS[cache.regime.label] || '#a7a7ad';
+    regimeEl.style.color = REGIME_COLORS[cache.regime.label] || 'var(--signal-neutral)';
   }
   if (subEl) {
     subEl.textContent = `${cache.regime.above} of ${cache.regime.total} assets above ${cache.ma_period}-day MA (${cache.regime.pct}%)`;
@@ -681,10 +737,39 @@ function applyMacroCache(cache) {
   }
 }
 
+async function loadMacroCache(lookback, maPeriod) {
+  const r = await fetch(`./data/cache/macro_${lookback}_${maPeriod}.json`, { cache: 'no-store' });
+  if (!r.ok) throw new Error(`Cache missing: macro_${lookback}_${maPeriod}.json — run: python3 generate_cache.py`);
+  return r.json();
+}
+
+// Daily CSVs for the overlays; DataLayer keeps each parsed file until the
+// next background refresh, so later calls are cheap
+async function loadOverlayBars(cache) {
+  overlayBars = {};
+  if (!OVERLAYS.length) return;
+  const symbols = new Set(cache.categories.flatMap(cat => cat.assets.map(a => a.symbol.toLowerCase())));
+  for (const sym of symbols) {
+    try {
+      overlayBars[sym] = await DataLayer.loadSymbolBars(sym, 'daily');
+    } catch (err) {
+      console.warn(`Could not load ${sym}:`, err.message);
+    }
+  }
+}
+
 async function loadAndRender() {
-  const r = await fetch(`./data/cache/macro_${LOOKBACK_DAYS}_${MA_PERIOD}.json`, { cache: 'no-store' });
-  if (!r.ok) throw new Error(`Cache missing: macro_${LOOKBACK_DAYS}_${MA_PERIOD}.json — run: python3 generate_cache.py`);
-  applyMacroCache(await r.json());
+  const cache = await loadMacroCache(LOOKBACK_DAYS, MA_PERIOD);
+  await loadOverlayBars(cache);
+  applyMacroCache(cache);
+  return cache;
+}
+
+function publishAlertMetrics(cache) {
+  Alerts.publish('macro', [
+    { key: 'regime',   label: 'Macro regime',        value: cache.regime.label },
+    { key: 'pctAbove', label: 'Assets above MA (%)', value: cache.regime.pct },
+  ], { asOf: cache.generated });
 }
 
 // =============================================================================
@@ -694,23 +779,86 @@ async function loadAndRender() {
 (async function main() {
   try {
     await loadConfig();
-    buildTabUI(MACRO_CATEGORIES);
 
-    const lastUpdated = await ChartUtils.loadLastUpdated();
-    document.getElementById('meta').textContent = `Last updated: ${lastUpdated}`;
+    // Saved settings override the page defaults; URL parameters (shareable
+    // links) override both
+    const viewParams = () => ({ lookback: LOOKBACK_DAYS, ma: MA_PERIOD, overlays: Indicators.overlayParam(OVERLAYS) });
+    const pageDefaults = viewParams();
+    LOOKBACK_DAYS = Settings.get('macro.lookback', LOOKBACK_DAYS);
+    MA_PERIOD     = Settings.get('macro.maPeriod', MA_PERIOD);
+    const defaults = { lookback: LOOKBACK_DAYS, maPeriod: MA_PERIOD };
+    const onDefaultView = () => LOOKBACK_DAYS === defaults.lookback && MA_PERIOD === defaults.maPeriod;
+    document.getElementById('lookbackSelect').value = String(LOOKBACK_DAYS);
+    document.getElementById('maPeriodSelect').value = String(MA_PERIOD);
+    const lookback = UrlState.restoreSelect('lookbackSelect', 'lookback');
+    if (lookback) LOOKBACK_DAYS = parseInt(lookback, 10);
+    const ma = UrlState.restoreSelect('maPeriodSelect', 'ma');
+    if (ma) MA_PERIOD = parseInt(ma, 10);
+    OVERLAYS = Indicators.parseOverlays(Settings.get('macro.overlays', '')).overlays;
+    const overlays = UrlState.get('overlays');
+    if (overlays !== null) {
+      const parsed = Indicators.parseOverlays(overlays);
+      if (!parsed.errors.length) OVERLAYS = parsed.overlays;
+    }
+    UrlState.updateChanged(viewParams(), pageDefaults);
 
-    await loadAndRender();
+    buildTabUI(MACRO_CATEGORIES);
+    const tab = UrlState.get('tab');
+    if (tab && document.querySelector(`.tab-btn[data-tab="${CSS.escape(tab)}"]`)) switchTab(tab);
+
+    // Meta line, journal and alerts for a freshly loaded cache (first load
+    // and every background refresh)
+    const recordSignal = async (cache) => {
+      const lastUpdated = await ChartUtils.loadLastUpdated();
+      const stale = cache.categories
+        .flatMap(cat => cat.assets)
+        .filter(a => Freshness.checkPoints(a.symbol, a.price_points).stale)
+        .map(a => a.symbol);
+      document.getElementById('meta').innerHTML =
+        `Last updated: ${lastUpdated}${Freshness.staleNote(new Set(stale).size)}`;
+
+      // Journal only the default view, not a shared link's settings
+      if (onDefaultView()) {
+        SignalJournal.recordAndShow('macro', cache.regime.label, {
+          asOf:   cache.generated,
+          detail: `${cache.regime.above}/${cache.regime.total} above ${cache.ma_period}-day MA`,
+        });
+      } else {
+        SignalJournal.showBanner('macro');
+      }
+
+      // Alert rules always see the default view, whatever the page shows
+      try {
+        publishAlertMetrics(onDefaultView() ? cache : await loadMacroCache(defaults.lookback, defaults.maPeriod));
+      } catch (err) {
+        console.warn('Macro alerts not evaluated:', err.message);
+      }
+    };
+
+    await recordSignal(await loadAndRender());
 
     document.getElementById('lookbackSelect').addEventListener('change', async (e) => {
       LOOKBACK_DAYS = parseInt(e.target.value, 10);
+      UrlState.update({ lookback: LOOKBACK_DAYS });
       await loadAndRender();
     });
 
     document.getElementById('maPeriodSelect').addEventListener('change', async (e) => {
       MA_PERIOD = parseInt(e.target.value, 10);
+      UrlState.update({ ma: MA_PERIOD });
+      await loadAndRender();
+    });
+
+    // Overlays are drawing only; the regime and journal don't change
+    ChartUtils.bindOverlayInput(document.getElementById('overlaysInput'), OVERLAYS, async (next) => {
+      OVERLAYS = next;
+      UrlState.update({ overlays: Indicators.overlayParam(OVERLAYS) });
       await loadAndRender();
     });
 
+    Refresh.start(async () => recordSignal(await loadAndRender()));
+    Theme.onChange(loadAndRender);
+
   } catch (err) {
     document.getElementById('meta').textContent = 'Cache missing — run: python3 generate_cache.py';
     console.error(err);
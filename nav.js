@@ -1,13 +1,21 @@
 // nav.js — renders the site navigation from a central definition.
-// Add <nav class="site-nav"></nav><script src="nav.js"></script> to each page.
+// Add <nav class="site-nav"></nav><script src="nav.js"></script> to each page,
+// followed by <script src="settings.js"></script> for the ⚙ Settings drawer,
+// <script src="theme.js"></script> for the dark / light / high-contrast themes,
+// <script src="alerts.js"></script> for the 🔔 Alerts drawer,
+// <script src="offline.js"></script> for offline support and
+// <script src="command-palette.js"></script> for Ctrl/Cmd+K and shortcuts.
 (function () {
   const PAGES = [
+    { href: 'summary.html',  label: 'Summary'       },
     { href: 'index.html',    label: 'Divergence'    },
     { href: 'macro.html',    label: 'Macro Model'   },
     { href: 'credit.html',   label: 'Credit Spread' },
     { href: 'gov_data.html', label: 'Gov Data'      },
     { href: 'fomc.html',     label: 'FOMC'          },
     { href: 'trade.html',    label: 'Trade'         },
+    { href: 'journal.html',  label: 'Journal'       },
+    { href: 'health.html',   label: 'Health'        },
   ];
 
   const current = location.pathname.split('/').pop() || 'index.html';
@@ -16,5 +24,14 @@
 
   nav.innerHTML = PAGES.map(p =>
     `<a href="${p.href}" class="nav-link${current === p.href ? ' active' : ''}">${p.label}</a>`
-  ).join('\n    ');
+  ).join('\n    ') +
+    '\n    <button type="button" class="nav-link nav-alerts" title="Alert rules and inbox">🔔 Alerts</button>' +
+    '\n    <button type="button" class="nav-link nav-settings" title="Your dashboard defaults">⚙ Settings</button>';
+
+  nav.querySelector('.nav-alerts').addEventListener('click', () => {
+    if (window.Alerts) window.Alerts.open();
+  });
+  nav.querySelector('.nav-settings').addEventListener('click', () => {
+    if (window.Settings) window.Settings.open();
+  });
 }());
@@ -0,0 +1,80 @@
+// =============================================================================
+// offline.js — Registers the service worker (sw.js) and shows the offline banner
+// Exposes window.Offline via IIFE — no build step required.
+//
+// Load right after settings.js on every page. sw.js posts { type: 'offline',
+// reason, asOf } whenever it answers a request from its stored copies; the
+// banner then says which data the page is showing, and whether the network
+// failed or was only slow. Going back online swaps the banner for a reload
+// link; going offline again swaps it back.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  let banner = null;
+  // asOf of the stored data the page is showing, once sw.js has served any
+  let savedAsOf;
+
+  // '2026-03-28 05:29:06 UTC' (data/last_updated.txt) → 'Mar 28, 2026, 5:29 AM'
+  function formatAsOf(raw) {
+    if (!raw) return 'an earlier visit';
+    const d = new Date(raw.replace(' UTC', 'Z').replace(' ', 'T'));
+    if (Number.isNaN(d.getTime())) return raw;
+    return d.toLocaleString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric',
+      hour: 'numeric', minute: '2-digit', hour12: true,
+    });
+  }
+
+  function ensureBanner() {
+    if (banner) return banner;
+    banner = document.createElement('div');
+    banner.className = 'offline-banner';
+    banner.setAttribute('role', 'status');
+    const nav = document.querySelector('nav.site-nav');
+    if (nav) nav.after(banner);
+    else document.body.prepend(banner);
+    return banner;
+  }
+
+  // show(asOf, reason) — 'Offline — showing saved data as of …', or 'Slow
+  // network — …' when sw.js timed out while the device is online
+  function show(asOf, reason = 'offline') {
+    savedAsOf = asOf;
+    const prefix = reason === 'slow' && navigator.onLine ? '🐢 Slow network' : '📴 Offline';
+    ensureBanner().innerHTML = `${prefix} — showing saved data as of <b>${formatAsOf(asOf)}</b>`;
+    banner.classList.remove('back-online');
+  }
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'offline') show(e.data.asOf, e.data.reason);
+    });
+
+    global.addEventListener('load', () => {
+      navigator.serviceWorker.register('./sw.js').catch(err => {
+        console.warn('Service worker registration failed:', err.message);
+      });
+    });
+  }
+
+  global.addEventListener('offline', () => {
+    if (savedAsOf !== undefined) { show(savedAsOf); return; }
+    ensureBanner().textContent = '📴 Offline — charts show the data already loaded';
+    banner.classList.remove('back-online');
+  });
+
+  global.addEventListener('online', () => {
+    if (!banner) return;
+    banner.classList.add('back-online');
+    banner.innerHTML = 'Back online — <a href="">reload</a> for the latest data';
+    banner.querySelector('a').addEventListener('click', (e) => {
+      e.preventDefault();
+      global.location.reload();
+    });
+  });
+
+  global.Offline = { show };
+
+}(window));
@@ -0,0 +1,107 @@
+// =============================================================================
+// refresh.js — Re-renders an open dashboard when the data files are updated
+// Exposes window.Refresh via IIFE — no build step required.
+//
+// Polls the two publish stamps the workflows write — data/last_updated.txt
+// (Yahoo fetch + cache build) and trading_signals.json `generated` (morning
+// and EOD trade cache) — every `refresh.minutes` (settings drawer, default
+// 5). When either differs from the last poll, DataLayer's in-memory CSVs are
+// dropped and the page's handler (its loadAndRender) runs again in place:
+// tab and control state live in page variables and survive, and the scroll
+// position is restored afterwards. Polling pauses while the tab is hidden
+// and catches up as soon as it is shown again.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const STAMPS = [
+    { path: './data/last_updated.txt',           read: async r => (await r.text()).trim() },
+    { path: './data/cache/trading_signals.json', read: async r => (await r.json()).generated },
+  ];
+
+  const DEFAULT_MINUTES = 5;
+
+  let handler = null;
+  let stamps  = null;   // last seen value per STAMPS entry (null = unreadable)
+  let busy    = false;
+  let toast   = null;
+
+  async function readStamp({ path, read }) {
+    try {
+      const r = await fetch(path, { cache: 'no-store' });
+      return r.ok ? (await read(r)) || null : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // A stamp that couldn't be read this time (offline, missing file) keeps its
+  // previous value so it can't register as a change
+  function changed(prev, next) {
+    return next.some((v, i) => v !== null && prev[i] !== null && v !== prev[i]);
+  }
+
+  function showToast(text) {
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.className = 'refresh-toast';
+      toast.setAttribute('role', 'status');
+      document.body.appendChild(toast);
+    }
+    toast.textContent = text;
+    toast.classList.add('visible');
+    clearTimeout(toast.hideTimer);
+    toast.hideTimer = setTimeout(() => toast.classList.remove('visible'), 4000);
+  }
+
+  // ---------------------------------------------------------------------------
+  // now() — re-run the page's handler immediately, whether or not the data
+  // changed. Resolves once the page has re-rendered.
+  // ---------------------------------------------------------------------------
+  async function now() {
+    if (!handler || busy) return;
+    busy = true;
+    const scrollY = global.scrollY;
+    try {
+      if (global.DataLayer) DataLayer.invalidate();
+      await handler();
+      global.scrollTo(0, scrollY);
+      showToast(`↻ Data refreshed ${new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`);
+    } catch (err) {
+      console.warn('Refresh failed:', err.message);
+    } finally {
+      busy = false;
+    }
+  }
+
+  async function poll() {
+    if (busy || document.hidden) return;
+    const next = await Promise.all(STAMPS.map(readStamp));
+    const prev = stamps;
+    stamps = next.map((v, i) => (v === null && prev ? prev[i] : v));
+    if (prev && changed(prev, next)) await now();
+  }
+
+  // ---------------------------------------------------------------------------
+  // start(fn, { minutes }) — call once at the end of a page's main(), after
+  // its first render. fn re-loads and re-renders the page; it may be async.
+  // The first poll only records the current stamps.
+  // ---------------------------------------------------------------------------
+  function start(fn, opts = {}) {
+    handler = fn;
+    const minutes = opts.minutes !== undefined
+      ? opts.minutes
+      : global.Settings ? Settings.get('refresh.minutes', DEFAULT_MINUTES) : DEFAULT_MINUTES;
+    if (!minutes) return;
+
+    poll();
+    setInterval(poll, minutes * 60000);
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) poll();
+    });
+  }
+
+  global.Refresh = { DEFAULT_MINUTES, start, now };
+
+}(window));
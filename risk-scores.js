@@ -0,0 +1,318 @@
+// =============================================================================
+// risk-scores.js — Shared scoring functions for every dashboard
+// Exposes window.RiskScores via IIFE — no build step required.
+//
+// Single home for the scoring rules used by app.js (divergence), credit_app.js,
+// gov_data_app.js and summary_app.js, so the summary page reuses exactly what
+// each dashboard shows instead of re-deriving it.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  function signalColors() {
+    return global.ChartUtils.colors;
+  }
+
+  function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+
+  // ===========================================================================
+  // DIVERGENCE (app.js)
+  // ===========================================================================
+
+  function classifyTrend(trendStr) {
+    if (trendStr.includes('↗')) return 'up';
+    if (trendStr.includes('↘')) return 'down';
+    return 'sideways';
+  }
+
+  function trendArrow(trendStr) {
+    if (trendStr.includes('↗')) return '↗';
+    if (trendStr.includes('↘')) return '↘';
+    return '→';
+  }
+
+  function scorePair(t1, t2) {
+    const a = classifyTrend(t1), b = classifyTrend(t2);
+    if (a === 'up'       && b === 'up')       return  2;
+    if (a === 'up'       && b === 'sideways') return  1;
+    if (a === 'sideways' && b === 'up')       return  1;
+    if (a === 'down'     && b === 'sideways') return -1;
+    if (a === 'sideways' && b === 'down')     return -1;
+    if (a === 'down'     && b === 'down')     return -2;
+    return 0;
+  }
+
+  function trendSignalLabel(score, maxTotal) {
+    const r = score / maxTotal;
+    const c = signalColors();
+    if (r >= 0.67)  return { label: '🟢 STRONG RISK ON',  color: c.signalStrongOn };
+    if (r >= 0.25)  return { label: '🟡 RISK ON',         color: c.signalOn };
+    if (r >= -0.17) return { label: '⚪ NEUTRAL',          color: c.signalNeutral };
+    if (r >= -0.58) return { label: '🟠 RISK OFF',         color: c.signalOff };
+    return           { label: '🔴 STRONG RISK OFF',        color: c.signalStrongOff };
+  }
+
+  // ---------------------------------------------------------------------------
+  // divergenceScores — MA, trend-structure and combined scores for a
+  // divergence cache object (file or DivergenceEngine output)
+  // ---------------------------------------------------------------------------
+  function divergenceScores(cache) {
+    const riskScore  = cache.risk_score;
+    const pairScores = cache.pairs.map(p => ({ id: p.id, score: scorePair(p.trend1, p.trend2) }));
+    const trendTotal = pairScores.reduce((s, p) => s + p.score, 0);
+    const trendMax   = cache.pairs.length * 2;
+    const maMax      = riskScore.details.length;
+
+    const combinedScore = riskScore.score + trendTotal;
+    const combinedMax   = maMax + trendMax;
+
+    return {
+      maScore: riskScore.score, maMax,
+      pairScores, trendTotal, trendMax,
+      trend: trendSignalLabel(trendTotal, trendMax),
+      combinedScore, combinedMax,
+      combined: trendSignalLabel(combinedScore, combinedMax),
+    };
+  }
+
+  // ===========================================================================
+  // CREDIT SPREAD (credit_app.js)
+  // ===========================================================================
+
+  // Moving average on [{date, value}] (Indicators.sma)
+  function computeMA(points, period) {
+    const ma = global.Indicators.sma(points.map(p => p.value), period);
+    return points.flatMap((p, i) => (ma[i] === null ? [] : [{ date: p.date, value: ma[i] }]));
+  }
+
+  function levelScore(percentile) {
+    if (percentile <= 25) return  2;
+    if (percentile <= 50) return  1;
+    if (percentile <= 75) return -1;
+    return -2;
+  }
+
+  function momentumScore(currentValue, maValue) {
+    return currentValue < maValue ? 1 : -1;
+  }
+
+  function signalLabel(score) {
+    const c = signalColors();
+    if (score >=  3) return { label: '🟢 STRONG RISK ON',  color: c.signalStrongOn };
+    if (score >=  1) return { label: '🟡 RISK ON',         color: c.signalOn };
+    if (score === 0) return { label: '⚪ NEUTRAL',          color: c.signalNeutral };
+    if (score >= -2) return { label: '🟠 RISK OFF',         color: c.signalOff };
+    return               { label: '🔴 STRONG RISK OFF',    color: c.signalStrongOff };
+  }
+
+  // ---------------------------------------------------------------------------
+  // creditSignal — level (percentile) + momentum (vs MA) score for HY OAS
+  // Returns null when there aren't enough points for the MA.
+  // ---------------------------------------------------------------------------
+  function creditSignal(points, maPeriod, windowDays) {
+    if (points.length < maPeriod + 1) return null;
+
+    const maPoints   = computeMA(points, maPeriod);
+    const current    = points[points.length - 1];
+    const currentMa  = maPoints[maPoints.length - 1];
+    const percentile = global.ChartUtils.computePercentile(points, current.value, windowDays);
+    const lvl        = levelScore(percentile);
+    const mom        = momentumScore(current.value, currentMa.value);
+    const score      = lvl + mom;
+
+    return { ...signalLabel(score), score, lvl, mom, percentile, current, currentMa, maPoints };
+  }
+
+  // ===========================================================================
+  // GOV DATA (gov_data_app.js) — 0 = low risk, 100 = extreme risk
+  // ===========================================================================
+
+  function scoreColor(score) {
+    if (score <= 25) return Theme.color('signal-strong-on');
+    if (score <= 45) return Theme.color('signal-on');
+    if (score <= 60) return Theme.color('signal-off');
+    if (score <= 80) return Theme.color('caution');
+    return Theme.color('signal-strong-off');
+  }
+
+  function scoreLabel(score) {
+    if (score <= 25) return 'Low Risk';
+    if (score <= 45) return 'Moderate';
+    if (score <= 60) return 'Elevated';
+    if (score <= 80) return 'High Risk';
+    return 'Extreme Risk';
+  }
+
+  // Compute z-score of most recent MoM change vs ~1yr of MoM changes
+  function computeMoMZScore(points, lookback) {
+    if (!points || points.length < lookback + 2) return 0;
+    const recent = points.slice(-lookback);
+    const changes = [];
+    for (let i = 1; i < recent.length; i++) {
+      if (recent[i - 1].value !== 0) {
+        changes.push((recent[i].value - recent[i - 1].value) / Math.abs(recent[i - 1].value));
+      }
+    }
+    if (changes.length < 2) return 0;
+    const lastChange = changes[changes.length - 1];
+    const mean = changes.reduce((s, v) => s + v, 0) / changes.length;
+    const std = Math.sqrt(changes.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / changes.length);
+    return std === 0 ? 0 : (lastChange - mean) / std;
+  }
+
+  // Convert z-score to 0–100 risk score (positive z = growing = lower risk)
+  function zToRiskScore(z) {
+    return Math.round(clamp(50 - z * 15, 5, 95));
+  }
+
+  // ── Factor scorers ────────────────────────────────────────────────────────
+
+  function scoreYieldCurve(t10y2yPts) {
+    if (!t10y2yPts || !t10y2yPts.length) return 50;
+    const val = t10y2yPts[t10y2yPts.length - 1].value;
+    if (val > 0.5)  return 10;
+    if (val >= 0)   return 35;
+    if (val >= -1)  return 65;
+    return 90;
+  }
+
+  function scoreCreditStress(bamlPts) {
+    if (!bamlPts || bamlPts.length < 2) return 50;
+    const current = bamlPts[bamlPts.length - 1].value;
+    return global.ChartUtils.computePercentile(bamlPts, current, 1260); // 5yr daily window
+  }
+
+  function scoreEconomicMomentum(indproPts, rsafsPts) {
+    const indproZ = computeMoMZScore(indproPts || [], 13);
+    const rsafsZ  = computeMoMZScore(rsafsPts  || [], 13);
+    return zToRiskScore((indproZ + rsafsZ) / 2);
+  }
+
+  function scoreLaborMarket(payemsPts, unratePts) {
+    const payemsZ     = computeMoMZScore(payemsPts || [], 13);
+    const payemsScore = zToRiskScore(payemsZ);
+
+    // Sahm-like modifier from UNRATE
+    let sahmModifier = 0;
+    if (unratePts && unratePts.length >= 12) {
+      const n    = unratePts.length;
+      const ma3  = (unratePts[n-1].value + unratePts[n-2].value + unratePts[n-3].value) / 3;
+      const min12 = Math.min(...unratePts.slice(n-12, n).map(p => p.value));
+      const sahmVal = ma3 - min12;
+      if (sahmVal >= 0.3) sahmModifier = 20;
+      else if (sahmVal < 0) sahmModifier = -10;
+    }
+
+    return Math.round(clamp(payemsScore + sahmModifier, 5, 95));
+  }
+
+  function scoreFinancialConditions(vixPts, nfciPts) {
+    const vixScore = vixPts && vixPts.length > 1
+      ? global.ChartUtils.computePercentile(vixPts, vixPts[vixPts.length - 1].value, 1260)
+      : 50;
+
+    const nfciScore = nfciPts && nfciPts.length > 1
+      ? Math.round(clamp(50 + nfciPts[nfciPts.length - 1].value * 30, 5, 95))
+      : 50;
+
+    return Math.round((vixScore + nfciScore) / 2);
+  }
+
+  // ---------------------------------------------------------------------------
+  // computeJPMorganFactors — five-factor model; composite is the rounded mean
+  // data: { SERIES_ID: [{date, value}] }
+  // ---------------------------------------------------------------------------
+  function computeJPMorganFactors(data) {
+    const factors = [
+      {
+        name:   'Yield Curve',
+        proxy:  'T10Y2Y',
+        color:  Theme.color('series-1'),
+        score:  scoreYieldCurve(data['T10Y2Y']),
+        points: data['T10Y2Y'] || [],
+      },
+      {
+        name:   'Credit Stress',
+        proxy:  'BAMLH0A0HYM2',
+        color:  Theme.color('series-2'),
+        score:  scoreCreditStress(data['BAMLH0A0HYM2']),
+        points: data['BAMLH0A0HYM2'] || [],
+      },
+      {
+        name:   'Economic Momentum',
+        proxy:  'INDPRO + RSAFS',
+        color:  Theme.color('series-4'),
+        score:  scoreEconomicMomentum(data['INDPRO'], data['RSAFS']),
+        points: data['INDPRO'] || [],
+      },
+      {
+        name:   'Labor Market',
+        proxy:  'PAYEMS + UNRATE',
+        color:  Theme.color('purple'),
+        score:  scoreLaborMarket(data['PAYEMS'], data['UNRATE']),
+        points: data['PAYEMS'] || [],
+      },
+      {
+        name:   'Financial Conditions',
+        proxy:  'VIXCLS + NFCI',
+        color:  Theme.color('series-5'),
+        score:  scoreFinancialConditions(data['VIXCLS'], data['NFCI']),
+        points: data['VIXCLS'] || [],
+      },
+    ];
+
+    const composite = Math.round(factors.reduce((s, f) => s + f.score, 0) / factors.length);
+    return { factors, composite };
+  }
+
+  // ===========================================================================
+  // CROSS-DASHBOARD (summary_app.js)
+  // Each headline maps to a stance (+1 risk on, 0 neutral, −1 risk off) and a
+  // normalized score in [−1, +1] so dashboards with different scales can be
+  // compared and weighted.
+  // ===========================================================================
+
+  // Stance of any of the five shared RISK ON / OFF labels
+  function labelStance(label) {
+    if (label.includes('RISK ON'))  return 1;
+    if (label.includes('RISK OFF')) return -1;
+    return 0;
+  }
+
+  // Gov composite is a 0–100 risk score: Low/Moderate → on, High/Extreme → off
+  function govStance(composite) {
+    if (composite <= 45) return 1;
+    if (composite <= 60) return 0;
+    return -1;
+  }
+
+  // trading_signals.json regime: direction sets the sign; only a Trending
+  // regime counts fully, Ranging counts half and Choppy is neutral.
+  function tradeRegimeScore(regime) {
+    const sign = regime.direction === 'up' ? 1 : regime.direction === 'down' ? -1 : 0;
+    const weight = regime.label === 'Trending' ? 1 : regime.label === 'Ranging' ? 0.5 : 0;
+    return sign * weight;
+  }
+
+  function stanceOf(norm) {
+    if (norm >= 0.25)  return 1;
+    if (norm <= -0.17) return -1;
+    return 0;
+  }
+
+  global.RiskScores = {
+    clamp,
+    // Divergence
+    classifyTrend, trendArrow, scorePair, trendSignalLabel, divergenceScores,
+    // Credit
+    computeMA, levelScore, momentumScore, signalLabel, creditSignal,
+    // Gov data
+    scoreColor, scoreLabel, computeMoMZScore, zToRiskScore,
+    scoreYieldCurve, scoreCreditStress, scoreEconomicMomentum,
+    scoreLaborMarket, scoreFinancialConditions, computeJPMorganFactors,
+    // Cross-dashboard
+    labelStance, govStance, tradeRegimeScore, stanceOf,
+  };
+
+}(window));
@@ -0,0 +1,214 @@
+// =============================================================================
+// settings.js — Per-user default overrides, persisted in localStorage
+// Exposes window.Settings via IIFE — no build step required.
+//
+// Load right after nav.js on every page so page scripts can read overrides
+// before their first render. Precedence on each page:
+//   URL parameter (url-state.js) > user setting > config.json / page default
+// The drawer is opened from the ⚙ button nav.js adds to the site nav.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'dashboard.settings';
+
+  const days = v => `${v} days`;
+  const years = v => `${v / 252} year${v === 252 ? '' : 's'}`;
+
+  // Every overridable default. type 'int' values are stored as numbers;
+  // options restrict what get() will hand back to a page. type 'overlays' is
+  // an indicators.js overlay list, stored as '20ema,50sma' ('none' for no
+  // overlays).
+  const FIELDS = [
+    { key: 'divergence.lookback',  page: 'Divergence',    label: 'Lookback',          type: 'int',    options: [20, 50, 100, 200], format: days },
+    { key: 'divergence.pivotMode', page: 'Divergence',    label: 'Pivot selection',   type: 'string', options: ['highest', 'recent', 'highest-to-current'],
+      format: v => ({ highest: '2 Highest by Price', recent: 'Last 2 Chronologically', 'highest-to-current': 'HH → Last Close' })[v] },
+    { key: 'divergence.swing',     page: 'Divergence',    label: 'Swing window',      type: 'string', options: ['auto', '2', '3', '5', '7', '10'],
+      format: v => (v === 'auto' ? 'Auto-scale' : days(v)) },
+    { key: 'divergence.overlays',  page: 'Divergence',    label: 'Chart overlays',    type: 'overlays' },
+    { key: 'macro.lookback',       page: 'Macro Model',   label: 'Lookback',          type: 'int',    options: [20, 50, 100], format: days },
+    { key: 'macro.maPeriod',       page: 'Macro Model',   label: 'MA period',         type: 'int',    options: [20, 50, 100], format: v => `${v}-day MA` },
+    { key: 'macro.overlays',       page: 'Macro Model',   label: 'Chart overlays',    type: 'overlays' },
+    { key: 'credit.maPeriod',      page: 'Credit Spread', label: 'MA period',         type: 'int',    options: [20, 50, 100], format: days },
+    { key: 'credit.windowDays',    page: 'Credit Spread', label: 'Percentile window', type: 'int',    options: [252, 756, 1260], format: years },
+    { key: 'credit.historyDays',   page: 'Credit Spread', label: 'Chart history',     type: 'int',    options: [252, 504, 1260], format: years },
+    { key: 'credit.overlays',      page: 'Credit Spread', label: 'Chart overlays',    type: 'overlays' },
+    { key: 'gov.historyDays',      page: 'Gov Data',      label: 'Chart history',     type: 'int',    options: [252, 504, 1260], format: years },
+    { key: 'symbol.overlays',      page: 'Symbol',        label: 'Chart overlays',    type: 'overlays' },
+    { key: 'trade.account',        page: 'Trade',         label: 'Account size ($)',  type: 'number', min: 1000 },
+    { key: 'refresh.minutes',      page: 'All pages',     label: 'Auto-refresh',      type: 'int',    options: [0, 1, 5, 15],
+      format: v => (v ? `Every ${v} min` : 'Off') },
+    { key: 'theme',                page: 'All pages',     label: 'Theme',             type: 'string', options: ['dark', 'light', 'contrast'],
+      format: v => ({ dark: 'Dark', light: 'Light', contrast: 'High contrast' })[v], unsetLabel: 'System' },
+  ];
+
+  function fieldFor(key) {
+    return FIELDS.find(f => f.key === key);
+  }
+
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function save(values) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(values));
+  }
+
+  // indicators.js loads after this file, so overlay lists are checked lazily
+  function parseOverlays(v) {
+    return global.Indicators ? global.Indicators.parseOverlays(v) : { overlays: [], errors: [] };
+  }
+
+  function valid(field, v) {
+    if (field.type === 'number') return typeof v === 'number' && Number.isFinite(v) && v >= (field.min || 0);
+    if (field.type === 'overlays') return typeof v === 'string' && parseOverlays(v).errors.length === 0;
+    return field.options.includes(v);
+  }
+
+  // ---------------------------------------------------------------------------
+  // get(key, fallback) — the user's override, or fallback when unset/invalid
+  // ---------------------------------------------------------------------------
+  function get(key, fallback) {
+    const field = fieldFor(key);
+    const v = load()[key];
+    return field && v !== undefined && valid(field, v) ? v : fallback;
+  }
+
+  // Lets settings that apply live (theme.js) react; key is null after reset()
+  function notify(key) {
+    document.dispatchEvent(new CustomEvent('settings:change', { detail: { key } }));
+  }
+
+  // set(key, value) — null / undefined clears the override
+  function set(key, value) {
+    const values = load();
+    if (value === null || value === undefined) delete values[key];
+    else values[key] = value;
+    save(values);
+    notify(key);
+  }
+
+  function reset() {
+    localStorage.removeItem(STORAGE_KEY);
+    notify(null);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Drawer — built on first open
+  // ---------------------------------------------------------------------------
+  let drawer = null;
+
+  function fieldControl(field, current) {
+    const id = `setting-${field.key.replace('.', '-')}`;
+    if (field.type === 'number') {
+      return `<input type="number" id="${id}" class="control-select" data-key="${field.key}"
+                     min="${field.min || 0}" step="1000" placeholder="Page default"
+                     value="${current !== undefined ? current : ''}">`;
+    }
+    if (field.type === 'overlays') {
+      const I = global.Indicators;
+      const value = current !== undefined && I ? I.formatOverlays(I.parseOverlays(current).overlays) || 'none' : '';
+      const presets = I ? I.PRESETS.map(p => `<option value="${I.formatOverlays(I.parseOverlays(p).overlays)}">`).join('') : '';
+      return `<input type="text" id="${id}" class="control-select overlay-input" data-key="${field.key}"
+                     list="${id}-presets" placeholder="Page default" spellcheck="false" autocomplete="off"
+                     value="${value}">
+              <datalist id="${id}-presets">${presets}</datalist>`;
+    }
+    return `
+      <select id="${id}" class="control-select" data-key="${field.key}">
+        <option value="">${field.unsetLabel || 'Page default'}</option>
+        ${field.options.map(o =>
+          `<option value="${o}"${o === current ? ' selected' : ''}>${field.format ? field.format(o) : o}</option>`
+        ).join('')}
+      </select>`;
+  }
+
+  function renderDrawer() {
+    const values = load();
+    const pages = [...new Set(FIELDS.map(f => f.page))];
+    drawer.querySelector('.settings-body').innerHTML = pages.map(page => `
+      <div class="settings-section">
+        <div class="settings-section-title">${page}</div>
+        ${FIELDS.filter(f => f.page === page).map(f => `
+          <label class="settings-row">
+            <span>${f.label}</span>
+            ${fieldControl(f, valid(f, values[f.key]) ? values[f.key] : undefined)}
+          </label>
+        `).join('')}
+      </div>
+    `).join('');
+  }
+
+  function buildDrawer() {
+    drawer = document.createElement('div');
+    drawer.className = 'settings-backdrop';
+    drawer.hidden = true;
+    drawer.innerHTML = `
+      <aside class="settings-drawer" role="dialog" aria-label="Settings">
+        <div class="settings-header">
+          <h2 style="margin:0;font-size:16px">Settings</h2>
+          <button type="button" class="control-btn" data-action="close" aria-label="Close">✕</button>
+        </div>
+        <div class="muted" style="font-size:12px;margin-bottom:12px">
+          Your defaults for each dashboard, saved in this browser. A link with
+          settings in its URL still wins. The theme switches right away; other
+          changes apply the next time a page loads.
+        </div>
+        <div class="settings-body"></div>
+        <div class="settings-footer">
+          <button type="button" class="control-btn" data-action="reset">Reset all</button>
+          <button type="button" class="control-btn" data-action="reload">Apply &amp; reload</button>
+        </div>
+      </aside>
+    `;
+
+    drawer.addEventListener('click', (e) => {
+      const action = e.target.dataset && e.target.dataset.action;
+      if (e.target === drawer || action === 'close') close();
+      else if (action === 'reset') { reset(); renderDrawer(); }
+      else if (action === 'reload') global.location.reload();
+    });
+
+    drawer.addEventListener('change', (e) => {
+      const key = e.target.dataset.key;
+      const field = key && fieldFor(key);
+      if (!field) return;
+      const raw = e.target.value;
+      if (raw === '') { set(key, null); return; }
+      if (field.type === 'overlays') {
+        const { overlays, errors } = parseOverlays(raw);
+        e.target.classList.toggle('invalid', errors.length > 0);
+        if (!errors.length && global.Indicators) set(key, global.Indicators.overlayParam(overlays));
+        return;
+      }
+      const v = field.type === 'string' ? raw : Number(raw);
+      if (valid(field, v)) set(key, v);
+      else { set(key, null); e.target.value = ''; }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && drawer && !drawer.hidden) close();
+    });
+
+    document.body.appendChild(drawer);
+  }
+
+  function open() {
+    if (!drawer) buildDrawer();
+    renderDrawer();
+    drawer.hidden = false;
+  }
+
+  function close() {
+    if (drawer) drawer.hidden = true;
+  }
+
+  global.Settings = { FIELDS, get, set, reset, open, close };
+
+}(window));
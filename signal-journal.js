@@ -0,0 +1,142 @@
+// =============================================================================
+// signal-journal.js — Headline signal history across dashboards
+// Exposes window.SignalJournal via IIFE — no build step required.
+//
+// Each page records its headline label after loading data. Entries live in
+// IndexedDB (db "risk-divergence", store "signals"); a new entry is written
+// only when the label or the data's as-of date differs from the last one for
+// that source, so reloads don't pile up duplicates.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const DB_NAME    = 'risk-divergence';
+  const DB_VERSION = 1;
+  const STORE      = 'signals';
+
+  const SOURCES = {
+    divergence: { name: 'Divergence',    href: 'index.html'    },
+    macro:      { name: 'Macro Model',   href: 'macro.html'    },
+    credit:     { name: 'Credit Spread', href: 'credit.html'   },
+    gov:        { name: 'Gov Data',      href: 'gov_data.html' },
+  };
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!global.indexedDB) {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const req = global.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('source', 'source');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // entries — all entries, oldest first; optionally for one source
+  // ---------------------------------------------------------------------------
+  async function entries(source) {
+    const db = await openDb();
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    const rows = source
+      ? await requestToPromise(store.index('source').getAll(source))
+      : await requestToPromise(store.getAll());
+    return rows.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt) || a.id - b.id);
+  }
+
+  async function latest(source) {
+    const rows = await entries(source);
+    return rows.length > 0 ? rows[rows.length - 1] : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // transitions — entries whose label differs from the previous one, newest first
+  // ---------------------------------------------------------------------------
+  async function transitions(source) {
+    const rows = await entries(source);
+    return rows.filter(r => r.previous !== null && r.previous !== r.label).reverse();
+  }
+
+  // ---------------------------------------------------------------------------
+  // record — store a page's headline label
+  // source: key of SOURCES; opts: { asOf, detail }
+  // Resolves to the stored (or unchanged latest) entry; null if storage fails.
+  // ---------------------------------------------------------------------------
+  async function record(source, label, opts = {}) {
+    try {
+      const prev = await latest(source);
+      const asOf = opts.asOf || null;
+      if (prev && prev.label === label && prev.asOf === asOf) return prev;
+
+      const entry = {
+        source,
+        label,
+        previous:   prev ? prev.label : null,
+        asOf,
+        detail:     opts.detail || '',
+        recordedAt: new Date().toISOString(),
+      };
+      const db = await openDb();
+      const tx = db.transaction(STORE, 'readwrite');
+      entry.id = await requestToPromise(tx.objectStore(STORE).add(entry));
+      return entry;
+    } catch (err) {
+      console.warn('SignalJournal: could not record signal:', err.message);
+      return null;
+    }
+  }
+
+  function formatDate(iso) {
+    return new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  // ---------------------------------------------------------------------------
+  // showBanner — "changed from X to Y on DATE" for the source's last transition
+  // Hidden until a transition exists. el: element or id (default 'signal-banner').
+  // ---------------------------------------------------------------------------
+  async function showBanner(source, el = 'signal-banner') {
+    const banner = typeof el === 'string' ? document.getElementById(el) : el;
+    if (!banner) return;
+    try {
+      const [last] = await transitions(source);
+      if (!last) { banner.hidden = true; return; }
+      banner.innerHTML =
+        `Signal changed from <b>${last.previous}</b> to <b>${last.label}</b> on ${formatDate(last.recordedAt)}` +
+        ` · <a href="journal.html?source=${source}">history</a>`;
+      banner.hidden = false;
+    } catch (err) {
+      banner.hidden = true;
+    }
+  }
+
+  // record + showBanner in one call for page scripts
+  async function recordAndShow(source, label, opts) {
+    await record(source, label, opts);
+    await showBanner(source);
+  }
+
+  global.SignalJournal = {
+    SOURCES,
+    record, recordAndShow, showBanner,
+    entries, latest, transitions,
+    formatDate,
+  };
+
+}(window));
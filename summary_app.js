@@ -0,0 +1,367 @@
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+// Each dashboard is read at the same defaults its own page starts with: the
+// page defaults below (or config.json), then the user's ⚙ settings on top
+const MACRO_LOOKBACK_DAYS = 20;
+const MACRO_MA_PERIOD     = 50;
+const CREDIT_MA_PERIOD    = 20;
+const CREDIT_WINDOW_DAYS  = 756;
+const CREDIT_CSV_PATH     = './data/fred/BAMLH0A0HYM2.csv';
+
+// The Divergence page's edited pair list (app.js), if any
+const PAIRS_STORAGE_KEY = 'divergence.pairs';
+
+const DASHBOARDS = [
+  { key: 'divergence', name: 'Divergence',    href: 'index.html'    },
+  { key: 'macro',      name: 'Macro Model',   href: 'macro.html'    },
+  { key: 'credit',     name: 'Credit Spread', href: 'credit.html'   },
+  { key: 'gov',        name: 'Gov Data',      href: 'gov_data.html' },
+  { key: 'trade',      name: 'Trade',         href: 'trade.html'    },
+];
+
+const WEIGHTS_STORAGE_KEY = 'summary.weights';
+const DEFAULT_WEIGHT = 1;
+
+let WEIGHTS = {};
+let results = [];
+
+// =============================================================================
+// WEIGHTS
+// =============================================================================
+
+function loadWeights() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(WEIGHTS_STORAGE_KEY)) || {};
+  } catch {
+    saved = {};
+  }
+  WEIGHTS = {};
+  for (const d of DASHBOARDS) {
+    const w = Number(saved[d.key]);
+    WEIGHTS[d.key] = Number.isFinite(w) && w >= 0 ? w : DEFAULT_WEIGHT;
+  }
+}
+
+function saveWeights() {
+  localStorage.setItem(WEIGHTS_STORAGE_KEY, JSON.stringify(WEIGHTS));
+}
+
+// =============================================================================
+// DASHBOARD LOADERS
+// Each returns { label, color, norm, stance, detail, asOf } using the same
+// RiskScores functions the dashboard itself renders with.
+// =============================================================================
+
+// ChartUtils.colors keys, resolved at render time so they follow the theme
+const LABEL_COLORS = {
+  '🟢 STRONG RISK ON':  'signalStrongOn',
+  '🟡 RISK ON':         'signalOn',
+  '⚪ NEUTRAL':          'signalNeutral',
+  '🟠 RISK OFF':        'signalOff',
+  '🔴 STRONG RISK OFF': 'signalStrongOff',
+};
+
+async function fetchJson(path) {
+  const r = await fetch(path, { cache: 'no-store' });
+  if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
+  return r.json();
+}
+
+// Same rules as loadSavedPairs() in app.js
+function savedPairs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PAIRS_STORAGE_KEY));
+    if (!Array.isArray(saved)) return null;
+    const valid = saved.filter(p => p && p.id && p.symbol1 && p.symbol2);
+    return valid.length > 0 ? valid : null;
+  } catch {
+    return null;
+  }
+}
+
+// { sym_lower: [[time, close]] } daily closes for the given symbols
+async function loadCloses(symbols) {
+  const data = {};
+  for (const sym of new Set(symbols.map(s => s.toLowerCase()))) {
+    try {
+      data[sym] = DataLayer.closes(await DataLayer.loadSymbolBars(sym, 'daily'));
+    } catch (err) {
+      console.warn(`Could not load ${sym}:`, err.message);
+      data[sym] = [];
+    }
+  }
+  return data;
+}
+
+// Mirrors the Divergence page on daily bars: saved settings over config.json
+// defaults, the edited pair list, and the in-browser engine for anything the
+// cache files don't cover
+async function loadDivergenceSummary() {
+  const config   = await fetchJson('./config.json');
+  const view     = DivergenceEngine.defaultView(config.defaults, Settings);
+  const { lookback, pivotMode: mode } = view;
+  const swing    = DivergenceEngine.swingDays(view);
+  const pairs    = savedPairs() || config.pairs || [];
+  const pairSymbols = pairs.flatMap(p => [p.symbol1, p.symbol2]);
+
+  let cache = null;
+  try {
+    cache = await fetchJson(`./data/cache/divergence_${lookback}_${mode}_${swing}.json`);
+  } catch (err) {
+    console.warn('Divergence cache unavailable:', err.message);
+  }
+  if (cache) {
+    const missing = pairs.filter(pair => !cache.pairs.some(p => p.id === pair.id));
+    const data = await loadCloses(missing.flatMap(p => [p.symbol1, p.symbol2]));
+    cache.pairs = pairs.map(pair =>
+      cache.pairs.find(p => p.id === pair.id) ||
+      DivergenceEngine.analyzePair(
+        pair, data[pair.symbol1.toLowerCase()], data[pair.symbol2.toLowerCase()],
+        lookback, mode, swing
+      )
+    );
+  } else {
+    cache = DivergenceEngine.computeDivergence({
+      pairs,
+      symbols:   config.symbols,
+      data:      await loadCloses([...config.symbols.map(s => s.symbol), ...pairSymbols]),
+      lookback,
+      pivotMode: mode,
+      swing,
+    });
+  }
+  const scores = RiskScores.divergenceScores(cache);
+  const norm   = scores.combinedMax ? scores.combinedScore / scores.combinedMax : 0;
+
+  return {
+    label:  scores.combined.label,
+    color:  scores.combined.color,
+    norm,
+    stance: RiskScores.labelStance(scores.combined.label),
+    detail: `Combined ${scores.combinedScore > 0 ? '+' : ''}${scores.combinedScore} of ±${scores.combinedMax} (MA ${scores.maScore > 0 ? '+' : ''}${scores.maScore}, trend ${scores.trendTotal > 0 ? '+' : ''}${scores.trendTotal})`,
+    asOf:   cache.generated,
+  };
+}
+
+async function loadMacroSummary() {
+  const lookback = Settings.get('macro.lookback', MACRO_LOOKBACK_DAYS);
+  const maPeriod = Settings.get('macro.maPeriod', MACRO_MA_PERIOD);
+  const cache  = await fetchJson(`./data/cache/macro_${lookback}_${maPeriod}.json`);
+  const regime = cache.regime;
+  return {
+    label:  regime.label,
+    color:  ChartUtils.colors[LABEL_COLORS[regime.label] || 'signalNeutral'],
+    norm:   (regime.pct - 50) / 50,
+    stance: RiskScores.labelStance(regime.label),
+    detail: `${regime.above} of ${regime.total} assets above ${cache.ma_period}-day MA (${regime.pct}%)`,
+    asOf:   cache.generated,
+  };
+}
+
+async function loadCreditSummary() {
+  const points = await DataLayer.loadFred(CREDIT_CSV_PATH);
+  const signal = RiskScores.creditSignal(
+    points,
+    Settings.get('credit.maPeriod', CREDIT_MA_PERIOD),
+    Settings.get('credit.windowDays', CREDIT_WINDOW_DAYS),
+  );
+  if (!signal) throw new Error('Not enough HY OAS data');
+  return {
+    label:  signal.label,
+    color:  signal.color,
+    norm:   signal.score / 3,
+    stance: RiskScores.labelStance(signal.label),
+    detail: `HY OAS ${signal.current.value.toFixed(2)}% · ${signal.percentile}th pctl · score ${signal.score > 0 ? '+' : ''}${signal.score}`,
+    asOf:   signal.current.date,
+  };
+}
+
+async function loadGovSummary() {
+  const bundle = await fetchJson('./data/fred/fred_cache.json');
+  const data = {};
+  for (const [id, rows] of Object.entries(bundle.series)) {
+    data[id] = rows.map(([date, value]) => ({ date, value }));
+  }
+  const { composite } = RiskScores.computeJPMorganFactors(data);
+  return {
+    label:  `${RiskScores.scoreLabel(composite)} (${composite})`,
+    color:  RiskScores.scoreColor(composite),
+    norm:   (50 - composite) / 50,
+    stance: RiskScores.govStance(composite),
+    detail: 'JPMorgan composite · 0 = low risk, 100 = extreme risk',
+    asOf:   bundle.fetched_at,
+  };
+}
+
+async function loadTradeSummary() {
+  const cache  = await fetchJson('./data/cache/trading_signals.json');
+  const regime = cache.regime;
+  const norm   = RiskScores.tradeRegimeScore(regime);
+  const stance = RiskScores.stanceOf(norm);
+  return {
+    label:  `${regime.label} · ${regime.direction}`,
+    color:  stance > 0 ? ChartUtils.colors.signalOn : stance < 0 ? ChartUtils.colors.signalOff : ChartUtils.colors.signalNeutral,
+    norm,
+    stance,
+    detail: `Day quality ${cache.day_quality.grade} · ATR ${regime.atr_trend} · indices ${regime.index_alignment}`,
+    asOf:   cache.generated,
+  };
+}
+
+const LOADERS = {
+  divergence: loadDivergenceSummary,
+  macro:      loadMacroSummary,
+  credit:     loadCreditSummary,
+  gov:        loadGovSummary,
+  trade:      loadTradeSummary,
+};
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function stanceText(stance) {
+  return stance > 0 ? 'risk on' : stance < 0 ? 'risk off' : 'neutral';
+}
+
+function renderTable() {
+  const el = document.getElementById('summary-table');
+
+  el.innerHTML = `
+    <table style="width:100%;border-collapse:collapse;font-size:13px">
+      <thead>
+        <tr style="border-bottom:2px solid var(--muted)">
+          <th style="text-align:left;padding:6px 8px">Dashboard</th>
+          <th style="text-align:left;padding:6px 8px">Headline</th>
+          <th style="text-align:right;padding:6px 8px">Score</th>
+          <th style="text-align:left;padding:6px 8px">Detail</th>
+          <th style="text-align:right;padding:6px 8px">Weight</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${results.map(r => `
+          <tr style="border-bottom:1px solid var(--surface-3)">
+            <td style="padding:6px 8px"><a href="${r.href}" style="color:var(--accent);text-decoration:none">${r.name}</a></td>
+            ${r.error
+              ? `<td style="padding:6px 8px;color:var(--down-soft)" colspan="3">Unavailable — ${r.error}</td>`
+              : `<td style="padding:6px 8px;font-weight:600;color:${r.color}">${r.label}</td>
+                 <td style="padding:6px 8px;text-align:right;font-variant-numeric:tabular-nums;color:${r.color}">${r.norm > 0 ? '+' : ''}${Math.round(r.norm * 100)}</td>
+                 <td style="padding:6px 8px" class="muted">${r.detail}${r.asOf ? ` · as of ${r.asOf}` : ''}</td>`}
+            <td style="padding:6px 8px;text-align:right">
+              <input type="number" class="control-select summary-weight" data-key="${r.key}"
+                     min="0" max="5" step="0.5" value="${WEIGHTS[r.key]}" style="width:64px">
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderComposite() {
+  const loaded = results.filter(r => !r.error && WEIGHTS[r.key] > 0);
+  const compEl = document.getElementById('summary-composite');
+  const compSub = document.getElementById('summary-composite-sub');
+
+  const weightSum = loaded.reduce((s, r) => s + WEIGHTS[r.key], 0);
+  if (weightSum === 0) {
+    compEl.textContent = '—';
+    compEl.style.color = '';
+    compSub.textContent = 'All weights are zero or no dashboard loaded.';
+  } else {
+    const composite = loaded.reduce((s, r) => s + WEIGHTS[r.key] * r.norm, 0) / weightSum;
+    const { label, color } = RiskScores.trendSignalLabel(composite, 1);
+    const pts = Math.round(composite * 100);
+    compEl.textContent = `${label} (${pts > 0 ? '+' : ''}${pts})`;
+    compEl.style.color = color;
+    compSub.textContent = `Weighted mean of ${loaded.length} dashboard${loaded.length === 1 ? '' : 's'} (−100 to +100)`;
+  }
+
+  // Agreement uses every loaded dashboard with a non-zero weight
+  const agreeEl  = document.getElementById('summary-agreement');
+  const agreeSub = document.getElementById('summary-agreement-sub');
+  const on   = loaded.filter(r => r.stance > 0);
+  const off  = loaded.filter(r => r.stance < 0);
+  const flat = loaded.filter(r => r.stance === 0);
+
+  let verdict, color;
+  if (loaded.length === 0) {
+    verdict = '—';
+    color = '';
+  } else if (on.length === loaded.length) {
+    verdict = '✅ Aligned risk on';
+    color = ChartUtils.colors.signalStrongOn;
+  } else if (off.length === loaded.length) {
+    verdict = '🔴 Aligned risk off';
+    color = ChartUtils.colors.signalStrongOff;
+  } else if (on.length > 0 && off.length > 0) {
+    verdict = '⚠️ Dashboards disagree';
+    color = ChartUtils.colors.signalOff;
+  } else {
+    verdict = '⚖️ Partial agreement';
+    color = ChartUtils.colors.signalNeutral;
+  }
+  agreeEl.textContent = verdict;
+  agreeEl.style.color = color;
+
+  const names = list => list.map(r => r.name).join(', ');
+  agreeSub.innerHTML = [
+    on.length   ? `<b>Risk on:</b> ${names(on)}`   : '',
+    flat.length ? `<b>Neutral:</b> ${names(flat)}` : '',
+    off.length  ? `<b>Risk off:</b> ${names(off)}` : '',
+  ].filter(Boolean).join(' · ');
+}
+
+async function loadAndRender() {
+  results = await Promise.all(DASHBOARDS.map(async d => {
+    try {
+      return { ...d, ...(await LOADERS[d.key]()) };
+    } catch (err) {
+      console.warn(`${d.name} unavailable:`, err.message);
+      return { ...d, error: err.message };
+    }
+  }));
+
+  renderTable();
+  renderComposite();
+
+  const ok = results.filter(r => !r.error).length;
+  const lastUpdated = await ChartUtils.loadLastUpdated();
+  document.getElementById('meta').textContent =
+    `${ok}/${results.length} dashboards loaded · Last updated: ${lastUpdated}`;
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+(async function main() {
+  try {
+    loadWeights();
+    await loadAndRender();
+
+    document.getElementById('summary-table').addEventListener('change', (e) => {
+      if (!e.target.classList.contains('summary-weight')) return;
+      const w = parseFloat(e.target.value);
+      WEIGHTS[e.target.dataset.key] = Number.isFinite(w) && w >= 0 ? w : 0;
+      saveWeights();
+      renderComposite();
+    });
+
+    document.getElementById('weightsResetBtn').addEventListener('click', () => {
+      localStorage.removeItem(WEIGHTS_STORAGE_KEY);
+      loadWeights();
+      renderTable();
+      renderComposite();
+    });
+
+    Refresh.start(loadAndRender);
+    Theme.onChange(loadAndRender);
+  } catch (err) {
+    document.getElementById('meta').textContent = `Error: ${err.message}`;
+    console.error(err);
+  }
+})();
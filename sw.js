@@ -0,0 +1,199 @@
+// =============================================================================
+// sw.js — Service worker: offline copies of the site and its last-fetched data
+// Registered by offline.js. Must live at the site root so its scope covers
+// every page.
+//
+// Same-origin requests go network-first (pages ask for `cache: 'no-store'`
+// data, so online behaviour is unchanged) and every successful response
+// refreshes the stored copy. When the network fails, or is slower than
+// NETWORK_TIMEOUT_MS and a stored copy exists, the stored copy is served and
+// the page is told via postMessage so offline.js can show its banner.
+// =============================================================================
+
+'use strict';
+
+// Pages and scripts are fetched network-first, so a deploy is picked up
+// without a bump; bump VERSION when SHELL itself changes
+const VERSION     = 'v8';
+const SHELL_CACHE = `shell-${VERSION}`;
+// Not versioned: the last-fetched data should survive a code deploy
+const DATA_CACHE  = 'data';
+
+const NETWORK_TIMEOUT_MS = 5000;
+
+const LIGHTWEIGHT_CHARTS = 'https://unpkg.com/lightweight-charts@5.0.0/dist/lightweight-charts.standalone.production.js';
+
+const SHELL = [
+  './',
+  'index.html', 'macro.html', 'credit.html', 'gov_data.html', 'fomc.html',
+  'trade.html', 'journal.html', 'summary.html', 'health.html', 'symbol.html',
+  'styles.css', 'manifest.webmanifest', 'icon.svg',
+  'nav.js', 'settings.js', 'theme.js', 'alerts.js', 'offline.js',
+  'command-palette.js', 'swipe-tabs.js',
+  'url-state.js', 'chart-utils.js', 'indicators.js', 'data-layer.js', 'freshness.js', 'refresh.js',
+  'risk-scores.js', 'signal-journal.js',
+  'trend-line.js', 'divergence-engine.js', 'correlation.js',
+  'app.js', 'macro_app.js', 'credit_app.js', 'gov_data_app.js', 'fomc_app.js',
+  'trade_app.js', 'journal_app.js', 'summary_app.js', 'health_app.js', 'symbol_app.js',
+  'config.json', 'macro_config.json', 'fred_config.json', 'trading_config.json',
+];
+
+// Mirrors LOOKBACKS / MA_PERIODS / PIVOT_MODES / SWINGS in generate_cache.py
+const LOOKBACKS   = [20, 50, 100, 200];
+const MA_PERIODS  = [20, 50, 100];
+const PIVOT_MODES = ['recent', 'highest', 'highest-to-current'];
+const SWINGS      = [2, 3, 5, 7, 10];
+
+// ---------------------------------------------------------------------------
+// dataUrls — the data every dashboard reads at load: all cache JSON, the FRED
+// bundle + credit CSV, and daily/hourly CSVs for the divergence symbols.
+// Anything else (custom pairs, the health page) is stored on first fetch.
+// ---------------------------------------------------------------------------
+async function dataUrls() {
+  const urls = [
+    'data/last_updated.txt',
+    'data/fred/fred_cache.json',
+    'data/fred/BAMLH0A0HYM2.csv',
+    'data/cache/trading_signals.json',
+  ];
+  for (const lb of LOOKBACKS) {
+    for (const ma of MA_PERIODS) urls.push(`data/cache/macro_${lb}_${ma}.json`);
+    for (const mode of PIVOT_MODES) {
+      for (const sw of SWINGS) urls.push(`data/cache/divergence_${lb}_${mode}_${sw}.json`);
+    }
+  }
+  try {
+    const config = await (await fetch('config.json', { cache: 'no-store' })).json();
+    for (const { symbol } of config.symbols) {
+      const sym = symbol.toLowerCase();
+      urls.push(`data/${sym}.csv`, `data/${sym}_hourly.csv`);
+    }
+  } catch (err) {
+    console.warn('sw: could not read config.json for symbol CSVs:', err.message);
+  }
+  return urls;
+}
+
+// Best effort — one missing file must not fail the install
+async function precacheData() {
+  const cache = await caches.open(DATA_CACHE);
+  const urls = await dataUrls();
+  await Promise.allSettled(urls.map(async (url) => {
+    const r = await fetch(url, { cache: 'no-store' });
+    if (r.ok) await cache.put(url, r);
+  }));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL);
+    try {
+      await shell.add(LIGHTWEIGHT_CHARTS);
+    } catch (err) {
+      console.warn('sw: could not precache Lightweight Charts:', err.message);
+    }
+    await precacheData();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith('shell-') && key !== SHELL_CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// ---------------------------------------------------------------------------
+// Fetch strategies
+// ---------------------------------------------------------------------------
+// reason: 'offline' (the network failed) or 'slow' (no answer within
+// NETWORK_TIMEOUT_MS — the device may well be online)
+async function notifyOffline(event, reason) {
+  const client = await self.clients.get(event.resultingClientId || event.clientId);
+  if (!client) return;
+  const stamp = await caches.match('data/last_updated.txt', { cacheName: DATA_CACHE });
+  const asOf = stamp ? (await stamp.text()).trim() : null;
+  client.postMessage({ type: 'offline', reason, url: event.request.url, asOf });
+}
+
+async function stored(request) {
+  const hit = await caches.match(request, { ignoreSearch: true });
+  if (hit) return hit;
+  // A page's own URL may carry ?tab= etc.; fall back to the cached page or home
+  if (request.mode === 'navigate') {
+    return (await caches.match(new URL(request.url).pathname.split('/').pop() || 'index.html'))
+      || caches.match('index.html');
+  }
+  return undefined;
+}
+
+function networkFirst(event, cacheName) {
+  const { request } = event;
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) {
+      try {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+      } catch (err) {
+        console.warn(`sw: could not store ${request.url}:`, err.message);
+      }
+    }
+    return response;
+  });
+  // Keep the worker alive until the cache is refreshed, even after a timeout
+  event.waitUntil(network.catch(() => {}));
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const fallback = async (reason) => {
+      const hit = await stored(request);
+      if (settled) return;
+      if (hit) {
+        settled = true;
+        resolve(hit);
+        notifyOffline(event, reason);
+      }
+      return hit;
+    };
+
+    // Flaky connection: serve the stored copy rather than wait indefinitely;
+    // the network response still refreshes the cache when it lands
+    const timer = setTimeout(() => fallback('slow'), NETWORK_TIMEOUT_MS);
+
+    network.then((response) => {
+      clearTimeout(timer);
+      if (!settled) { settled = true; resolve(response); }
+    }, async (err) => {
+      clearTimeout(timer);
+      if (!(await fallback('offline')) && !settled) { settled = true; reject(err); }
+    });
+  });
+}
+
+async function cacheFirst(request) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.href === LIGHTWEIGHT_CHARTS) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin) {
+    const isData = url.pathname.includes('/data/');
+    event.respondWith(networkFirst(event, isData ? DATA_CACHE : SHELL_CACHE));
+  }
+});
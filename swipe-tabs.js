@@ -0,0 +1,97 @@
+// =============================================================================
+// swipe-tabs.js — Swipe left / right to change tabs on touch screens
+// Exposes window.SwipeTabs via IIFE — no build step required.
+//
+// Works on any page with a .tab-bar of .tab-btn[data-tab] buttons (Macro,
+// Gov Data, Trade): a horizontal swipe clicks the next or previous visible
+// tab, so each page's own tab handler, ?tab= URL state and re-rendering run
+// exactly as for a tap. Swipes that start on something that scrolls or pans
+// sideways — the tab bar, a wide table, a chart in 🔍 inspect mode, a form
+// field — are left alone. The active tab is scrolled into view in the tab
+// bar after every switch. Load after command-palette.js.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  const MIN_DISTANCE = 60;    // px of horizontal travel
+  const MAX_SLOPE    = 0.6;   // |dy| / |dx| — steeper is a vertical scroll
+  const MAX_DURATION = 600;   // ms; a slow drag is reading, not swiping
+
+  let start = null;
+
+  function isVisible(el) {
+    return el.offsetParent !== null;
+  }
+
+  function visibleTabs() {
+    return [...document.querySelectorAll('.tab-btn[data-tab]')].filter(isVisible);
+  }
+
+  // True when the touch began inside something that handles sideways
+  // movement itself
+  function pansSideways(target) {
+    if (target.closest('input, select, textarea, .tab-bar, .inspecting, .palette, .settings-drawer')) return true;
+    for (let el = target; el && el !== document.body; el = el.parentElement) {
+      if (el.scrollWidth > el.clientWidth) {
+        const overflow = getComputedStyle(el).overflowX;
+        if (overflow === 'auto' || overflow === 'scroll') return true;
+      }
+    }
+    return false;
+  }
+
+  // Scrolls the tab bar only — the page stays where the reader left it
+  function revealActive() {
+    const active = document.querySelector('.tab-btn.active[data-tab]');
+    const bar = active && active.closest('.tab-bar');
+    if (!bar) return;
+    const a = active.getBoundingClientRect();
+    const b = bar.getBoundingClientRect();
+    if (a.left < b.left) bar.scrollLeft -= b.left - a.left + 12;
+    else if (a.right > b.right) bar.scrollLeft += a.right - b.right + 12;
+  }
+
+  // ---------------------------------------------------------------------------
+  // step(delta) — click the tab delta places from the active one (+1 next,
+  // -1 previous). Returns false at either end of the bar.
+  // ---------------------------------------------------------------------------
+  function step(delta) {
+    const tabs = visibleTabs();
+    const i = tabs.findIndex(b => b.classList.contains('active'));
+    const next = tabs[i + delta];
+    if (i === -1 || !next) return false;
+    next.click();
+    revealActive();
+    return true;
+  }
+
+  document.addEventListener('touchstart', (e) => {
+    start = null;
+    if (e.touches.length !== 1 || visibleTabs().length < 2 || pansSideways(e.target)) return;
+    const t = e.touches[0];
+    start = { x: t.clientX, y: t.clientY, time: Date.now() };
+  }, { passive: true });
+
+  document.addEventListener('touchend', (e) => {
+    if (!start) return;
+    const t = e.changedTouches[0];
+    const dx = t.clientX - start.x;
+    const dy = t.clientY - start.y;
+    const quick = Date.now() - start.time <= MAX_DURATION;
+    start = null;
+    if (!quick || Math.abs(dx) < MIN_DISTANCE || Math.abs(dy) > Math.abs(dx) * MAX_SLOPE) return;
+    // Swipe left moves forward, like turning a page
+    step(dx < 0 ? 1 : -1);
+  }, { passive: true });
+
+  document.addEventListener('touchcancel', () => { start = null; }, { passive: true });
+
+  // Taps (and palette / 1–9 switches) keep the active tab in view too
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('.tab-btn[data-tab]')) requestAnimationFrame(revealActive);
+  });
+
+  global.SwipeTabs = { step };
+
+}(window));
@@ -0,0 +1,495 @@
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+const {
+  CandlestickSeries, LineSeries, HistogramSeries, CrosshairMode, LineStyle,
+} = window.LightweightCharts;
+
+// ?symbol= picks the symbol; everything else on the page follows from it
+const SYMBOL = (UrlState.get('symbol') || '').toUpperCase();
+
+let TIMEFRAME    = 'daily';
+let HISTORY_BARS = 252;   // daily bars shown; 0 = full history
+
+// Moving averages / bands on the price pane (indicators.js)
+const DEFAULT_OVERLAYS = '20sma,50sma,200sma';
+let OVERLAYS = Indicators.parseOverlays(DEFAULT_OVERLAYS).overlays;
+const ATR_PERIOD = 14;
+const RSI_PERIOD = 14;
+const MACD_FAST = 12, MACD_SLOW = 26, MACD_SIGNAL = 9;
+
+const PANE_HEIGHTS = { price: 320, volume: 60, atr: 80, rsi: 90, macd: 100 };
+// Theme color names (theme.js) for the indicator panes
+const INDICATOR_COLORS = { atr: 'purple', rsi: 'series-10', macd: 'info', signal: 'warn' };
+
+// Every config that lists Yahoo symbols, for names and "Used in"
+let configs = { divergence: null, macro: null, trading: null };
+let bars = [];
+let signals = null;
+let chart = null;
+
+// =============================================================================
+// DATA LOADING
+// =============================================================================
+
+async function fetchJson(path) {
+  const r = await fetch(path, { cache: 'no-store' });
+  if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
+  return r.json();
+}
+
+async function loadConfigs() {
+  const load = path => fetchJson(path).catch(err => {
+    console.warn(`Could not load ${path}:`, err.message);
+    return null;
+  });
+  const [divergence, macro, trading] = await Promise.all([
+    load('./config.json'), load('./macro_config.json'), load('./trading_config.json'),
+  ]);
+  configs = { divergence, macro, trading };
+}
+
+// Daily, hourly, or 4H resampled from hourly — same as the Divergence page
+async function loadBars(sym, timeframe) {
+  if (timeframe === 'daily') return DataLayer.loadSymbolBars(sym, 'daily');
+  const hourly = await DataLayer.loadSymbolBars(sym, 'hourly');
+  return timeframe === '4h' ? DataLayer.resample(hourly, 4 * 3600) : hourly;
+}
+
+async function loadSignals() {
+  try {
+    return await fetchJson('./data/cache/trading_signals.json');
+  } catch (err) {
+    console.warn('trading_signals.json unavailable:', err.message);
+    return null;
+  }
+}
+
+// { SPY: 'S&P 500 ETF', ... } from every config
+function symbolNames() {
+  const names = {};
+  const add = (symbol, name) => { if (!names[symbol]) names[symbol] = name || ''; };
+  for (const s of (configs.divergence && configs.divergence.symbols) || []) add(s.symbol, s.name);
+  for (const cat of (configs.macro && configs.macro.macro_categories) || []) {
+    for (const a of cat.assets) add(a.symbol, a.name);
+  }
+  for (const s of (configs.macro && configs.macro.regime_signals) || []) add(s, '');
+  for (const s of (configs.trading && configs.trading.symbols) || []) add(s.symbol, s.name);
+  return names;
+}
+
+// =============================================================================
+// INDICATORS
+// Shared with the other pages (indicators.js); each returns an array aligned
+// with its input, with null in the warm-up slots.
+// =============================================================================
+
+const { atr, rsi, macd, toSeries } = Indicators;
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+const fmt = (v, digits = 2) => (v === null || v === undefined || !Number.isFinite(v) ? '—' : v.toFixed(digits));
+const last = arr => arr[arr.length - 1];
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function fmtVolume(v) {
+  if (v >= 1e9) return `${(v / 1e9).toFixed(2)}B`;
+  if (v >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(1)}K`;
+  return String(Math.round(v));
+}
+
+// message is HTML — escape anything taken from the URL
+function renderPicker(message) {
+  const names = symbolNames();
+  const el = document.getElementById('symbol-picker');
+  el.innerHTML = `
+    <div class="muted" style="margin-bottom:12px">${message}</div>
+    <div class="symbol-picker">
+      ${Object.keys(names).sort().map(sym => `
+        <a href="symbol.html?symbol=${encodeURIComponent(sym)}" class="symbol-chip" title="${escapeHtml(names[sym])}">${escapeHtml(sym)}</a>
+      `).join('')}
+    </div>
+  `;
+  el.hidden = false;
+  document.getElementById('symbol-detail').hidden = true;
+}
+
+// overlayLines: Indicators.overlayLines() output — the snapshot compares the
+// close with each overlay's main line (a band's middle)
+function renderSnapshot(closes, overlayLines, atrValues, rsiValues, macdValues) {
+  const close = last(closes);
+  const prev = closes.length > 1 ? closes[closes.length - 2] : null;
+  const closeEl = document.getElementById('symbol-close');
+  closeEl.textContent = fmt(close);
+  if (prev !== null) {
+    const chg = (close - prev) / prev * 100;
+    closeEl.style.color = chg >= 0 ? 'var(--up)' : 'var(--down)';
+    document.getElementById('symbol-change').textContent =
+      `${chg >= 0 ? '▲ +' : '▼ '}${chg.toFixed(2)}% vs previous bar · ${last(bars).date}`;
+  }
+
+  const mas = OVERLAYS.map((o, i) => {
+    const line = overlayLines.find(l => l.overlay === i && !l.band);
+    return { label: Indicators.formatOverlays([o]), value: line ? last(line.data).value : null };
+  });
+  document.getElementById('symbol-mas').innerHTML = mas.length ? mas.map(m => {
+    if (m.value === null) return `<span class="muted">${m.label} —</span>`;
+    const above = close >= m.value;
+    return `<span style="color:var(--${above ? 'up' : 'down'})">${above ? '▲ above' : '▼ below'} ${m.label}</span>`;
+  }).join(' · ') : '—';
+  document.getElementById('symbol-mas-sub').textContent = mas.length
+    ? mas.map(m => `${m.label} ${fmt(m.value)}`).join(' · ')
+    : 'No overlays selected';
+
+  const r = last(rsiValues);
+  const hist = last(macdValues.hist);
+  const rsiText = r === null ? 'RSI —' : `RSI ${r.toFixed(1)}${r >= 70 ? ' (overbought)' : r <= 30 ? ' (oversold)' : ''}`;
+  const macdText = hist === null ? 'MACD —' : `MACD ${hist >= 0 ? '▲ above' : '▼ below'} signal`;
+  document.getElementById('symbol-momentum').textContent = `${rsiText} · ${macdText}`;
+  const a = last(atrValues);
+  document.getElementById('symbol-momentum-sub').textContent = a === null
+    ? `ATR ${ATR_PERIOD} —`
+    : `ATR ${ATR_PERIOD}: ${a.toFixed(2)} (${(a / close * 100).toFixed(2)}% of price)`;
+}
+
+function renderChart() {
+  const container = document.getElementById('chart-symbol');
+  if (chart) { chart.remove(); chart = null; }
+  const c = Theme.color;
+  const ic = INDICATOR_COLORS;
+  container.innerHTML = '';
+
+  const closes = bars.map(b => b.close);
+  const start = TIMEFRAME === 'daily' && HISTORY_BARS > 0 ? Math.max(0, bars.length - HISTORY_BARS) : 0;
+  // Indicators use the full history so the first visible values are warm
+  const overlayLines = Indicators.overlayLines(OVERLAYS, bars, start);
+  const atrValues  = atr(bars, ATR_PERIOD);
+  const rsiValues  = rsi(closes, RSI_PERIOD);
+  const macdValues = macd(closes, MACD_FAST, MACD_SLOW, MACD_SIGNAL);
+  renderSnapshot(closes, overlayLines, atrValues, rsiValues, macdValues);
+
+  const visible = bars.slice(start);
+  const hasVolume = visible.some(b => b.volume > 0);
+  const panes = ['price', ...(hasVolume ? ['volume'] : []), 'atr', 'rsi', 'macd'];
+  const paneIndex = name => panes.indexOf(name);
+
+  document.getElementById('symbol-chart-title').textContent =
+    `${SYMBOL} · ${TIMEFRAME === 'daily' ? 'Daily' : TIMEFRAME.toUpperCase()}`;
+
+  chart = ChartUtils.createDashboardChart(container, panes.reduce((s, p) => s + PANE_HEIGHTS[p], 0), {
+    crosshair: { mode: CrosshairMode.Normal },
+    timeScale: { timeVisible: TIMEFRAME !== 'daily' },
+  });
+
+  const candles = chart.addSeries(CandlestickSeries, {
+    ...Theme.candles(),
+  });
+  candles.setData(visible.map(({ time, open, high, low, close }) => ({ time, open, high, low, close })));
+  const tracked = [{ series: candles, label: SYMBOL, color: c('text') }];
+
+  const overlaySeries = ChartUtils.addOverlaySeries(chart, overlayLines);
+  tracked.push(...overlaySeries);
+
+  if (hasVolume) {
+    const volume = chart.addSeries(HistogramSeries, {
+      priceFormat: { type: 'volume' },
+      priceLineVisible: false,
+      lastValueVisible: false,
+    }, paneIndex('volume'));
+    volume.setData(visible.map(b => ({
+      time: b.time,
+      value: b.volume,
+      color: ChartUtils.hexToRgba(c(b.close >= b.open ? 'up' : 'down'), 0.5),
+    })));
+    tracked.push({ series: volume, label: 'Vol', color: c('muted'), format: fmtVolume });
+  }
+
+  const atrSeries = chart.addSeries(LineSeries, {
+    color: c(ic.atr), lineWidth: 1, priceLineVisible: false,
+  }, paneIndex('atr'));
+  atrSeries.setData(toSeries(bars, atrValues, start));
+  tracked.push({ series: atrSeries, label: `ATR ${ATR_PERIOD}`, color: c(ic.atr) });
+
+  const rsiSeries = chart.addSeries(LineSeries, {
+    color: c(ic.rsi), lineWidth: 1, priceLineVisible: false,
+  }, paneIndex('rsi'));
+  rsiSeries.setData(toSeries(bars, rsiValues, start));
+  for (const level of [70, 30]) {
+    rsiSeries.createPriceLine({
+      price: level, color: c('dim'), lineWidth: 1, lineStyle: LineStyle.Dashed, axisLabelVisible: false,
+    });
+  }
+  tracked.push({ series: rsiSeries, label: `RSI ${RSI_PERIOD}`, color: c(ic.rsi), format: v => v.toFixed(1) });
+
+  const histSeries = chart.addSeries(HistogramSeries, {
+    priceLineVisible: false, lastValueVisible: false,
+  }, paneIndex('macd'));
+  histSeries.setData(toSeries(bars, macdValues.hist, start).map(p => ({
+    ...p, color: ChartUtils.hexToRgba(c(p.value >= 0 ? 'up' : 'down'), 0.6),
+  })));
+  const macdLine = chart.addSeries(LineSeries, {
+    color: c(ic.macd), lineWidth: 1, priceLineVisible: false, lastValueVisible: false,
+  }, paneIndex('macd'));
+  macdLine.setData(toSeries(bars, macdValues.line, start));
+  const signalLine = chart.addSeries(LineSeries, {
+    color: c(ic.signal), lineWidth: 1, priceLineVisible: false, lastValueVisible: false,
+  }, paneIndex('macd'));
+  signalLine.setData(toSeries(bars, macdValues.signal, start));
+  tracked.push(
+    { series: macdLine,   label: 'MACD',   color: c(ic.macd) },
+    { series: signalLine, label: 'Signal', color: c(ic.signal) },
+    { series: histSeries, label: 'Hist',   color: c('muted') },
+  );
+
+  chart.panes().forEach((pane, i) => pane.setHeight(PANE_HEIGHTS[panes[i]]));
+
+  document.getElementById('symbol-legend').innerHTML = [
+    ...overlaySeries
+      .filter((_, i) => !overlayLines[i].band)
+      .map(o => `<span style="color:${o.color}">━ ${o.label}</span>`),
+    ...(hasVolume ? ['<span class="muted">Volume</span>'] : []),
+    `<span style="color:var(--${ic.atr})">ATR ${ATR_PERIOD}</span>`,
+    `<span style="color:var(--${ic.rsi})">RSI ${RSI_PERIOD} (30 / 70)</span>`,
+    `<span style="color:var(--${ic.macd})">MACD ${MACD_FAST}/${MACD_SLOW}</span> <span style="color:var(--${ic.signal})">signal ${MACD_SIGNAL}</span>`,
+  ].join(' · ');
+
+  chart.timeScale().fitContent();
+  ChartUtils.makeInspectable(chart, container, {
+    name: `${SYMBOL}-${TIMEFRAME}`,
+    refit: () => chart.timeScale().fitContent(),
+    series: tracked,
+  });
+}
+
+// Pairs, macro categories and trade universe that include SYMBOL
+function renderMembership() {
+  const items = [];
+  const { divergence, macro, trading } = configs;
+
+  const pairs = ((divergence && divergence.pairs) || [])
+    .filter(p => p.symbol1 === SYMBOL || p.symbol2 === SYMBOL);
+  for (const p of pairs) {
+    items.push({
+      href: `index.html?focus=pair-column-${p.id}`,
+      text: `Divergence pair ${p.symbol1} ↔ ${p.symbol2}`,
+      note: p.name || '',
+    });
+  }
+  if (!pairs.length && divergence && divergence.symbols.some(s => s.symbol === SYMBOL)) {
+    items.push({ href: 'index.html', text: 'Divergence universe', note: 'Risk score and correlation heatmap' });
+  }
+
+  for (const cat of (macro && macro.macro_categories) || []) {
+    if (!cat.assets.some(a => a.symbol === SYMBOL)) continue;
+    items.push({
+      href: `macro.html?tab=${cat.id}&focus=asset-card-${SYMBOL.toLowerCase()}`,
+      text: `Macro Model › ${cat.name}`,
+      note: 'Counts toward the breadth regime',
+    });
+  }
+  if (macro && (macro.regime_signals || []).includes(SYMBOL)) {
+    items.push({ href: 'macro.html?tab=regime', text: 'Macro Model › Regime', note: 'Regime signal' });
+  }
+
+  const tradeEntry = ((trading && trading.symbols) || []).find(s => s.symbol === SYMBOL);
+  if (tradeEntry) {
+    items.push({
+      href: 'trade.html',
+      text: 'Trade universe',
+      note: tradeEntry.regime ? 'Also feeds the trade regime' : '',
+    });
+  }
+
+  document.getElementById('symbol-membership').innerHTML = items.length
+    ? `<ul class="symbol-members">${items.map(it => `
+        <li><a href="${it.href}">${it.text}</a>${it.note ? ` <span class="muted">— ${it.note}</span>` : ''}</li>
+      `).join('')}</ul>`
+    : '<div class="muted">Not part of any dashboard config.</div>';
+}
+
+// ---------------------------------------------------------------------------
+// trading_signals.json record — one table per group of fields
+// ---------------------------------------------------------------------------
+const yesNo = v => (v ? '✓ yes' : '✗ no');
+const pct = v => (v === null || v === undefined ? '—' : `${v > 0 ? '+' : ''}${v}%`);
+
+const SIGNAL_GROUPS = [
+  { title: 'Price', rows: [
+    ['Date',    d => d.date],
+    ['Open / High / Low / Close', d => `${fmt(d.open)} / ${fmt(d.high)} / ${fmt(d.low)} / ${fmt(d.close)}`],
+    ['Volume',  d => fmtVolume(d.volume)],
+    ['Gap',     d => `${pct(d.gap_pct)} (${d.gap_type})${d.gap_strong ? ' · strong' : d.gap_significant ? ' · significant' : ''}`],
+  ] },
+  { title: 'Trend & volatility', rows: [
+    ['MA 20',          d => `${fmt(d.ma_20)} · ${d.above_ma_20 ? '▲ above' : '▼ below'}`],
+    ['VWAP',           d => d.vwap ? `${fmt(d.vwap.vwap)} · ${d.vwap.above_vwap ? '▲ above' : '▼ below'} (${pct(d.vwap.distance_pct)})` : '—'],
+    ['ATR 14',         d => `${fmt(d.atr_14)} · 20d avg ${fmt(d.atr_20d_avg)} · ${d.atr_above_avg ? '▲ above avg' : '▼ below avg'}`],
+  ] },
+  { title: 'Momentum', rows: [
+    ['RSI 14',         d => fmt(d.rsi_14, 1)],
+    ['RSI divergence', d => (d.rsi_divergence ? d.rsi_divergence.description : '—')],
+    ['MACD',           d => `line ${fmt(d.macd_line)} · signal ${fmt(d.macd_signal)} · hist ${fmt(d.macd_histogram)}`],
+    ['Squeeze',        d => (d.squeeze ? `${d.squeeze.status} · momentum ${fmt(d.squeeze.momentum)}${d.squeeze.momentum_increasing ? ' ▲' : ' ▼'}` : '—')],
+  ] },
+  { title: 'Patterns', rows: [
+    ['ORB qualified',      d => yesNo(d.patterns && d.patterns.orb_qualified)],
+    ['Gap fill candidate', d => yesNo(d.patterns && d.patterns.gap_fill_candidate)],
+    ['Gap continuation',   d => yesNo(d.patterns && d.patterns.gap_continuation_candidate)],
+    ['Outside day',        d => (d.outside_day ? `✓ ${d.outside_day_direction}` : '✗ no')],
+    ['Engulfing',          d => d.engulfing],
+  ] },
+  { title: 'End of day', when: d => !!d.eod_outcome, rows: [
+    ['Opening range',  d => `${fmt(d.eod_outcome.orb_low)} – ${fmt(d.eod_outcome.orb_high)}`],
+    ['ORB breached',   d => (d.eod_outcome.orb_breached ? `✓ ${d.eod_outcome.orb_direction}` : '✗ no')],
+    ['ORB hit T1',     d => yesNo(d.eod_outcome.orb_hit_t1)],
+    ['Gap filled',     d => yesNo(d.eod_outcome.gap_filled)],
+    ['Day range',      d => `${fmt(d.eod_outcome.day_range)} (${d.eod_outcome.day_range_pct}% · ${d.eod_outcome.day_atr_multiple}× ATR)`],
+  ] },
+];
+
+function renderSignals() {
+  const metaEl = document.getElementById('symbol-signals-meta');
+  const el = document.getElementById('symbol-signals');
+  const record = signals && signals.symbols && signals.symbols[SYMBOL];
+  if (!record) {
+    metaEl.textContent = '';
+    el.innerHTML = `<div class="muted">${signals ? `${SYMBOL} is not in the trade universe (trading_config.json).` : 'trading_signals.json unavailable.'}</div>`;
+    return;
+  }
+
+  const gen = new Date(signals.generated).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+  metaEl.textContent = signals.cache_type === 'morning'
+    ? `Morning cache generated ${gen} — end-of-day fields update after the close`
+    : `EOD cache generated ${gen}`;
+
+  const active = (signals.active_patterns || []).filter(p => p.symbol === SYMBOL);
+  const activeHtml = active.length
+    ? `<div class="symbol-signal-active">${active.map(p =>
+        `<b>${p.pattern}</b> ${p.direction === 'up' ? '▲' : p.direction === 'down' ? '▼' : ''} ${p.direction} — ${p.notes}`
+      ).join('<br>')}</div>`
+    : '';
+
+  el.innerHTML = activeHtml + `<div class="symbol-signal-grid">${SIGNAL_GROUPS
+    .filter(g => !g.when || g.when(record))
+    .map(g => `
+      <table class="symbol-signal-table">
+        <thead><tr><th colspan="2">${g.title}</th></tr></thead>
+        <tbody>
+          ${g.rows.map(([label, get]) => `<tr><td class="muted">${label}</td><td>${get(record)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    `).join('')}</div>`;
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+// Returns false when the symbol has no data at this timeframe
+async function loadAndRender() {
+  const sym = SYMBOL.toLowerCase();
+  try {
+    bars = await loadBars(sym, TIMEFRAME);
+  } catch (err) {
+    console.warn(`Could not load ${sym}:`, err.message);
+    bars = [];
+  }
+  signals = await loadSignals();
+  if (!bars.length) return false;
+
+  renderChart();
+  renderMembership();
+  renderSignals();
+
+  const freshness = Freshness.checkBars(sym, bars);
+  const lastUpdated = await ChartUtils.loadLastUpdated();
+  document.getElementById('meta').innerHTML =
+    `${bars.length} ${TIMEFRAME === 'daily' ? 'daily' : TIMEFRAME.toUpperCase()} bars` +
+    ` (${bars[0].date.slice(0, 10)} → ${last(bars).date.slice(0, 10)})` +
+    ` · Last updated: ${lastUpdated}${Freshness.badge(freshness)}`;
+  return true;
+}
+
+(async function main() {
+  const metaEl = document.getElementById('meta');
+  try {
+    ChartUtils.addPageInspectToggle(document.querySelector('.controls-row'));
+    await loadConfigs();
+
+    if (!SYMBOL) {
+      metaEl.textContent = 'No symbol selected';
+      renderPicker('Pick a symbol to see its full history, indicators and signals:');
+      return;
+    }
+
+    // Only configured symbols have CSVs; anything else never reaches a fetch
+    const names = symbolNames();
+    if (!Object.hasOwn(names, SYMBOL)) {
+      metaEl.textContent = `Unknown symbol ${SYMBOL}`;
+      renderPicker(`<b>${escapeHtml(SYMBOL)}</b> is not in any dashboard config. Pick a symbol:`);
+      return;
+    }
+
+    const name = names[SYMBOL];
+    document.getElementById('symbol-title').textContent = name ? `${SYMBOL} — ${name}` : SYMBOL;
+    document.title = `${SYMBOL} · Symbol Detail`;
+
+    const tf = UrlState.restoreSelect('timeframeSelect', 'tf');
+    if (tf) TIMEFRAME = tf;
+    const history = UrlState.restoreSelect('historySelect', 'history');
+    if (history) HISTORY_BARS = parseInt(history, 10);
+    OVERLAYS = Indicators.parseOverlays(Settings.get('symbol.overlays', DEFAULT_OVERLAYS)).overlays;
+    const overlays = UrlState.get('overlays');
+    if (overlays !== null) {
+      const parsed = Indicators.parseOverlays(overlays);
+      if (!parsed.errors.length) OVERLAYS = parsed.overlays;
+    }
+    UrlState.updateChanged(
+      { overlays: Indicators.overlayParam(OVERLAYS) },
+      { overlays: Indicators.overlayParam(Indicators.parseOverlays(DEFAULT_OVERLAYS).overlays) }
+    );
+    document.getElementById('historySelect').disabled = TIMEFRAME !== 'daily';
+
+    document.getElementById('symbol-detail').hidden = false;
+    if (!(await loadAndRender())) {
+      metaEl.textContent = `No data for ${SYMBOL}`;
+      renderPicker(`No price data found for <b>${escapeHtml(SYMBOL)}</b>. Pick another symbol:`);
+      return;
+    }
+
+    document.getElementById('timeframeSelect').addEventListener('change', async (e) => {
+      TIMEFRAME = e.target.value;
+      UrlState.update({ tf: TIMEFRAME === 'daily' ? null : TIMEFRAME });
+      document.getElementById('historySelect').disabled = TIMEFRAME !== 'daily';
+      if (!(await loadAndRender())) metaEl.textContent = `No ${TIMEFRAME.toUpperCase()} data for ${SYMBOL}`;
+    });
+
+    document.getElementById('historySelect').addEventListener('change', (e) => {
+      HISTORY_BARS = parseInt(e.target.value, 10);
+      UrlState.update({ history: HISTORY_BARS === 252 ? null : HISTORY_BARS });
+      renderChart();
+    });
+
+    ChartUtils.bindOverlayInput(document.getElementById('overlaysInput'), OVERLAYS, (next) => {
+      OVERLAYS = next;
+      UrlState.update({ overlays: Indicators.overlayParam(OVERLAYS) });
+      renderChart();
+    });
+
+    Refresh.start(loadAndRender);
+    Theme.onChange(() => { if (bars.length) renderChart(); });
+
+  } catch (err) {
+    metaEl.textContent = `Error: ${err.message}`;
+    console.error(err);
+  }
+})();
@@ -1,26 +1,5 @@
 const { createChart, LineSeries, createSeriesMarkers } = window.LightweightCharts;
 
-async function loadCsvPoints(path) {
-  const r = await fetch(path, { cache: "no-store" });
-  if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${path}`);
-  const text = await r.text();
-  const lines = text.trim().split(/\r?\n/);
-  lines.shift();
-  const points = [];
-  for (const line of lines) {
-    const parts = line.split(",");
-    if (parts.length < 5) continue;
-    const date = parts[0];
-    const close = parts[4];
-    if (!date || !close || date === "Date") continue;
-    const t = Math.floor(new Date(date + "T00:00:00Z").getTime() / 1000);
-    const c = Number(close);
-    if (!Number.isFinite(t) || !Number.isFinite(c)) continue;
-    points.push({ time: t, value: c });
-  }
-  return points;
-}
-
 // N=1 pivot detection: higher/lower than both immediate neighbors, skip first and last
 function findPivots(points) {
   const pivots = [];
@@ -99,7 +78,7 @@ function render(lookback) {
 
 (async function main() {
   try {
-    allPoints = await loadCsvPoints('./data/spy.csv');
+    allPoints = (await DataLayer.loadBars('./data/spy.csv')).map(b => ({ time: b.time, value: b.close }));
     console.log('Loaded', allPoints.length, 'points');
 
     const sel = document.getElementById('lookback');
@@ -0,0 +1,130 @@
+// =============================================================================
+// theme.js — Dark, light and high-contrast color themes, switchable live
+// Exposes window.Theme via IIFE — no build step required.
+//
+// The palettes themselves are CSS custom properties in styles.css (:root and
+// [data-theme="…"] blocks); this file picks one by setting data-theme on
+// <html>. Plain HTML/CSS follows immediately. Colors that end up in canvas
+// or SVG attributes — Lightweight Charts options, sparklines — are read with
+// Theme.color('up') at render time, and each page re-renders its charts from
+// Theme.onChange().
+//
+// Load right after settings.js: the choice is the 'theme' setting, and when
+// it is unset the OS preference decides (prefers-contrast: more → contrast,
+// prefers-color-scheme: light → light).
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  // hollowUp: up candles are drawn as outlines so direction is readable
+  // without telling the two candle colors apart
+  const THEMES = [
+    { id: 'dark',     label: 'Dark' },
+    { id: 'light',    label: 'Light' },
+    { id: 'contrast', label: 'High contrast (colorblind-safe)', hollowUp: true },
+  ];
+
+  const SERIES_COUNT = 11;   // --series-1 … --series-11
+
+  const listeners = [];
+  let cache = {};
+
+  function themeFor(id) {
+    return THEMES.find(t => t.id === id) || THEMES[0];
+  }
+
+  function systemTheme() {
+    const mq = q => global.matchMedia && global.matchMedia(q).matches;
+    if (mq('(prefers-contrast: more)')) return 'contrast';
+    if (mq('(prefers-color-scheme: light)')) return 'light';
+    return 'dark';
+  }
+
+  // current() — the active theme id
+  function current() {
+    const saved = global.Settings ? Settings.get('theme', null) : null;
+    return themeFor(saved || systemTheme()).id;
+  }
+
+  function apply() {
+    const id = current();
+    cache = {};
+    document.documentElement.dataset.theme = id;
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) meta.setAttribute('content', color('bg'));
+    return id;
+  }
+
+  // ---------------------------------------------------------------------------
+  // color('up') — '#rrggbb' for --up in the active theme. Palette variables
+  // hold plain hex values so callers can pass them to ChartUtils.hexToRgba.
+  // ---------------------------------------------------------------------------
+  function color(name) {
+    if (!(name in cache)) {
+      cache[name] = getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim();
+    }
+    return cache[name];
+  }
+
+  // series(i) — categorical color i (wraps), for multi-line charts
+  function series(i) {
+    return color(`series-${(i % SERIES_COUNT) + 1}`);
+  }
+
+  // candles() — CandlestickSeries / BarSeries options for the active theme
+  function candles() {
+    const up = color('up');
+    const down = color('down');
+    const hollow = themeFor(current()).hollowUp;
+    return {
+      upColor:         hollow ? 'rgba(0,0,0,0)' : up,
+      downColor:       down,
+      borderVisible:   !!hollow,
+      borderUpColor:   up,
+      borderDownColor: down,
+      wickUpColor:     up,
+      wickDownColor:   down,
+    };
+  }
+
+  // set(id) — save the choice (null = follow the OS) and re-theme the page
+  function set(id) {
+    // Settings.set fires settings:change, which re-themes below
+    if (global.Settings) Settings.set('theme', id && themeFor(id).id === id ? id : null);
+    else changed();
+  }
+
+  function changed() {
+    const id = apply();
+    for (const fn of listeners) {
+      try {
+        fn(id);
+      } catch (err) {
+        console.warn('Theme change handler failed:', err.message);
+      }
+    }
+  }
+
+  // onChange(fn) — fn(themeId) after every switch; pages re-render charts here
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  apply();
+
+  // The ⚙ Settings drawer, or the OS preference when no theme is saved
+  document.addEventListener('settings:change', (e) => {
+    if (e.detail.key === 'theme' || e.detail.key === null) changed();
+  });
+  if (global.matchMedia) {
+    for (const q of ['(prefers-color-scheme: light)', '(prefers-contrast: more)']) {
+      global.matchMedia(q).addEventListener('change', () => {
+        if (!global.Settings || !Settings.get('theme', null)) changed();
+      });
+    }
+  }
+
+  global.Theme = { THEMES, current, color, series, candles, set, onChange };
+
+}(window));
@@ -7,41 +7,54 @@
 let cacheData = null;
 let scoredTrades = null;
 
+// Symbol names link to the symbol detail page
+function symbolLink(sym) {
+  return `<a href="symbol.html?symbol=${encodeURIComponent(sym)}" class="symbol-link">${sym}</a>`;
+}
+
 // =============================================================================
 // MAIN ENTRY POINT
 // =============================================================================
 
-async function main() {
-  try {
-    // Fetch cache
-    const response = await fetch('data/cache/trading_signals.json');
-    if (!response.ok) throw new Error(`Failed to fetch: ${response.status}`);
-    cacheData = await response.json();
-
-    // Render all steps
-    renderHeader();
-    renderDayQuality();
-
-    // If day grade is C or F, render EOD with what we have and stop morning flow
-    if (['C', 'F'].includes(cacheData.day_quality.grade)) {
-      renderEodOutcomes(null);
-      document.getElementById('step-2').style.display = 'none';
-      document.getElementById('step-3').style.display = 'none';
-      document.getElementById('step-4').style.display = 'none';
-      document.getElementById('step-5').style.display = 'none';
-      document.getElementById('step-6').style.display = 'none';
-      return;
-    }
+// Morning-flow steps hidden on a no-trade (C/F) day
+const MORNING_STEPS = ['step-2', 'step-3', 'step-4', 'step-5', 'step-6'];
+
+// Fetches the cache and renders every step; re-run by refresh.js when a new
+// morning or EOD cache is published
+async function loadAndRender() {
+  // no-store: a background refresh must see the newly published file
+  const response = await fetch('data/cache/trading_signals.json', { cache: 'no-store' });
+  if (!response.ok) throw new Error(`Failed to fetch: ${response.status}`);
+  cacheData = await response.json();
+
+  // Render all steps
+  renderHeader();
+  renderDayQuality();
+
+  // If day grade is C or F, render EOD with what we have and stop morning flow
+  const noTrade = ['C', 'F'].includes(cacheData.day_quality.grade);
+  for (const id of MORNING_STEPS) {
+    document.getElementById(id).style.display = noTrade ? 'none' : '';
+  }
+  if (noTrade) {
+    renderEodOutcomes(null);
+    return;
+  }
 
-    // Continue with remaining morning steps, then render EOD with scored data
-    renderRegime();
-    renderPatternScanner();
-    const scored = scoreConfluences();
-    scoredTrades = scored;
-    renderRecommendations(scored);
-    renderPositionCalc(scored);
-    renderEodOutcomes(scored);
+  // Continue with remaining morning steps, then render EOD with scored data
+  renderRegime();
+  renderPatternScanner();
+  const scored = scoreConfluences();
+  scoredTrades = scored;
+  renderRecommendations(scored);
+  renderPositionCalc(scored);
+  renderEodOutcomes(scored);
+}
 
+async function main() {
+  try {
+    await loadAndRender();
+    Refresh.start(loadAndRender);
   } catch (error) {
     console.error('Error:', error);
     document.getElementById('step-1').innerHTML = `<div class="error">Error loading data: ${error.message}</div>`;
@@ -57,7 +70,7 @@ function renderHeader() {
   const genStr = gen.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
 
   const grade = cacheData.day_quality.grade;
-  const gradeColor = grade === 'A+' || grade === 'A' ? '#10b981' : grade === 'B' ? '#f59e0b' : '#ef4444';
+  const gradeColor = grade === 'A+' || grade === 'A' ? 'var(--up)' : grade === 'B' ? 'var(--warn)' : 'var(--down)';
   const gradeLabel = (grade === 'A+' || grade === 'A') ? 'Trading Day' : grade === 'B' ? 'Reduced Size' : 'No Trades';
 
   document.getElementById('headerMeta').textContent = `as of ${genStr}`;
@@ -78,8 +91,8 @@ function renderDayQuality() {
   let html = `<div style="margin-bottom: 16px;">`;
 
   if (isNoTrade) {
-    html += `<div style="background: #2a1f1f; border-left: 4px solid #ef4444; padding: 12px; border-radius: 4px; margin-bottom: 16px;">
-      <strong style="color: #991b1b;">🛑 NO TRADES TODAY</strong><br>
+    html += `<div style="background: color-mix(in srgb, var(--down) 10%, var(--surface)); border-left: 4px solid var(--down); padding: 12px; border-radius: 4px; margin-bottom: 16px;">
+      <strong style="color: var(--down);">🛑 NO TRADES TODAY</strong><br>
       Grade: <strong>${grade}</strong>`;
     if (grade === 'F' && Math.abs(mods.prior_day_move_pct) > 10) {
       html += `<br>Prior day move: ${mods.prior_day_move_pct.toFixed(2)}% (> 10% threshold)`;
@@ -90,24 +103,24 @@ function renderDayQuality() {
   }
 
   html += `
-    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 12px; margin-bottom: 12px;">
+    <div class="trade-grid-3" style="margin-bottom: 12px;">
       <div class="pill">
         <div class="muted">ATR Above Avg</div>
-        <span style="font-weight: bold; color: ${mods.atr_above_avg ? '#10b981' : '#ef4444'};">
+        <span style="font-weight: bold; color: ${mods.atr_above_avg ? 'var(--up)' : 'var(--down)'};">
           ${mods.atr_above_avg ? '✓' : '✗'}
         </span>
         <div class="muted" style="font-size: 0.8em; margin-top: 6px;">Enough range to produce tradeable swings.</div>
       </div>
       <div class="pill">
         <div class="muted">Volume > 20d Avg</div>
-        <span style="font-weight: bold; color: ${mods.volume_above_20d ? '#10b981' : '#ef4444'};">
+        <span style="font-weight: bold; color: ${mods.volume_above_20d ? 'var(--up)' : 'var(--down)'};">
           ${mods.volume_above_20d ? '✓' : '✗'}
         </span>
         <div class="muted" style="font-size: 0.8em; margin-top: 6px;">Confirms institutional participation.</div>
       </div>
       <div class="pill">
         <div class="muted">Volume > 50d Avg</div>
-        <span style="font-weight: bold; color: ${mods.volume_above_50d ? '#10b981' : '#ef4444'};">
+        <span style="font-weight: bold; color: ${mods.volume_above_50d ? 'var(--up)' : 'var(--down)'};">
           ${mods.volume_above_50d ? '✓' : '✗'}
         </span>
         <div class="muted" style="font-size: 0.8em; margin-top: 6px;">Both checks passing = A+ conviction day.</div>
@@ -131,9 +144,9 @@ function renderRegime() {
   const regime = cacheData.regime;
 
   const regimeColors = {
-    'Trending': '#3b82f6',
-    'Ranging': '#f59e0b',
-    'Choppy': '#ef4444'
+    'Trending': 'var(--info)',
+    'Ranging': 'var(--warn)',
+    'Choppy': 'var(--down)'
   };
 
   const patternMenu = {
@@ -143,7 +156,7 @@ function renderRegime() {
   };
 
   let html = `
-    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr 1fr; gap: 12px; margin-bottom: 16px;">
+    <div class="trade-grid-4" style="margin-bottom: 16px;">
       <div class="pill">
         <div class="muted">Regime</div>
         <span style="font-weight: bold; background: ${regimeColors[regime.label]}; color: white; padding: 4px 8px; border-radius: 4px; display: inline-block;">
@@ -160,12 +173,12 @@ function renderRegime() {
       </div>
       <div class="pill">
         <div class="muted">Index Alignment</div>
-        <span style="color: ${regime.index_alignment === 'aligned' ? '#10b981' : '#ef4444'};">
+        <span style="color: ${regime.index_alignment === 'aligned' ? 'var(--up)' : 'var(--down)'};">
           ${regime.index_alignment}
         </span>
       </div>
     </div>
-    <div style="background: #22242a; padding: 12px; border-radius: 4px; border-left: 4px solid ${regimeColors[regime.label]};">
+    <div style="background: var(--surface-2); padding: 12px; border-radius: 4px; border-left: 4px solid ${regimeColors[regime.label]};">
       <strong>Valid Patterns for ${regime.label} Regime:</strong><br>
       ${patternMenu[regime.label]}
     </div>
@@ -194,7 +207,7 @@ function renderPatternScanner() {
   let html = '';
 
   if (validPatterns.length === 0) {
-    html = `<div style="background: #2a2414; padding: 12px; border-radius: 4px;">No patterns valid for ${regime} regime — sit out.</div>`;
+    html = `<div style="background: color-mix(in srgb, var(--warn) 10%, var(--surface)); padding: 12px; border-radius: 4px;">No patterns valid for ${regime} regime — sit out.</div>`;
   } else {
     // Filter patterns valid for this regime
     const filtered = patterns.filter(p => validPatterns.some(v => p.pattern.includes(v)));
@@ -202,10 +215,10 @@ function renderPatternScanner() {
     if (filtered.length === 0) {
       html = `<div class="muted">No patterns detected today.</div>`;
     } else {
-      html = `<h3 style="margin-top: 0; color: #10b981;">✓ Patterns Detected</h3>
+      html = `<h3 style="margin-top: 0; color: var(--up);">✓ Patterns Detected</h3>
       <table style="width: 100%; border-collapse: collapse;">
         <thead>
-          <tr style="border-bottom: 2px solid #a7a7ad;">
+          <tr style="border-bottom: 2px solid var(--muted);">
             <th style="text-align: left; padding: 8px;">Symbol</th>
             <th style="text-align: left; padding: 8px;">Pattern</th>
             <th style="text-align: left; padding: 8px;">Direction</th>
@@ -215,11 +228,11 @@ function renderPatternScanner() {
         <tbody>`;
 
       filtered.forEach(p => {
-        const dirColor = p.direction === 'up' ? '#10b981' : p.direction === 'down' ? '#ef4444' : '#6b7280';
+        const dirColor = p.direction === 'up' ? 'var(--up)' : p.direction === 'down' ? 'var(--down)' : 'var(--dim)';
 
         html += `
-          <tr style="border-bottom: 1px solid #333;">
-            <td style="padding: 8px; font-weight: bold;">${p.symbol}</td>
+          <tr style="border-bottom: 1px solid var(--border);">
+            <td style="padding: 8px; font-weight: bold;">${symbolLink(p.symbol)}</td>
             <td style="padding: 8px;">${p.pattern}</td>
             <td style="padding: 8px; color: ${dirColor}; font-weight: bold;">${p.direction}</td>
             <td style="padding: 8px; font-size: 0.9em;">${p.notes}</td>
@@ -230,10 +243,10 @@ function renderPatternScanner() {
     }
 
     // Show what's NOT in play
-    html += `<h3 style="margin-top: 24px; color: #a7a7ad;">✗ No Patterns — Why</h3>`;
+    html += `<h3 style="margin-top: 24px; color: var(--muted);">✗ No Patterns — Why</h3>`;
     html += `<table style="width: 100%; border-collapse: collapse;">
       <thead>
-        <tr style="border-bottom: 2px solid #a7a7ad;">
+        <tr style="border-bottom: 2px solid var(--muted);">
           <th style="text-align: left; padding: 8px;">Symbol</th>
           <th style="text-align: left; padding: 8px;">Reason</th>
         </tr>
@@ -263,8 +276,8 @@ function renderPatternScanner() {
 
         if (reasons.length > 0) {
           html += `
-            <tr style="border-bottom: 1px solid #333; color: #6b7280;">
-              <td style="padding: 8px; font-weight: bold;">${sym}</td>
+            <tr style="border-bottom: 1px solid var(--border); color: var(--dim);">
+              <td style="padding: 8px; font-weight: bold;">${symbolLink(sym)}</td>
               <td style="padding: 8px; font-size: 0.9em;">${reasons.join(' • ')}</td>
             </tr>`;
         }
@@ -284,11 +297,11 @@ function renderPatternScanner() {
 function squeezeHTML(squeeze) {
   if (!squeeze) squeeze = { status: 'unknown', momentum_increasing: false };
   const colors = {
-    strong:  '#ef4444',
-    normal:  '#f97316',
-    weak:    '#eab308',
-    none:    '#10b981',
-    unknown: '#6b7280'
+    strong:  'var(--down)',
+    normal:  'var(--caution)',
+    weak:    'var(--warn)',
+    none:    'var(--up)',
+    unknown: 'var(--dim)'
   };
   const labels = {
     strong:  'Strong',
@@ -367,17 +380,17 @@ function scoreConfluences() {
   if (scored.length === 0) {
     html = `<div class="muted">No trades with 3+ confluences found.</div>`;
   } else {
-    html = `<div style="display: flex; flex-wrap: wrap; gap: 12px;">`;
+    html = `<div class="trade-cards">`;
 
     scored.forEach(trade => {
       const sizeLabel = trade.score >= 7 ? 'Full Size' : trade.score >= 5 ? '75% Size' : '50% Size';
-      const sizeColor = trade.score >= 7 ? '#10b981' : trade.score >= 5 ? '#f59e0b' : '#3b82f6';
+      const sizeColor = trade.score >= 7 ? 'var(--up)' : trade.score >= 5 ? 'var(--warn)' : 'var(--info)';
       const sqBadge = squeezeHTML(trade.squeeze);
 
       html += `
-        <div style="border: 2px solid ${sizeColor}; border-radius: 6px; padding: 14px; width: 400px; box-sizing: border-box;">
+        <div class="trade-card" style="border-color: ${sizeColor};">
           <div style="font-weight: bold; font-size: 1.05em;">${trade.symbol}</div>
-          <div style="font-size: 0.85em; color: #a7a7ad; margin-bottom: 8px;">${trade.pattern}</div>
+          <div style="font-size: 0.85em; color: var(--muted); margin-bottom: 8px;">${trade.pattern}</div>
           <div style="margin-bottom: 10px;">
             <span style="background: ${sizeColor}; color: white; padding: 2px 8px; border-radius: 4px; font-size: 0.8em; font-weight: bold;">
               ${trade.score}/9 ${getDotsHTML(trade.score, 9)}
@@ -387,7 +400,7 @@ function scoreConfluences() {
           <div style="font-size: 0.8em;">`;
 
       Object.entries(trade.checks).forEach(([key, val]) => {
-        html += `<div style="color: ${val ? '#10b981' : '#4b5563'};">${val ? '✓' : '✗'} ${key}</div>`;
+        html += `<div style="color: ${val ? 'var(--up)' : 'var(--dim)'};">${val ? '✓' : '✗'} ${key}</div>`;
       });
 
       html += `</div>
@@ -400,6 +413,21 @@ function scoreConfluences() {
 
   document.getElementById('step4Content').innerHTML = html;
 
+  // One row per scored trade, one column per check
+  const checkRows = () => scored.map(t => ({
+    symbol:    t.symbol,
+    pattern:   t.pattern,
+    direction: t.direction,
+    score:     t.score,
+    ...t.checks,
+  }));
+  const exportEl = document.getElementById('step4Export');
+  exportEl.innerHTML = '';
+  ChartUtils.addExportMenu(exportEl, 'trade-confluence', {
+    csv:  checkRows,
+    json: () => ({ generated: cacheData.generated, regime: cacheData.regime.label, trades: checkRows() }),
+  });
+
   return scored;
 }
 
@@ -415,7 +443,7 @@ function renderRecommendations(scored) {
   if (scored.length === 0) {
     html = `<div class="muted">No trades with sufficient confluence today.</div>`;
   } else {
-    html = `<div style="display: flex; flex-wrap: wrap; gap: 12px;">`;
+    html = `<div class="trade-cards">`;
 
     scored.forEach(trade => {
       const d = trade.data;
@@ -467,18 +495,18 @@ function renderRecommendations(scored) {
         target3 = `Trailing $${atrStop} (1x ATR)`;
       }
 
-      const sizeColor = trade.score >= 7 ? '#10b981' : trade.score >= 5 ? '#f59e0b' : '#3b82f6';
+      const sizeColor = trade.score >= 7 ? 'var(--up)' : trade.score >= 5 ? 'var(--warn)' : 'var(--info)';
       const sqBadgeRec = squeezeHTML(trade.squeeze);
 
-      const vwapColor = trade.vwap.above_vwap === null ? '#6b7280' : trade.vwap.above_vwap ? '#10b981' : '#ef4444';
+      const vwapColor = trade.vwap.above_vwap === null ? 'var(--dim)' : trade.vwap.above_vwap ? 'var(--up)' : 'var(--down)';
       const vwapLabel = trade.vwap.vwap !== null
         ? `$${trade.vwap.vwap.toFixed(2)} (${trade.vwap.distance_pct > 0 ? '+' : ''}${trade.vwap.distance_pct}%)`
         : 'N/A';
-      const rsidivColors = { bullish: '#10b981', bearish: '#ef4444', both: '#f97316', none: '#4b5563', unknown: '#6b7280' };
+      const rsidivColors = { bullish: 'var(--up)', bearish: 'var(--down)', both: 'var(--caution)', none: 'var(--dim)', unknown: 'var(--dim)' };
       const rsidivLabels = { bullish: '▲ Bullish', bearish: '▼ Bearish', both: '⚡ Both', none: 'None', unknown: 'N/A' };
 
       html += `
-        <div style="border: 2px solid ${sizeColor}; border-radius: 6px; padding: 14px; width: 400px; box-sizing: border-box;">
+        <div class="trade-card" style="border-color: ${sizeColor};">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
             <div>
               <strong style="font-size: 1.1em;">${trade.symbol}</strong>
@@ -494,7 +522,7 @@ function renderRecommendations(scored) {
             <div><div class="muted">ATR (14)</div><strong>${atr.toFixed(2)}</strong></div>
           </div>
 
-          <div style="background: #22242a; padding: 8px; border-radius: 4px; font-size: 0.85em; margin-bottom: 10px;">
+          <div style="background: var(--surface-2); padding: 8px; border-radius: 4px; font-size: 0.85em; margin-bottom: 10px;">
             <div><strong>Entry:</strong> ${entry}</div>
             <div><strong>Stop:</strong> ${stop}</div>
             <div><strong>T1 (33%):</strong> ${target1}</div>
@@ -503,30 +531,30 @@ function renderRecommendations(scored) {
           </div>
 
           <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px; font-size: 0.8em;">
-            <div style="background: #22242a; padding: 8px; border-radius: 8px;">
+            <div style="background: var(--surface-2); padding: 8px; border-radius: 8px;">
               <div class="muted">RSI</div>
               <strong>${d.rsi_14.toFixed(1)}</strong>
               ${trade.rsiDiv.signal !== 'none' && trade.rsiDiv.signal !== 'unknown'
                 ? `<div style="color: ${rsidivColors[trade.rsiDiv.signal]}; font-size: 0.85em; margin-top: 2px;">${rsidivLabels[trade.rsiDiv.signal]}</div>`
                 : ''}
             </div>
-            <div style="background: #22242a; padding: 8px; border-radius: 8px;">
+            <div style="background: var(--surface-2); padding: 8px; border-radius: 8px;">
               <div class="muted">MACD</div>
-              <span style="color: ${d.macd_histogram > 0 ? '#10b981' : '#ef4444'};">
+              <span style="color: ${d.macd_histogram > 0 ? 'var(--up)' : 'var(--down)'};">
                 ${d.macd_histogram > 0 ? '▲ Bull' : '▼ Bear'}
               </span>
             </div>
-            <div style="background: #22242a; padding: 8px; border-radius: 8px;">
+            <div style="background: var(--surface-2); padding: 8px; border-radius: 8px;">
               <div class="muted">MA(20)</div>
-              <span style="color: ${d.above_ma_20 ? '#10b981' : '#ef4444'};">
+              <span style="color: ${d.above_ma_20 ? 'var(--up)' : 'var(--down)'};">
                 ${d.above_ma_20 ? '▲ Above' : '▼ Below'}
               </span>
             </div>
-            <div style="background: #22242a; padding: 8px; border-radius: 8px;">
+            <div style="background: var(--surface-2); padding: 8px; border-radius: 8px;">
               <div class="muted">Squeeze</div>
               ${sqBadgeRec}
             </div>
-            <div style="background: #22242a; padding: 8px; border-radius: 8px;">
+            <div style="background: var(--surface-2); padding: 8px; border-radius: 8px;">
               <div class="muted">VWAP</div>
               <span style="color: ${vwapColor};">${vwapLabel}</span>
             </div>
@@ -553,8 +581,8 @@ function renderPositionCalc(scored) {
   let html = `
     <div style="margin-bottom: 16px;">
       <label for="accountInput" class="muted">Account Size ($)</label>
-      <input type="number" id="accountInput" value="50000" min="1000" step="1000"
-             style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 1em;">
+      <input type="number" id="accountInput" value="${accountFromUrl() || Settings.get('trade.account', 50000)}" min="1000" step="1000"
+             style="width: 100%; padding: 8px; border: 1px solid var(--border); border-radius: 4px; font-size: 1em;">
     </div>
 
     <div id="positionSizes" style="display: grid; gap: 12px;">
@@ -566,7 +594,7 @@ function renderPositionCalc(scored) {
     const sizeLabel = trade.score >= 6 ? '100%' : trade.score >= 4 ? '75%' : '50%';
 
     html += `
-      <div class="pill" style="display: grid; grid-template-columns: 1fr 1fr 1fr 1fr; gap: 12px;">
+      <div class="pill trade-grid-4">
         <div>
           <div class="muted">${trade.symbol}</div>
           <strong class="symSize_${trade.symbol}">—</strong>
@@ -592,12 +620,22 @@ function renderPositionCalc(scored) {
   document.getElementById('step6Content').innerHTML = html;
 
   // Add event listener and calculate
-  document.getElementById('accountInput').addEventListener('change', () => updatePositionSizes(scored));
+  document.getElementById('accountInput').addEventListener('change', (e) => {
+    const account = parseFloat(e.target.value);
+    UrlState.update({ account: account > 0 ? account : null });
+    updatePositionSizes(scored);
+  });
   updatePositionSizes(scored);
 }
 
+// ?account= from a shared link (positive amounts only)
+function accountFromUrl() {
+  const v = UrlState.getNumber('account');
+  return v !== null && v > 0 ? v : null;
+}
+
 function updatePositionSizes(scored) {
-  const account = parseFloat(document.getElementById('accountInput').value) || 50000;
+  const account = parseFloat(document.getElementById('accountInput').value) || Settings.get('trade.account', 50000);
   const riskPerTrade = (account * 0.01);  // 1% risk
 
   scored.forEach(trade => {
@@ -646,7 +684,7 @@ function renderEodOutcomes(scored) {
 
   const sec = (title, body) => `
     <div style="margin-bottom: 24px;">
-      <h3 style="margin: 0 0 12px 0; color: #94a3b8; font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.06em; border-bottom: 1px solid #2a2a3e; padding-bottom: 6px;">${title}</h3>
+      <h3 style="margin: 0 0 12px 0; color: var(--muted); font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.06em; border-bottom: 1px solid var(--border-soft); padding-bottom: 6px;">${title}</h3>
       ${body}
     </div>`;
 
@@ -658,15 +696,15 @@ function renderEodOutcomes(scored) {
     </div>`;
 
   const outcomeBadge = (ok, hitLabel, missLabel) =>
-    ok ? `<span style="color:#10b981; font-weight:bold;">${hitLabel}</span>`
-       : `<span style="color:#6b7280;">${missLabel}</span>`;
+    ok ? `<span style="color:var(--up); font-weight:bold;">${hitLabel}</span>`
+       : `<span style="color:var(--dim);">${missLabel}</span>`;
 
   let html = '';
 
   // Morning cache warning
   if (cacheData.cache_type === 'morning') {
     const genStr = new Date(cacheData.generated).toLocaleString('en-US', { hour: '2-digit', minute: '2-digit', timeZoneName: 'short' });
-    html += `<div style="background:#1a1400; border:1px solid #7c6a00; border-radius:6px; padding:10px 14px; margin-bottom:20px; color:#f59e0b; font-size:0.9em;">
+    html += `<div style="background:color-mix(in srgb, var(--warn) 8%, var(--surface)); border:1px solid color-mix(in srgb, var(--warn) 45%, var(--surface)); border-radius:6px; padding:10px 14px; margin-bottom:20px; color:var(--warn); font-size:0.9em;">
       Cache generated at ${genStr} — market may still be open. Full outcomes update after the 4 PM ET close.
     </div>`;
   }
@@ -674,36 +712,36 @@ function renderEodOutcomes(scored) {
   // ── SECTION 1: DAY QUALITY ──────────────────────────────────────────────
   const grade = cacheData.day_quality.grade;
   const mods  = cacheData.day_quality.modifiers;
-  const gradeColor = grade === 'A+' || grade === 'A' ? '#10b981' : grade === 'B' ? '#f59e0b' : '#ef4444';
+  const gradeColor = grade === 'A+' || grade === 'A' ? 'var(--up)' : grade === 'B' ? 'var(--warn)' : 'var(--down)';
   const gradeLabel = (grade === 'A+' || grade === 'A') ? 'Tradeable day' : grade === 'B' ? 'Reduced size' : 'No trades';
 
-  let dqBody = `<div style="display:grid; grid-template-columns: repeat(4, 1fr); gap:10px;">
+  let dqBody = `<div class="trade-grid-4" style="gap:10px;">
     ${pill('Day Grade', grade, gradeColor, gradeLabel)}
-    ${pill('ATR vs Avg', mods.atr_above_avg ? 'Above ✓' : 'Below ✗', mods.atr_above_avg ? '#10b981' : '#ef4444', null)}
-    ${pill('Vol > 20d', mods.volume_above_20d ? 'Yes ✓' : 'No ✗', mods.volume_above_20d ? '#10b981' : '#6b7280', null)}
-    ${pill('Vol > 50d', mods.volume_above_50d ? 'Yes ✓' : 'No ✗', mods.volume_above_50d ? '#10b981' : '#6b7280', null)}
+    ${pill('ATR vs Avg', mods.atr_above_avg ? 'Above ✓' : 'Below ✗', mods.atr_above_avg ? 'var(--up)' : 'var(--down)', null)}
+    ${pill('Vol > 20d', mods.volume_above_20d ? 'Yes ✓' : 'No ✗', mods.volume_above_20d ? 'var(--up)' : 'var(--dim)', null)}
+    ${pill('Vol > 50d', mods.volume_above_50d ? 'Yes ✓' : 'No ✗', mods.volume_above_50d ? 'var(--up)' : 'var(--dim)', null)}
   </div>`;
   if (['C', 'F'].includes(grade)) {
-    dqBody += `<div style="margin-top:10px; color:#ef4444; font-size:0.9em;">No trades taken — day did not meet quality gate.</div>`;
+    dqBody += `<div style="margin-top:10px; color:var(--down); font-size:0.9em;">No trades taken — day did not meet quality gate.</div>`;
   }
   html += sec('1 — Day Quality', dqBody);
 
   // ── SECTION 2: MARKET REGIME ────────────────────────────────────────────
   const regime = cacheData.regime;
-  const regimeColors = { 'Trending': '#3b82f6', 'Ranging': '#f59e0b', 'Choppy': '#ef4444' };
+  const regimeColors = { 'Trending': 'var(--info)', 'Ranging': 'var(--warn)', 'Choppy': 'var(--down)' };
   const patternMenus = {
     'Trending': 'ORB, Gap Continuation, Engulfing (with trend)',
     'Ranging':  'Gap Fill, Outside Day, Engulfing at S/R',
     'Choppy':   'No patterns — sit out'
   };
-  const rCol = regimeColors[regime.label] || '#6b7280';
+  const rCol = regimeColors[regime.label] || 'var(--dim)';
   html += sec('2 — Market Regime', `
-    <div style="display:grid; grid-template-columns: repeat(3, 1fr); gap:10px; margin-bottom:10px;">
+    <div class="trade-grid-3" style="gap:10px; margin-bottom:10px;">
       ${pill('Regime', regime.label, rCol, null)}
-      ${pill('Direction', regime.direction, '#e2e8f0', null)}
-      ${pill('ATR Trend', regime.atr_trend, '#e2e8f0', null)}
+      ${pill('Direction', regime.direction, 'var(--text)', null)}
+      ${pill('ATR Trend', regime.atr_trend, 'var(--text)', null)}
     </div>
-    <div class="muted" style="font-size:0.85em;">Valid patterns today: <strong style="color:#e2e8f0;">${patternMenus[regime.label] || '—'}</strong></div>`);
+    <div class="muted" style="font-size:0.85em;">Valid patterns today: <strong style="color:var(--text);">${patternMenus[regime.label] || '—'}</strong></div>`);
 
   // ── SECTION 3: PATTERN OUTCOMES ─────────────────────────────────────────
   const patterns = cacheData.active_patterns;
@@ -714,21 +752,21 @@ function renderEodOutcomes(scored) {
       const oc = p.outcome || {};
       const lv = p.levels || {};
       const dirArrow = p.direction === 'up' ? '▲' : p.direction === 'down' ? '▼' : '—';
-      const dirColor = p.direction === 'up' ? '#10b981' : p.direction === 'down' ? '#ef4444' : '#94a3b8';
+      const dirColor = p.direction === 'up' ? 'var(--up)' : p.direction === 'down' ? 'var(--down)' : 'var(--muted)';
 
       // Top-right outcome badge
       let outcomeLabel, outcomeColor;
       if (oc.next_day) {
-        outcomeLabel = 'Next session'; outcomeColor = '#f59e0b';
+        outcomeLabel = 'Next session'; outcomeColor = 'var(--warn)';
       } else if (p.pattern === 'ORB') {
-        if (oc.hit_t1)        { outcomeLabel = '✓ T1 Hit';   outcomeColor = '#10b981'; }
-        else if (oc.breached) { outcomeLabel = 'Breached';    outcomeColor = '#f59e0b'; }
-        else                  { outcomeLabel = 'No breach';   outcomeColor = '#6b7280'; }
+        if (oc.hit_t1)        { outcomeLabel = '✓ T1 Hit';   outcomeColor = 'var(--up)'; }
+        else if (oc.breached) { outcomeLabel = 'Breached';    outcomeColor = 'var(--warn)'; }
+        else                  { outcomeLabel = 'No breach';   outcomeColor = 'var(--dim)'; }
       } else if (p.pattern === 'Gap') {
-        if (oc.filled) { outcomeLabel = '✓ Filled'; outcomeColor = '#10b981'; }
-        else           { outcomeLabel = 'Open';      outcomeColor = '#f59e0b'; }
+        if (oc.filled) { outcomeLabel = '✓ Filled'; outcomeColor = 'var(--up)'; }
+        else           { outcomeLabel = 'Open';      outcomeColor = 'var(--warn)'; }
       } else {
-        outcomeLabel = '—'; outcomeColor = '#6b7280';
+        outcomeLabel = '—'; outcomeColor = 'var(--dim)';
       }
 
       // Levels box (dark background, same as morning step 5)
@@ -750,10 +788,10 @@ function renderEodOutcomes(scored) {
       }
 
       return `
-        <div style="border: 2px solid ${dirColor}; border-radius: 6px; padding: 14px; width: 400px; box-sizing: border-box;">
+        <div class="trade-card" style="border-color: ${dirColor};">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
             <div>
-              <strong style="font-size: 1.1em;">${p.symbol}</strong>
+              <strong style="font-size: 1.1em;">${symbolLink(p.symbol)}</strong>
               <span style="margin-left: 8px; background: ${dirColor}; color: white; padding: 2px 6px; border-radius: 3px; font-size: 0.8em;">
                 ${p.pattern} ${dirArrow}
               </span>
@@ -761,10 +799,10 @@ function renderEodOutcomes(scored) {
             <span style="color: ${outcomeColor}; font-weight: bold; font-size: 0.85em;">${outcomeLabel}</span>
           </div>
           <div class="muted" style="font-size: 0.8em; margin-bottom: 8px;">${p.notes}</div>
-          ${levelsInner ? `<div style="background: #22242a; padding: 8px; border-radius: 4px; font-size: 0.85em;">${levelsInner}</div>` : ''}
+          ${levelsInner ? `<div style="background: var(--surface-2); padding: 8px; border-radius: 4px; font-size: 0.85em;">${levelsInner}</div>` : ''}
         </div>`;
     }).join('');
-    html += sec('3 — Pattern Outcomes', `<div style="display: flex; flex-wrap: wrap; gap: 12px;">${patternCards}</div>`);
+    html += sec('3 — Pattern Outcomes', `<div class="trade-cards">${patternCards}</div>`);
   }
 
   // ── SECTION 4: CONFLUENCE REVIEW ────────────────────────────────────────
@@ -772,13 +810,13 @@ function renderEodOutcomes(scored) {
     html += sec('4 — Confluence Review', '<div class="muted">No trades met confluence threshold (3+).</div>');
   } else {
     const confCards = scored.map(trade => {
-      const sizeColor = trade.score >= 7 ? '#10b981' : trade.score >= 5 ? '#f59e0b' : '#3b82f6';
+      const sizeColor = trade.score >= 7 ? 'var(--up)' : trade.score >= 5 ? 'var(--warn)' : 'var(--info)';
       const sizeLabel = trade.score >= 7 ? 'Full Size' : trade.score >= 5 ? '75% Size' : '50% Size';
       let checksHTML = Object.entries(trade.checks).map(([k, v]) =>
-        `<div style="color:${v ? '#10b981' : '#4b5563'}; font-size:0.8em;">${v ? '✓' : '✗'} ${k}</div>`
+        `<div style="color:${v ? 'var(--up)' : 'var(--dim)'}; font-size:0.8em;">${v ? '✓' : '✗'} ${k}</div>`
       ).join('');
       return `
-        <div style="border: 2px solid ${sizeColor}; border-radius: 6px; padding: 14px; width: 400px; box-sizing: border-box;">
+        <div class="trade-card" style="border-color: ${sizeColor};">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
             <div>
               <strong style="font-size: 1.1em;">${trade.symbol}</strong>
@@ -793,7 +831,7 @@ function renderEodOutcomes(scored) {
           <div style="margin-top: 8px; font-size: 0.8em;">Squeeze: ${squeezeHTML(trade.squeeze)}</div>
         </div>`;
     }).join('');
-    html += sec('4 — Confluence Review', `<div style="display: flex; flex-wrap: wrap; gap: 12px;">${confCards}</div>`);
+    html += sec('4 — Confluence Review', `<div class="trade-cards">${confCards}</div>`);
   }
 
   // ── SECTION 5: TRADE LEVELS & OUTCOMES ──────────────────────────────────
@@ -811,37 +849,37 @@ function renderEodOutcomes(scored) {
       // Match to scored entry to get confluence color
       const scoredEntry = scored ? scored.find(s => s.symbol === p.symbol && s.pattern === p.pattern) : null;
       const score = scoredEntry ? scoredEntry.score : 0;
-      const sizeColor = score >= 7 ? '#10b981' : score >= 5 ? '#f59e0b' : score >= 3 ? '#3b82f6' : '#6b7280';
+      const sizeColor = score >= 7 ? 'var(--up)' : score >= 5 ? 'var(--warn)' : score >= 3 ? 'var(--info)' : 'var(--dim)';
       const dirArrow = p.direction === 'up' ? '▲' : p.direction === 'down' ? '▼' : '—';
 
       // Entry/stop/target rows with inline outcome column
       let levelsInner = '';
       if (p.pattern === 'ORB') {
-        const bColor  = oc.breached ? (oc.direction === 'up' ? '#10b981' : '#ef4444') : '#6b7280';
-        const t1Color = oc.hit_t1 ? '#10b981' : oc.breached ? '#f59e0b' : '#6b7280';
+        const bColor  = oc.breached ? (oc.direction === 'up' ? 'var(--up)' : 'var(--down)') : 'var(--dim)';
+        const t1Color = oc.hit_t1 ? 'var(--up)' : oc.breached ? 'var(--warn)' : 'var(--dim)';
         levelsInner = `
           <div style="display:flex; justify-content:space-between;"><span><strong>Range:</strong> $${lv.orb_low} – $${lv.orb_high}</span><span style="color:${bColor};">${oc.breached ? (oc.direction === 'up' ? '▲ Broke up' : '▼ Broke down') : 'No breach'}</span></div>
           <div style="display:flex; justify-content:space-between;"><span><strong>T1↑</strong> $${lv.t1_up} &nbsp;/&nbsp; <strong>T1↓</strong> $${lv.t1_down}</span><span style="color:${t1Color};">${oc.hit_t1 ? '✓ Hit' : '—'}</span></div>
           <div style="display:flex; justify-content:space-between;"><span><strong>T2↑</strong> $${lv.t2_up} &nbsp;/&nbsp; <strong>T2↓</strong> $${lv.t2_down}</span><span class="muted">—</span></div>`;
       } else if (p.pattern === 'Gap') {
-        const fillColor = oc.filled ? '#10b981' : '#6b7280';
+        const fillColor = oc.filled ? 'var(--up)' : 'var(--dim)';
         levelsInner = `
           <div style="display:flex; justify-content:space-between;"><span><strong>Fill target:</strong> $${lv.fill_target}</span><span style="color:${fillColor};">${oc.filled ? '✓ Filled' : 'Not filled'}</span></div>
           <div style="display:flex; justify-content:space-between;"><span><strong>Cont. T1:</strong> $${lv.t1_continuation}</span><span class="muted">—</span></div>
           <div style="display:flex; justify-content:space-between;"><span><strong>Cont. T2:</strong> $${lv.t2_continuation}</span><span class="muted">—</span></div>`;
       } else {
         levelsInner = `
-          <div style="display:flex; justify-content:space-between;"><span><strong>Entry:</strong> $${lv.entry}</span><span style="color:#f59e0b;">${isNextDay ? 'Next session' : '—'}</span></div>
+          <div style="display:flex; justify-content:space-between;"><span><strong>Entry:</strong> $${lv.entry}</span><span style="color:var(--warn);">${isNextDay ? 'Next session' : '—'}</span></div>
           <div style="display:flex; justify-content:space-between;"><span><strong>Stop:</strong> $${lv.stop}</span><span class="muted">—</span></div>
           <div style="display:flex; justify-content:space-between;"><span><strong>T1 (1.5×):</strong> $${lv.t1}</span><span class="muted">—</span></div>
           ${lv.t2 ? `<div style="display:flex; justify-content:space-between;"><span><strong>T2 (2×):</strong> $${lv.t2}</span><span class="muted">—</span></div>` : ''}`;
       }
 
       return `
-        <div style="border: 2px solid ${sizeColor}; border-radius: 6px; padding: 14px; width: 400px; box-sizing: border-box;">
+        <div class="trade-card" style="border-color: ${sizeColor};">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
             <div>
-              <strong style="font-size: 1.1em;">${p.symbol}</strong>
+              <strong style="font-size: 1.1em;">${symbolLink(p.symbol)}</strong>
               <span style="margin-left: 8px; background: ${sizeColor}; color: white; padding: 2px 6px; border-radius: 3px; font-size: 0.8em;">
                 ${p.pattern} ${dirArrow}
               </span>
@@ -852,22 +890,22 @@ function renderEodOutcomes(scored) {
             <div><div class="muted">Close</div><strong>$${d.close}</strong></div>
             <div><div class="muted">ATR (14)</div><strong>${d.atr_14}</strong></div>
           </div>
-          <div style="background: #22242a; padding: 8px; border-radius: 4px; font-size: 0.85em; margin-bottom: 10px;">
+          <div style="background: var(--surface-2); padding: 8px; border-radius: 4px; font-size: 0.85em; margin-bottom: 10px;">
             ${levelsInner}
           </div>
           <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px; font-size: 0.8em;">
-            <div style="background: #22242a; padding: 8px; border-radius: 8px;">
+            <div style="background: var(--surface-2); padding: 8px; border-radius: 8px;">
               <div class="muted">Day Range</div>
               <strong>$${eod.day_range}</strong>
             </div>
-            <div style="background: #22242a; padding: 8px; border-radius: 8px;">
+            <div style="background: var(--surface-2); padding: 8px; border-radius: 8px;">
               <div class="muted">ATR Multiple</div>
               <strong>${eod.day_atr_multiple}×</strong>
             </div>
           </div>
         </div>`;
     }).join('');
-    html += sec('5 — Trade Levels & Outcomes', `<div style="display: flex; flex-wrap: wrap; gap: 12px;">${tradeCards}</div>`);
+    html += sec('5 — Trade Levels & Outcomes', `<div class="trade-cards">${tradeCards}</div>`);
   }
 
   el.innerHTML = html;
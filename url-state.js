@@ -0,0 +1,81 @@
+// =============================================================================
+// url-state.js — Dashboard controls ⇄ URL query parameters
+// Exposes window.UrlState via IIFE — no build step required.
+//
+// Pages restore their controls from the URL on load and write each change back
+// with history.replaceState, so the address bar always holds a link to the
+// current view (no reloads, no extra history entries). Parameters are read
+// from the query string; `#key=value` hash parameters are accepted too and
+// win over the query string, so a hand-edited link still works.
+// =============================================================================
+
+(function (global) {
+  'use strict';
+
+  function params() {
+    const merged = new URLSearchParams(global.location.search);
+    const hash = global.location.hash.replace(/^#/, '');
+    if (hash.includes('=')) {
+      for (const [k, v] of new URLSearchParams(hash)) merged.set(k, v);
+    }
+    return merged;
+  }
+
+  // get(key) → string or null
+  function get(key) {
+    const v = params().get(key);
+    return v === null || v === '' ? null : v;
+  }
+
+  // getInt(key) → finite integer or null
+  function getInt(key) {
+    const v = get(key);
+    if (v === null || !/^-?\d+$/.test(v)) return null;
+    return parseInt(v, 10);
+  }
+
+  // getNumber(key) → finite number or null
+  function getNumber(key) {
+    const v = get(key);
+    const n = v === null ? NaN : Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // update({ key: value }) — null / undefined removes the key. Hash parameters
+  // are folded into the query string so the URL has one source of truth.
+  function update(values) {
+    const merged = params();
+    for (const [k, v] of Object.entries(values)) {
+      if (v === null || v === undefined || v === '') merged.delete(k);
+      else merged.set(k, String(v));
+    }
+    const hash = global.location.hash.includes('=') ? '' : global.location.hash;
+    const query = merged.toString();
+    const url = `${global.location.pathname}${query ? `?${query}` : ''}${hash}`;
+    global.history.replaceState(global.history.state, '', url);
+  }
+
+  // updateChanged(values, defaults) — update() with only the keys whose value
+  // differs from the page default. Pages call it once on load, after saved
+  // settings and the URL are applied, so a copied link carries the sender's
+  // settings and not just the controls changed this session.
+  function updateChanged(values, defaults) {
+    update(Object.fromEntries(
+      Object.entries(values).filter(([k, v]) => String(v) !== String(defaults[k]))
+    ));
+  }
+
+  // restoreSelect(id, key) — sets <select id> from the URL when the value is
+  // one of its options. Returns the restored value, or null if nothing applied.
+  function restoreSelect(id, key) {
+    const el = document.getElementById(id);
+    const v = get(key);
+    if (!el || v === null) return null;
+    if (![...el.options].some(o => o.value === v)) return null;
+    el.value = v;
+    return v;
+  }
+
+  global.UrlState = { get, getInt, getNumber, update, updateChanged, restoreSelect };
+
+}(window));